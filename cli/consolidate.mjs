@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * Hebbian Memory Consolidation CLI
+ *
+ * "Sleep" pass: merge clusters of near-duplicate active memories within a
+ * domain into one canonical memory each (see lib/consolidate.mjs). The
+ * originals are kept, deprecated and pointing at the canonical entry.
+ *
+ * Usage:
+ *   node cli/consolidate.mjs                     # merge near-duplicates
+ *   node cli/consolidate.mjs --dry-run           # show the clusters, change nothing
+ *   node cli/consolidate.mjs --report [n]        # show the last n consolidations
+ *   node cli/consolidate.mjs --threshold 0.9     # similarity bar (default: 0.92)
+ *   node cli/consolidate.mjs --domain <domain>   # one domain only
+ *   node cli/consolidate.mjs --db <path>         # another database (default: $HEBBIAN_DB_PATH, then config dbPath)
+ *   node cli/consolidate.mjs --config <file>     # config file instead of ~/.hebbian/config.json
+ *   hebbian-consolidate --dry-run
+ */
+
+import { openDb, closeDb, setEmbeddingProvider } from "../lib/db.mjs";
+import { loadConfig, embeddingOptions } from "../lib/config.mjs";
+import { consolidate, consolidationReport, CONSOLIDATE_THRESHOLD } from "../lib/consolidate.mjs";
+
+const args = process.argv.slice(2);
+const flag = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+const config = loadConfig({ path: flag("--config"), overrides: { dbPath: flag("--db") }, source: "--db" });
+setEmbeddingProvider(embeddingOptions(config)); // clusters only compare vectors of the configured model
+const db = openDb(config.dbPath);
+
+try {
+  if (args.includes("--report")) {
+    const past = consolidationReport(db, { limit: parseInt(flag("--report")) || 50 });
+    if (past.length === 0) console.log("No consolidations yet.");
+    for (const c of past) {
+      console.log(`🧠 ${c.canonical} [${c.status}] — ${c.created}`);
+      console.log(`   ${c.title}`);
+      for (const m of c.members) {
+        console.log(`   ↳ ${m.id} (${m.source || "?"}, sim ${m.similarity.toFixed(3)})`);
+        if (m.relinked?.corrections.length) console.log(`     moved: corrected by ${m.relinked.corrections.join(", ")}`);
+        if (m.relinked?.contradictions.length) console.log(`     moved: contradicts ${m.relinked.contradictions.join(", ")}`);
+      }
+      console.log();
+    }
+  } else {
+    const dryRun = args.includes("--dry-run");
+    const threshold = flag("--threshold") !== undefined ? parseFloat(flag("--threshold")) : CONSOLIDATE_THRESHOLD;
+    const result = consolidate(db, { threshold, domain: flag("--domain") || null, dryRun });
+
+    for (const c of result.clusters) {
+      console.log(`${dryRun ? "🔍" : "🧠"} [${c.domain}] ${c.title}${c.canonical ? ` → ${c.canonical}` : ""}`);
+      c.members.forEach((m, i) => console.log(`   ${i === 0 ? "★" : "↳"} ${m.id} (sim ${m.similarity.toFixed(3)})`));
+      console.log();
+    }
+    const total = result.clusters.reduce((sum, c) => sum + c.members.length, 0);
+    console.log(dryRun
+      ? `Dry run: ${result.clusters.length} clusters, ${total} memories would merge (threshold ${threshold})`
+      : `✅ Merged ${result.merged} memories into ${result.created} canonical entries (threshold ${threshold})`);
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  closeDb();
+}
@@ -0,0 +1,1069 @@
+#!/usr/bin/env node
+/**
+ * Hebbian Memory CLI
+ *
+ * One entry point for the memory store. Every subcommand takes the same
+ * global flags and exits with the same codes:
+ *
+ *   --db <path>       database (default: $HEBBIAN_DB_PATH, then config dbPath)
+ *   --config <path>   config file instead of ~/.hebbian/config.json (see
+ *                     lib/config.mjs; flags beat env beats the file)
+ *   --namespace <ns>  agent / project namespace (default: $HEBBIAN_NAMESPACE,
+ *                     then config namespace): add, extract and import
+ *                     write into it; search, top, export, serve and mcp see
+ *                     it plus the global namespace
+ *   --json            machine-readable output on stdout; errors as
+ *                     { "error": … } on stderr
+ *
+ *   exit 0 ok · 1 failed · 2 usage error · 3 memory not found
+ *
+ * Usage:
+ *   hebbian init
+ *   hebbian add "Always pass --preset slow to ffmpeg" [--domain d] [--type t] [--tags a,b]
+ *   hebbian get <id>
+ *   hebbian search [--domain d] [--type t] [--status s] [--tag t] [--since 7d|date]
+ *                  [--include-deprecated] [--no-global] [--limit n] [--budget tokens] [--explain] "query"
+ *   hebbian top [n] [--domain d]
+ *   hebbian stats
+ *   hebbian correct <correction_id> <corrected_id>
+ *   hebbian correct scan|review|resolve|list-deprecated|search …   (contradiction queue)
+ *   hebbian deprecate <old_id> [new_id]
+ *   hebbian pin|unpin <id>                     # pinned: full activation, never merged or auto-replaced
+ *   hebbian feedback <id> helpful|unhelpful|wrong [--session s] [--note text]
+ *   hebbian extract session|reasoning|atomize [extractor args…]
+ *   hebbian embed [--model m] [--batch n]      # embed missing vectors / re-embed with a model
+ *   hebbian decay [--factor f] [--min w] [--max-fanout n]
+ *   hebbian doctor
+ *   hebbian export [--out file] [--domain d] [--type t] [--status s] [--no-embeddings]
+ *   hebbian import <file|-> [--strategy skip|overwrite|keep-higher-activation] [--remap] [--dry-run]
+ *   hebbian serve [--host 127.0.0.1] [--port 7411] [--token t]   # HTTP API, see lib/server.mjs
+ *   hebbian mcp                                # MCP server on stdio, see lib/mcp.mjs
+ *
+ * The older per-task scripts (search.mjs, top.mjs, stats.mjs, init-db.mjs,
+ * correct.mjs) run the same subcommands.
+ */
+
+import { readFileSync, openSync, writeSync, closeSync, realpathSync } from "node:fs";
+import { join, dirname } from "node:path";
+import { fileURLToPath } from "node:url";
+import { spawn } from "node:child_process";
+import {
+  openDb, closeDb, generateEmbeddings, embeddingText, setEmbedding, reembedAll,
+  getStats, getGraphStats, getMeta, decayAll, pruneCoOccurrences, lexicalSearch,
+  deprecateMemory, markAsCorrection, pinMemory, recordFeedback, resolveSupersession, latestCorrection,
+  migrationStatus, createEmbeddingProvider, getEmbeddingProvider, setEmbeddingProvider, namespaceScope,
+  FEEDBACK_KINDS, BASE_LEVEL_SQL, GLOBAL_NAMESPACE,
+} from "../lib/db.mjs";
+import { loadConfig, expandHome, embeddingOptions, retrieveOptions, configEnv } from "../lib/config.mjs";
+import { saveMemory } from "../lib/ingest.mjs";
+import { searchMemories, parseSince } from "../lib/search.mjs";
+import {
+  detectContradictions, getContradictions, resolveContradiction, CONTRADICTION_THRESHOLD, RESOLUTIONS,
+} from "../lib/contradictions.mjs";
+import { exportMemories, parseExport, importMemories, STRATEGIES } from "../lib/transfer.mjs";
+import { createMemoryServer, DEFAULT_HOST, DEFAULT_PORT } from "../lib/server.mjs";
+import { createMcpHandler, serveStdio } from "../lib/mcp.mjs";
+import { retrievalProbability } from "../lib/activation.mjs";
+
+export const EXIT = { OK: 0, ERROR: 1, USAGE: 2, NOT_FOUND: 3 };
+
+const HERE = dirname(fileURLToPath(import.meta.url));
+const EXTRACTORS = {
+  session: join(HERE, "../extractors/session-extractor.mjs"),
+  reasoning: join(HERE, "../extractors/reasoning-extractor.mjs"),
+  atomize: join(HERE, "../extractors/atomize.mjs"),
+};
+const LOOPBACK = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+const GLOBAL_FLAGS = {
+  "--db": "value", "--config": "value", "--namespace": "value", "--json": "boolean", "--help": "boolean", "-h": "boolean",
+};
+
+function fail(message, exitCode = EXIT.ERROR) {
+  return Object.assign(new Error(message), { exitCode });
+}
+
+const num = (x, digits = 3) => (x === null || x === undefined ? "–" : x.toFixed(digits));
+const short = (text, n) => (text && text.length > n ? `${text.slice(0, n)}...` : text || "");
+
+// ─── Arguments and config ────────────────────────────────────────────────────
+
+/**
+ * Split argv into { flags, positional } by a spec of { "--flag": "value" |
+ * "boolean" } (global flags always apply). Unknown flags are usage errors
+ * unless `passthrough`, which keeps them as positionals.
+ */
+function parseArgs(argv, spec = {}, { passthrough = false } = {}) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const kind = GLOBAL_FLAGS[arg] ?? spec[arg];
+    if (kind === "value") {
+      if (i + 1 >= argv.length) throw fail(`${arg} needs a value`, EXIT.USAGE);
+      flags[arg] = argv[++i];
+    } else if (kind === "boolean") {
+      flags[arg] = true;
+    } else if (arg.startsWith("--") && !passthrough) {
+      throw fail(`Unknown flag: ${arg}`, EXIT.USAGE);
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { flags, positional };
+}
+
+function positiveInt(value, name) {
+  if (value === undefined) return undefined;
+  const n = parseInt(value, 10);
+  if (!(n > 0)) throw fail(`${name}: expected a positive number, got "${value}"`, EXIT.USAGE);
+  return n;
+}
+
+function requireMemory(db, id) {
+  const row = db.prepare("SELECT * FROM memories WHERE id = ?").get(id);
+  if (!row) throw fail(`Memory not found: ${id}`, EXIT.NOT_FOUND);
+  return row;
+}
+
+/** A memory row without its binary columns, with its tags. */
+function publicRow(db, row) {
+  const { embedding, embedding_q, retrieval_history, ...rest } = row;
+  return { ...rest, tags: db.prepare("SELECT tag FROM tags WHERE memory_id = ?").all(row.id).map((r) => r.tag) };
+}
+
+// ─── init ────────────────────────────────────────────────────────────────────
+
+function runInit(ctx) {
+  const stats = getStats(ctx.db);
+  return { dbPath: ctx.dbPath, schema: migrationStatus(ctx.db).current, total: stats.total, atomic: stats.atomic, coOccurrences: stats.coOccurrences };
+}
+
+function printInit(r) {
+  console.log(`✅ Database ready — ${r.dbPath} (schema v${r.schema})`);
+  console.log(`  Total memories: ${r.total}`);
+  console.log(`  Atomic patterns: ${r.atomic}`);
+  console.log(`  Co-occurrence pairs: ${r.coOccurrences}`);
+  if (r.total === 0) {
+    console.log(`\nDatabase is empty. Add memories or run an extractor:`);
+    console.log(`  hebbian add "Always pass --preset slow to ffmpeg for archival encodes"`);
+    console.log(`  hebbian extract atomize extract`);
+  }
+}
+
+// ─── add ─────────────────────────────────────────────────────────────────────
+
+async function runAdd(ctx) {
+  const detail = ctx.positional.join(" ").trim();
+  if (!detail) throw fail("add needs the memory text", EXIT.USAGE);
+  const { flags } = ctx;
+  return saveMemory(ctx.db, {
+    detail,
+    title: flags["--title"],
+    domain: flags["--domain"],
+    type: flags["--type"],
+    tags: (flags["--tags"] || "").split(",").map((t) => t.trim()).filter(Boolean),
+    source: flags["--source"] || "manual",
+    id: flags["--id"],
+    namespace: ctx.namespace || GLOBAL_NAMESPACE,
+  });
+}
+
+function printAdd(r) {
+  if (!r.added) {
+    console.log(`⚠️  Not added — duplicate of ${r.duplicateOf}`);
+    return;
+  }
+  console.log(`✅ Added ${r.id} [${r.domain}/${r.type}]`);
+  if (r.supersedes) console.log(`   ↻ supersedes ${r.supersedes}`);
+  if (r.queuedWith) console.log(`   ⚠️ queued for review with ${r.queuedWith}`);
+  if (!r.embedded) console.log("   added without an embedding (embedder unavailable) — run: hebbian embed");
+}
+
+// ─── get ─────────────────────────────────────────────────────────────────────
+
+function runGet(ctx) {
+  const [id] = ctx.positional;
+  if (!id) throw fail("get needs a memory id", EXIT.USAGE);
+  const row = ctx.db.prepare(`SELECT *, ${BASE_LEVEL_SQL} AS base_level FROM memories WHERE id = ?`).get(id);
+  if (!row) throw fail(`Memory not found: ${id}`, EXIT.NOT_FOUND);
+
+  const current = row.status === "deprecated" ? resolveSupersession(ctx.db, id) : null;
+  const correction = latestCorrection(ctx.db, id);
+  return {
+    ...publicRow(ctx.db, row),
+    activation_probability: row.pinned ? 1 : row.base_level === null ? null : retrievalProbability(row.base_level),
+    current: current ? current.id : null,
+    correctedBy: correction ? correction.id : null,
+  };
+}
+
+function printGet(r) {
+  console.log(`${r.id}${r.status === "deprecated" ? " [deprecated]" : ""}${r.pinned ? " 📌" : ""}`);
+  console.log(`  [${r.domain}/${r.pattern_type}] ${r.title || ""}`);
+  if (r.detail && r.detail !== r.title) console.log(`  ${r.detail}`);
+  if (r.namespace !== GLOBAL_NAMESPACE) console.log(`  Namespace: ${r.namespace}`);
+  console.log(`  Activation: ${num(r.activation_probability)} (base level ${num(r.base_level, 2)}), retrieved ${r.retrieval_count}×, bias ${num(r.feedback_bias, 2)}`);
+  console.log(`  Created: ${r.created}${r.last_retrieved ? ` | Last used: ${r.last_retrieved}` : ""}`);
+  if (r.tags.length > 0) console.log(`  Tags: ${r.tags.join(", ")}`);
+  if (r.embedding_model) console.log(`  Embedding: ${r.embedding_model}`);
+  if (r.superseded_by) console.log(`  → Superseded by: ${r.superseded_by}${r.current && r.current !== r.superseded_by ? ` (now ${r.current})` : ""}`);
+  if (r.corrects) console.log(`  Corrects: ${r.corrects}`);
+  if (r.correctedBy) console.log(`  ⚠️  Corrected by: ${r.correctedBy}`);
+}
+
+// ─── search ──────────────────────────────────────────────────────────────────
+
+async function runSearch(ctx) {
+  const query = ctx.positional.join(" ").trim();
+  if (!query) throw fail("search needs a query", EXIT.USAGE);
+
+  const { flags } = ctx;
+  let since;
+  try {
+    since = flags["--since"] && parseSince(flags["--since"]);
+  } catch (err) {
+    throw fail(`--${err.message}`, EXIT.USAGE);
+  }
+  return searchMemories(ctx.db, query, {
+    filter: { domain: flags["--domain"], type: flags["--type"], status: flags["--status"], tag: flags["--tag"], since },
+    limit: positiveInt(flags["--limit"], "--limit") ?? 20,
+    tokenBudget: positiveInt(flags["--budget"], "--budget") ?? 2000,
+    includeDeprecated: Boolean(flags["--include-deprecated"]),
+    namespace: ctx.namespace,
+    includeGlobal: !flags["--no-global"],
+    retrieveOptions: retrieveOptions(ctx.config),
+    explain: Boolean(flags["--explain"]),
+  });
+}
+
+function printBreakdown(e) {
+  if (!e) return;
+  if (e.spread) {
+    const sim = e.spread.similarity !== null ? `, query sim ${num(e.spread.similarity)}` : "";
+    console.log(`   spread: boost ${num(e.spread.boost)} over ${e.spread.hops} hop(s) ${e.spread.path.join(" → ")}${sim}`);
+    return;
+  }
+  const { relevance: r, activation: a, domain: d, type: t, penalties: p } = e;
+  console.log(`   relevance (${r.mode}): sim ${num(r.similarity)}, bm25 ${num(r.lexical)} → ${num(r.value)} × w = ${num(r.weighted)}`);
+  console.log(`   activation: base level ${num(a.baseLevel, 2)} → p ${num(a.probability)} × w = ${num(a.weighted)}`);
+  if (d.hints.length > 0) console.log(`   domain: ${d.matched ? "matched" : "no match"} (${d.hints.join(", ")}) → ${num(d.weighted)}`);
+  if (t.bonus) console.log(`   type: ${t.pattern_type} +${num(t.bonus, 2)}`);
+  const penalties = Object.entries(p);
+  if (penalties.length > 0) console.log(`   penalties: ${penalties.map(([k, v]) => `${k} ${num(v, 2)}`).join(", ")}`);
+  if (e.supersedes) console.log(`   supersedes: ${e.supersedes}`);
+  if (e.replaces) console.log(`   replaces (correction of): ${e.replaces}`);
+}
+
+function printSearch(r) {
+  if (r.warning) console.log(`⚠️  ${r.warning}\n`);
+  const filter = r.filter ? ` (${Object.entries(r.filter).map(([k, v]) => `${k}=${v}`).join(", ")})` : "";
+  const scope = r.namespace ? ` in ${r.namespace}` : "";
+  console.log(`Searching for: "${r.query}"${scope}${filter}\n`);
+  if (r.mode) console.log(`Mode: ${r.mode}, ${r.candidates} candidates\n`);
+
+  console.log(r.results.length === 0 ? "No results found." : `Found ${r.results.length} patterns:\n`);
+  for (const hit of r.results) {
+    const status = hit.status === "deprecated" ? " [deprecated]" : "";
+    const shared = r.namespace && r.namespace !== GLOBAL_NAMESPACE && hit.namespace === GLOBAL_NAMESPACE ? " (global)" : "";
+    console.log(`${hit.rank}. [${hit.domain}] ${hit.title || hit.id}${status}${shared}${hit.spread ? " (spread)" : ""}`);
+    console.log(`   Similarity: ${num(hit.similarity)} | Activation: ${num(hit.activation)} | Score: ${num(hit.score)}`);
+    printBreakdown(hit.explain);
+    if (hit.detail && hit.detail !== hit.title) console.log(`   ${short(hit.detail, 150)}`);
+    if (hit.correction) console.log(`   ⚠️  corrected: ${hit.correction.detail || hit.correction.title}`);
+    console.log();
+  }
+
+  if (r.rejected?.length > 0) {
+    console.log(`Rejected ${r.rejected.length}:\n`);
+    for (const c of r.rejected) {
+      const why = c.reason +
+        (c.with ? ` (with ${c.with})` : "") +
+        (c.by ? ` (by ${c.by})` : "") +
+        (c.floor !== undefined ? ` (sim ${num(c.explain?.relevance.similarity)} < ${c.floor})` : "") +
+        (c.cap !== undefined ? ` (max ${c.cap} per domain)` : "");
+      console.log(`✗ [${c.domain}] ${c.title || c.id} — ${why}, score ${num(c.score)}`);
+    }
+  }
+}
+
+// ─── top ─────────────────────────────────────────────────────────────────────
+
+function runTop(ctx) {
+  const limit = positiveInt(ctx.positional[0], "top") ?? 20;
+  const domain = ctx.flags["--domain"] || null;
+  const scope = namespaceScope(ctx.namespace);
+  const scopeJson = scope ? JSON.stringify(scope) : null;
+  const rows = ctx.db.prepare(`
+    SELECT id, domain, namespace, pattern_type, title, detail, ${BASE_LEVEL_SQL} AS activation,
+           datetime(last_retrieved) as last_used
+    FROM memories
+    WHERE (status = 'active' OR status IS NULL) AND (? IS NULL OR domain = ?)
+      AND (? IS NULL OR namespace IN (SELECT value FROM json_each(?)))
+    ORDER BY activation DESC
+    LIMIT ?
+  `).all(domain, domain, scopeJson, scopeJson, limit);
+  return { limit, domain, namespace: ctx.namespace, patterns: rows };
+}
+
+function printTop(r) {
+  const where = [r.domain && `in ${r.domain}`, r.namespace && `(namespace ${r.namespace} + global)`].filter(Boolean);
+  console.log(`Top ${r.limit} patterns by activation${where.length > 0 ? ` ${where.join(" ")}` : ""}:\n`);
+  r.patterns.forEach((p, i) => {
+    const act = p.activation === null ? "—" : p.activation.toFixed(2);
+    console.log(`${(i + 1).toString().padStart(2)}. [${act.padStart(6)}] ${p.title}`);
+    console.log(`    Domain: ${p.domain} | Type: ${p.pattern_type}`);
+    if (p.last_used) console.log(`    Last used: ${p.last_used}`);
+    if (p.detail && p.detail !== p.title) console.log(`    ${short(p.detail, 120)}`);
+    console.log();
+  });
+}
+
+// ─── stats ───────────────────────────────────────────────────────────────────
+
+/**
+ * Base-level activation B of the active memories, and how many are likely
+ * to be recalled (retrieval probability ≥ 0.5), fading (≥ 0.1) or at risk.
+ * Pinned memories count as full activation, as in ranking.
+ */
+function activationSummary(db) {
+  const rows = db.prepare(
+    `SELECT ${BASE_LEVEL_SQL} AS b, pinned FROM memories WHERE status = 'active' OR status IS NULL`
+  ).all();
+  const levels = rows.map((r) => r.b).filter((b) => b !== null);
+  const round = (x) => Math.round(x * 100) / 100;
+  const summary = {
+    avg: levels.length ? round(levels.reduce((sum, b) => sum + b, 0) / levels.length) : null,
+    min: levels.length ? round(Math.min(...levels)) : null,
+    max: levels.length ? round(Math.max(...levels)) : null,
+    likely: 0,
+    fading: 0,
+    at_risk: 0,
+    pinned: 0,
+  };
+  for (const r of rows) {
+    const p = r.pinned ? 1 : retrievalProbability(r.b);
+    if (r.pinned) summary.pinned++;
+    summary[p >= 0.5 ? "likely" : p >= 0.1 ? "fading" : "at_risk"]++;
+  }
+  return summary;
+}
+
+function runStats(ctx) {
+  const { db } = ctx;
+  const stats = getStats(db);
+  const count = (where) => db.prepare(`SELECT COUNT(*) AS cnt FROM memories WHERE ${where}`).get().cnt;
+  return {
+    dbPath: ctx.dbPath,
+    total: stats.total,
+    atomic: stats.atomic,
+    deprecated: count("status = 'deprecated'"),
+    coOccurrences: stats.coOccurrences,
+    withEmbeddings: count("embedding IS NOT NULL"),
+    embeddingModels: stats.embeddingModels,
+    namespaces: stats.namespaces,
+    domains: db.prepare("SELECT domain, COUNT(*) AS count FROM memories GROUP BY domain ORDER BY count DESC").all(),
+    types: db.prepare("SELECT pattern_type, COUNT(*) AS count FROM memories GROUP BY pattern_type ORDER BY count DESC").all(),
+    activation: activationSummary(db),
+    graph: getGraphStats(db),
+  };
+}
+
+function printStats(r) {
+  const bar = (count, total) => "█".repeat(Math.ceil((count / (total || 1)) * 40));
+  console.log("Hebbian Memory Database Statistics\n");
+  console.log(`Total memories: ${r.total} (${r.deprecated} deprecated)`);
+  console.log(`Atomic patterns: ${r.atomic}`);
+  console.log(`Co-occurrence pairs: ${r.coOccurrences}`);
+  console.log(`With embeddings: ${r.withEmbeddings} (${((r.withEmbeddings / (r.total || 1)) * 100).toFixed(1)}%)`);
+  for (const m of r.embeddingModels) console.log(`  ${m.model || "(unknown model)"}: ${m.cnt}`);
+
+  if (r.namespaces.length > 1) {
+    console.log("\nBreakdown by namespace:");
+    for (const row of r.namespaces) {
+      console.log(`  ${row.namespace.padEnd(25)} ${row.cnt.toString().padStart(5)} ${bar(row.cnt, r.total)}`);
+    }
+  }
+
+  console.log("\nBreakdown by domain:");
+  for (const row of r.domains.slice(0, 15)) {
+    console.log(`  ${(row.domain || "(none)").padEnd(25)} ${row.count.toString().padStart(5)} ${bar(row.count, r.total)}`);
+  }
+  console.log("\nBreakdown by pattern type:");
+  for (const row of r.types) {
+    console.log(`  ${(row.pattern_type || "(none)").padEnd(25)} ${row.count.toString().padStart(5)} ${bar(row.count, r.total)}`);
+  }
+
+  const a = r.activation;
+  console.log("\nActivation summary (base level B of active memories):");
+  console.log(`  Average B: ${a.avg ?? "-"}`);
+  console.log(`  Range: ${a.min ?? "-"} to ${a.max ?? "-"}`);
+  console.log(`  Likely recalled (p ≥ 0.5): ${a.likely}${a.pinned ? ` (${a.pinned} pinned)` : ""}`);
+  console.log(`  Fading (p 0.1-0.5): ${a.fading}`);
+  console.log(`  At risk (p < 0.1): ${a.at_risk}`);
+
+  const g = r.graph;
+  console.log("\nCo-occurrence graph:");
+  console.log(`  Nodes: ${g.nodes} (${g.isolated} memories unlinked)`);
+  console.log(`  Edges: ${g.edges} (${g.crossDomain} cross-domain)`);
+  console.log(`  Out-degree: median ${g.degree.median}, mean ${g.degree.mean}, p90 ${g.degree.p90}, max ${g.degree.max}`);
+  const degrees = Object.values(g.degree.buckets).reduce((sum, n) => sum + n, 0); // one per node and namespace
+  for (const [range, count] of Object.entries(g.degree.buckets)) {
+    console.log(`  ${range.padEnd(25)} ${count.toString().padStart(5)} ${bar(count, degrees)}`);
+  }
+}
+
+// ─── correct / deprecate ─────────────────────────────────────────────────────
+
+const QUEUE_COMMANDS = ["scan", "review", "resolve", "list-deprecated", "search"];
+
+function runCorrect(ctx) {
+  const { db, positional, flags } = ctx;
+  const [sub, ...args] = positional;
+
+  switch (sub) {
+    case "scan": {
+      const threshold = flags["--threshold"] !== undefined ? parseFloat(flags["--threshold"]) : CONTRADICTION_THRESHOLD;
+      const dryRun = Boolean(flags["--dry-run"]);
+      const { pairs, added } = detectContradictions(db, { threshold, domain: flags["--domain"] || null, dryRun });
+      return { action: "scan", dryRun, threshold, pairs, added };
+    }
+    case "review": {
+      const limit = positiveInt(args[0], "review") ?? 20;
+      return { action: "review", queue: getContradictions(db, { status: flags["--all"] ? null : "open", limit }) };
+    }
+    case "resolve": {
+      const [idA, idB, resolution, keep] = args;
+      if (!idA || !idB || !resolution) throw fail(`resolve needs <id_a> <id_b> ${RESOLUTIONS.join("|")} [keep_id]`, EXIT.USAGE);
+      return { action: "resolve", ...resolveContradiction(db, idA, idB, resolution, { keep: keep || null }) };
+    }
+    case "list-deprecated": {
+      const limit = positiveInt(args[0], "list-deprecated") ?? 20;
+      const deprecated = db.prepare(`
+        SELECT m.id, m.domain, m.pattern_type, m.detail, m.superseded_by,
+               newer.detail as superseded_by_detail
+        FROM memories m
+        LEFT JOIN memories newer ON m.superseded_by = newer.id
+        WHERE m.status = 'deprecated'
+        ORDER BY m.last_retrieved DESC NULLS LAST
+        LIMIT ?
+      `).all(limit);
+      return { action: "list-deprecated", deprecated };
+    }
+    case "search": {
+      // Ranked full-text search, deprecated entries included: find ids to correct
+      const query = args.join(" ");
+      if (!query) throw fail("correct search needs a query", EXIT.USAGE);
+      const getEntry = db.prepare("SELECT id, domain, pattern_type, detail, status, activation FROM memories WHERE id = ?");
+      return { action: "search", query, matches: lexicalSearch(db, query, 20).map((hit) => getEntry.get(hit.id)).filter(Boolean) };
+    }
+  }
+
+  const [correctionId, correctedId] = positional;
+  if (!correctionId || !correctedId) throw fail("correct needs <correction_id> <corrected_id>", EXIT.USAGE);
+  const correction = requireMemory(db, correctionId);
+  const corrected = requireMemory(db, correctedId);
+  markAsCorrection(db, correctionId, correctedId);
+  return { action: "correct", correction: publicRow(db, correction), corrected: publicRow(db, corrected) };
+}
+
+function printCorrect(r) {
+  switch (r.action) {
+    case "scan":
+      for (const p of r.pairs) {
+        console.log(`${r.dryRun ? "🔍" : "⚠️"} [${p.domain}] conflict ${p.score.toFixed(2)} (sim ${p.similarity.toFixed(3)})`);
+        console.log(`   ${p.memoryA}`);
+        console.log(`   ${p.memoryB}`);
+        for (const e of p.evidence) console.log(`   • ${e}`);
+        console.log();
+      }
+      console.log(r.dryRun
+        ? `Dry run: ${r.pairs.length} conflicting pairs (threshold ${r.threshold})`
+        : `✅ ${r.pairs.length} conflicting pairs, ${r.added} new in the review queue (threshold ${r.threshold})`);
+      break;
+    case "review":
+      if (r.queue.length === 0) {
+        console.log("No contradictions to review.");
+        break;
+      }
+      console.log(`Contradictions (${r.queue.length}):\n`);
+      for (const c of r.queue) {
+        const state = c.status === "open" ? "" : ` [${c.status}: ${c.resolution}${c.kept ? ` → kept ${c.kept}` : ""}]`;
+        console.log(`Conflict ${c.score.toFixed(2)} (sim ${c.similarity.toFixed(3)})${state}`);
+        for (const side of [c.a, c.b]) {
+          console.log(`  ${side.id}`);
+          console.log(`    [${side.domain}/${side.pattern_type}] ${(side.detail || "").slice(0, 100)}`);
+        }
+        for (const e of c.evidence) console.log(`  • ${e}`);
+        console.log();
+      }
+      console.log(`Resolve with: hebbian correct resolve <id_a> <id_b> ${RESOLUTIONS.join("|")} [keep_id]`);
+      break;
+    case "resolve": {
+      if (r.resolution === "dismiss") {
+        console.log(`✅ Dismissed: ${r.memoryA} / ${r.memoryB}`);
+        break;
+      }
+      const other = r.kept === r.memoryA ? r.memoryB : r.memoryA;
+      console.log(r.resolution === "deprecate"
+        ? `✅ Deprecated ${other}, superseded by ${r.kept}`
+        : `✅ Marked ${r.kept} as a correction of ${other}`);
+      break;
+    }
+    case "list-deprecated":
+      if (r.deprecated.length === 0) {
+        console.log("No deprecated entries found.");
+        break;
+      }
+      console.log(`Deprecated entries (${r.deprecated.length}):\n`);
+      for (const entry of r.deprecated) {
+        console.log(`ID: ${entry.id}`);
+        console.log(`  [${entry.domain}/${entry.pattern_type}] ${(entry.detail || "").slice(0, 80)}`);
+        if (entry.superseded_by_detail) console.log(`  → Superseded by: ${entry.superseded_by_detail.slice(0, 80)}`);
+        console.log();
+      }
+      break;
+    case "search":
+      if (r.matches.length === 0) {
+        console.log(`No matches found for: ${r.query}`);
+        break;
+      }
+      console.log(`Found ${r.matches.length} matches for: ${r.query}\n`);
+      for (const entry of r.matches) {
+        console.log(`${entry.id} ${entry.status === "deprecated" ? "[DEPRECATED]" : ""}`);
+        console.log(`  [${entry.domain}/${entry.pattern_type}] activation:${(entry.activation || 0).toFixed(1)}`);
+        console.log(`  ${(entry.detail || "").slice(0, 100)}`);
+        console.log();
+      }
+      break;
+    default:
+      console.log(`✅ Marked as correction: [${r.correction.domain}/${r.correction.pattern_type}] ${short(r.correction.detail, 60)}`);
+      console.log(`   Corrects: [${r.corrected.domain}/${r.corrected.pattern_type}] ${short(r.corrected.detail, 60)}`);
+  }
+}
+
+function runDeprecate(ctx) {
+  const [oldId, newId = null] = ctx.positional;
+  if (!oldId) throw fail("deprecate needs <old_id> [new_id]", EXIT.USAGE);
+  const old = requireMemory(ctx.db, oldId);
+  const newer = newId ? requireMemory(ctx.db, newId) : null;
+  deprecateMemory(ctx.db, oldId, newId);
+  return { deprecated: publicRow(ctx.db, old), supersededBy: newer && publicRow(ctx.db, newer) };
+}
+
+function printDeprecate(r) {
+  console.log(`✅ Deprecated: [${r.deprecated.domain}/${r.deprecated.pattern_type}] ${short(r.deprecated.detail, 60)}`);
+  if (r.supersededBy) console.log(`   Superseded by: [${r.supersededBy.domain}/${r.supersededBy.pattern_type}] ${short(r.supersededBy.detail, 60)}`);
+}
+
+function runPin(ctx) {
+  const [id] = ctx.positional;
+  if (!id) throw fail(`${ctx.name} needs a memory id`, EXIT.USAGE);
+  const row = requireMemory(ctx.db, id);
+  const pinned = ctx.name === "pin";
+  pinMemory(ctx.db, id, pinned);
+  return { ...publicRow(ctx.db, row), pinned: pinned ? 1 : 0 };
+}
+
+// ─── feedback ────────────────────────────────────────────────────────────────
+
+function runFeedback(ctx) {
+  const { db, positional, flags } = ctx;
+  const [id, kind] = positional;
+  if (!id || !FEEDBACK_KINDS.includes(kind)) {
+    throw fail(`feedback needs <id> <${FEEDBACK_KINDS.join("|")}>`, EXIT.USAGE);
+  }
+  requireMemory(db, id);
+  return recordFeedback(db, id, kind, { session: flags["--session"] ?? null, note: flags["--note"] ?? null });
+}
+
+function printFeedback(r) {
+  const from = r.retrievalId ? ` (${r.edges} edges from retrieval #${r.retrievalId})` : "";
+  console.log(`✅ ${r.kind}: ${r.memoryId} — bias now ${r.bias.toFixed(2)}${from}`);
+}
+
+// ─── extract ─────────────────────────────────────────────────────────────────
+
+/**
+ * Run an extractor script in a child process against this store. Its own
+ * arguments pass through unchanged; with --json its output is collected.
+ */
+function runExtract(ctx) {
+  const [name, ...args] = ctx.positional;
+  const script = EXTRACTORS[name];
+  if (!script) throw fail(`extract needs one of: ${Object.keys(EXTRACTORS).join(", ")}`, EXIT.USAGE);
+
+  // The extractor loads the same config file; settings from flags and env travel as env
+  const env = { ...process.env, ...configEnv(ctx.config) };
+  if (ctx.flags["--config"]) env.HEBBIAN_CONFIG = expandHome(ctx.flags["--config"]);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [script, ...args], {
+      env,
+      stdio: ctx.json ? ["ignore", "pipe", "pipe"] : "inherit",
+    });
+    let output = "";
+    child.stdout?.on("data", (chunk) => { output += chunk; });
+    child.stderr?.on("data", (chunk) => { output += chunk; });
+    child.on("error", reject);
+    child.on("close", (code) => {
+      if (code !== 0) {
+        reject(fail(`${name} extractor exited with code ${code}${output ? `:\n${output.trim()}` : ""}`));
+        return;
+      }
+      resolve({ extractor: name, args, output: output.trim().split("\n").filter(Boolean) });
+    });
+  });
+}
+
+// ─── embed ───────────────────────────────────────────────────────────────────
+
+async function runEmbed(ctx) {
+  const { db, flags } = ctx;
+  const batchSize = positiveInt(flags["--batch"], "--batch") ?? 25;
+  const progress = (done, total) => {
+    if (!ctx.json) process.stdout.write(`  ${done}/${total}\r`);
+  };
+
+  if (flags["--model"]) {
+    // Migrate every vector to another model of the configured provider (resumable — rerun after a failure)
+    const model = flags["--model"];
+    const provider = createEmbeddingProvider({ ...embeddingOptions(ctx.config), model });
+    const saved = JSON.parse(getMeta(db, "reembed_progress") || "null");
+    const result = await reembedAll(db, { provider, batchSize, onProgress: (p) => progress(p.done, p.total) });
+    return {
+      mode: "reembed",
+      model,
+      resumedAt: saved?.model === model ? saved.done : null,
+      embedded: result.done,
+      queryModel: getEmbeddingProvider().model,
+    };
+  }
+
+  const missing = db.prepare(
+    "SELECT id, title, detail, domain, pattern_type, source_section FROM memories WHERE embedding IS NULL"
+  ).all();
+  const provider = getEmbeddingProvider();
+  let embedded = 0;
+  const errors = [];
+  for (let i = 0; i < missing.length; i += batchSize) {
+    const batch = missing.slice(i, i + batchSize);
+    try {
+      const embeddings = await generateEmbeddings(batch.map((e) => embeddingText(e)), provider);
+      db.transaction(() => {
+        batch.forEach((e, j) => setEmbedding(db, e.id, embeddings[j], provider.model));
+      })();
+      embedded += batch.length;
+      progress(embedded, missing.length);
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+  if (missing.length > 0 && embedded === 0) throw fail(`Embedding failed: ${errors[0]}`);
+  return { mode: "missing", provider: `${provider.name}/${provider.model}`, missing: missing.length, embedded, errors };
+}
+
+function printEmbed(r) {
+  if (r.mode === "reembed") {
+    console.log(`\n✅ Re-embedded ${r.embedded} entries with ${r.model}${r.resumedAt ? ` (resumed at ${r.resumedAt})` : ""}`);
+    if (r.queryModel !== r.model) {
+      console.log(`   Queries still use ${r.queryModel} — set HEBBIAN_EMBED_MODEL=${r.model} (plugin: embedModel)`);
+    }
+    return;
+  }
+  if (r.missing === 0) {
+    console.log(`✅ Every entry has an embedding (provider: ${r.provider})`);
+    return;
+  }
+  console.log(`\n✅ Embedded ${r.embedded}/${r.missing} entries missing embeddings (provider: ${r.provider})`);
+  for (const e of r.errors) console.log(`   ⚠️ batch failed: ${e}`);
+}
+
+// ─── decay ───────────────────────────────────────────────────────────────────
+
+/**
+ * Decay the legacy activation column and prune co-occurrence edges that
+ * decayed away. Ranking uses base-level activation, which needs no job.
+ */
+function runDecay(ctx) {
+  const { db, flags } = ctx;
+  const factor = flags["--factor"] !== undefined ? parseFloat(flags["--factor"]) : ctx.config.decay.dailyFactor;
+  if (!(factor > 0 && factor <= 1)) throw fail(`--factor: expected a number in (0, 1], got "${flags["--factor"]}"`, EXIT.USAGE);
+
+  const avg = () => db.prepare("SELECT AVG(activation) AS avg FROM memories").get().avg;
+  const avgBefore = avg();
+  decayAll(db, factor);
+  const edges = pruneCoOccurrences(db, {
+    minWeight: flags["--min"] !== undefined ? parseFloat(flags["--min"]) : ctx.config.decay.pruneThreshold,
+    ...(flags["--max-fanout"] !== undefined ? { maxFanOut: positiveInt(flags["--max-fanout"], "--max-fanout") } : {}),
+  });
+  return { factor, avgBefore, avgAfter: avg(), edges };
+}
+
+function printDecay(r) {
+  console.log(`✅ Decayed legacy activation ×${r.factor}: avg ${num(r.avgBefore, 2)} → ${num(r.avgAfter, 2)}`);
+  console.log(`✅ Pruned ${r.edges.decayed} decayed + ${r.edges.capped} over fan-out — ${r.edges.remaining} edges left`);
+}
+
+// ─── doctor ──────────────────────────────────────────────────────────────────
+
+async function runDoctor(ctx) {
+  const { db } = ctx;
+  const checks = [];
+  const check = async (name, fn) => {
+    try {
+      const [status, detail] = await fn();
+      checks.push({ name, status, detail });
+    } catch (err) {
+      checks.push({ name, status: "fail", detail: err.message });
+    }
+  };
+
+  await check("schema", () => {
+    const s = migrationStatus(db);
+    return s.current === s.latest
+      ? ["ok", `v${s.current}`]
+      : ["fail", `v${s.current}, latest v${s.latest} — run: node cli/migrate.mjs`];
+  });
+  await check("integrity", () => {
+    const result = db.pragma("quick_check", { simple: true });
+    return result === "ok" ? ["ok", "quick_check passed"] : ["fail", result];
+  });
+  const provider = getEmbeddingProvider();
+  await check("embedder", async () => {
+    await generateEmbeddings(["hebbian doctor"], provider);
+    return ["ok", `${provider.name}/${provider.model} reachable`];
+  });
+  await check("embeddings", () => {
+    const total = db.prepare("SELECT COUNT(*) AS cnt FROM memories WHERE status = 'active' OR status IS NULL").get().cnt;
+    const current = db.prepare(
+      "SELECT COUNT(*) AS cnt FROM memories WHERE (status = 'active' OR status IS NULL) AND embedding_model = ?"
+    ).get(provider.model).cnt;
+    const foreign = getStats(db).embeddingModels.filter((m) => m.model && m.model !== provider.model);
+    const detail = `${current}/${total} active entries embedded with ${provider.model}` +
+      (foreign.length > 0 ? `; other models: ${foreign.map((m) => `${m.model} (${m.cnt})`).join(", ")} — run: hebbian embed --model ${provider.model}` : "");
+    if (total > 0 && current < total * 0.5) return ["warn", `${detail} — run: hebbian embed`];
+    return [current < total ? "warn" : "ok", detail];
+  });
+  await check("full-text index", () => {
+    const memories = db.prepare("SELECT COUNT(*) AS cnt FROM memories").get().cnt;
+    const indexed = db.prepare("SELECT COUNT(*) AS cnt FROM memories_fts").get().cnt;
+    return indexed === memories ? ["ok", `${indexed} rows`] : ["warn", `${indexed} indexed of ${memories} memories`];
+  });
+  await check("supersession", () => {
+    const dangling = db.prepare(`
+      SELECT COUNT(*) AS cnt FROM memories m
+      WHERE m.status = 'deprecated' AND m.superseded_by IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM memories n WHERE n.id = m.superseded_by)
+    `).get().cnt;
+    return dangling === 0 ? ["ok", "no dangling superseded_by"] : ["warn", `${dangling} deprecated entries point at missing memories`];
+  });
+  await check("contradictions", () => {
+    const open = db.prepare("SELECT COUNT(*) AS cnt FROM contradictions WHERE status = 'open'").get().cnt;
+    return open === 0 ? ["ok", "review queue empty"] : ["warn", `${open} open — run: hebbian correct review`];
+  });
+
+  const failed = checks.filter((c) => c.status === "fail").length;
+  if (failed > 0) ctx.exitCode = EXIT.ERROR;
+  return { dbPath: ctx.dbPath, checks, failed };
+}
+
+function printDoctor(r) {
+  const icon = { ok: "✅", warn: "⚠️ ", fail: "❌" };
+  console.log(`🧠 ${r.dbPath}\n`);
+  for (const c of r.checks) console.log(`${icon[c.status]} ${c.name.padEnd(16)} ${c.detail}`);
+  if (r.failed > 0) console.log(`\n❌ ${r.failed} check(s) failed`);
+}
+
+// ─── export / import ─────────────────────────────────────────────────────────
+
+/** The store as JSONL (see lib/transfer.mjs), to --out or stdout. */
+function runExport(ctx) {
+  const { flags } = ctx;
+  const options = {
+    namespace: ctx.namespace,
+    domain: flags["--domain"] || null,
+    type: flags["--type"] || null,
+    status: flags["--status"] || null,
+    embeddings: !flags["--no-embeddings"],
+  };
+  const out = flags["--out"];
+  if (!out) {
+    exportMemories(ctx.db, (line) => process.stdout.write(`${line}\n`), options);
+    return null; // stdout holds the export itself
+  }
+  const fd = openSync(expandHome(out), "w");
+  try {
+    return { out, ...exportMemories(ctx.db, (line) => writeSync(fd, `${line}\n`), options) };
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function runImport(ctx) {
+  const [file] = ctx.positional;
+  if (!file) throw fail("import needs a file (- for stdin)", EXIT.USAGE);
+  const strategy = ctx.flags["--strategy"] || "skip";
+  if (!STRATEGIES.includes(strategy)) throw fail(`--strategy: expected ${STRATEGIES.join(" | ")}`, EXIT.USAGE);
+
+  const text = readFileSync(file === "-" ? 0 : expandHome(file), "utf-8");
+  let parsed;
+  try {
+    parsed = parseExport(text);
+  } catch (err) {
+    throw fail(`${file}: ${err.message}`);
+  }
+  const dryRun = Boolean(ctx.flags["--dry-run"]);
+  const result = importMemories(ctx.db, parsed, {
+    strategy, remap: Boolean(ctx.flags["--remap"]), namespace: ctx.namespace, dryRun,
+  });
+  return { file, strategy, namespace: ctx.namespace, dryRun, from: parsed.header?.exported ?? null, ...result };
+}
+
+function printImport(r) {
+  const remapped = Object.entries(r.remapped);
+  console.log(`${r.dryRun ? "Dry run: would import" : "✅ Imported"} ${r.file} (${r.strategy}${r.namespace ? `, into ${r.namespace}` : ""})`);
+  console.log(`   ${r.added} added, ${r.overwritten} overwritten, ${r.skipped} skipped, ${r.edges} edges, ${r.meta} meta keys`);
+  for (const [from, to] of remapped) console.log(`   ↻ ${from} → ${to}`);
+  if (r.dropped > 0) console.log(`   ⚠️ ${r.dropped} references to memories in neither store dropped`);
+  if (r.unembedded > 0) console.log(`   ${r.unembedded} without embeddings — run: hebbian embed`);
+}
+
+// ─── serve ───────────────────────────────────────────────────────────────────
+
+/**
+ * Serve the HTTP API (lib/server.mjs) until SIGINT / SIGTERM. The token
+ * comes from --token, $HEBBIAN_API_TOKEN or the config's apiToken; scoring
+ * follows the config's `retrieval` section.
+ */
+function runServe(ctx) {
+  const { flags, config } = ctx;
+  const host = flags["--host"] || config.host || DEFAULT_HOST;
+  const port = flags["--port"] !== undefined ? parseInt(flags["--port"], 10) : config.port ?? DEFAULT_PORT;
+  if (!(port >= 0 && port < 65536)) throw fail(`--port: expected a port number, got "${flags["--port"]}"`, EXIT.USAGE);
+  const token = flags["--token"] || config.apiToken;
+
+  const server = createMemoryServer(ctx.db, {
+    token,
+    namespace: ctx.namespace,
+    retrieveOptions: retrieveOptions(config),
+    tokenBudget: config.retrieval.maxContextTokens,
+    limit: config.retrieval.maxEntries,
+  });
+  return new Promise((resolve, reject) => {
+    server.once("error", (err) => reject(fail(`Cannot listen on ${host}:${port}: ${err.message}`)));
+    server.listen(port, host, () => {
+      const address = server.address();
+      const url = `http://${address.family === "IPv6" ? `[${address.address}]` : address.address}:${address.port}`;
+      if (ctx.json) {
+        console.log(JSON.stringify({ listening: url, auth: Boolean(token) }));
+      } else {
+        const scope = ctx.namespace ? `, namespace ${ctx.namespace}` : "";
+        console.log(`🧠 Serving ${ctx.dbPath} on ${url}${scope}${token ? " (bearer token required)" : ""}`);
+        if (!token && !LOOPBACK.has(address.address)) {
+          console.log("⚠️  Reachable from the network without a token — set --token or HEBBIAN_API_TOKEN");
+        }
+      }
+
+      const stop = () => {
+        process.off("SIGINT", stop);
+        process.off("SIGTERM", stop);
+        server.close(() => resolve(null));
+        server.closeAllConnections();
+      };
+      process.on("SIGINT", stop);
+      process.on("SIGTERM", stop);
+    });
+  });
+}
+
+// ─── mcp ─────────────────────────────────────────────────────────────────────
+
+/**
+ * MCP server on stdin/stdout (lib/mcp.mjs) until the client closes stdin.
+ * Stdout carries the protocol only; nothing else is printed there.
+ */
+async function runMcp(ctx) {
+  await serveStdio(createMcpHandler(ctx.db, { namespace: ctx.namespace, retrieveOptions: retrieveOptions(ctx.config) }));
+  return null;
+}
+
+// ─── Commands ────────────────────────────────────────────────────────────────
+
+const COMMANDS = {
+  init: { summary: "Create or migrate the database", run: runInit, print: printInit },
+  add: {
+    usage: "add <text> [--title t] [--domain d] [--type t] [--tags a,b] [--source s] [--id id]",
+    summary: "Add a memory (deduplicated, supersedes updated facts)",
+    flags: { "--title": "value", "--domain": "value", "--type": "value", "--tags": "value", "--source": "value", "--id": "value" },
+    run: runAdd,
+    print: printAdd,
+  },
+  get: { usage: "get <id>", summary: "Show one memory", run: runGet, print: printGet },
+  search: {
+    usage: "search [--domain d] [--type t] [--status s] [--tag t] [--since 7d|date] [--include-deprecated] [--no-global] [--limit n] [--budget tokens] [--explain] <query>",
+    summary: "Retrieve like the plugin does",
+    flags: {
+      "--domain": "value", "--type": "value", "--status": "value", "--tag": "value", "--since": "value",
+      "--limit": "value", "--budget": "value", "--include-deprecated": "boolean", "--no-global": "boolean",
+      "--explain": "boolean",
+    },
+    run: runSearch,
+    print: printSearch,
+  },
+  top: { usage: "top [n] [--domain d]", summary: "Top memories by activation", flags: { "--domain": "value" }, run: runTop, print: printTop },
+  stats: { summary: "Store statistics", run: runStats, print: printStats },
+  correct: {
+    usage: "correct <correction_id> <corrected_id> | scan [--dry-run] [--domain d] [--threshold t] | review [n] [--all] | resolve <a> <b> deprecate|correct|dismiss [keep] | list-deprecated [n] | search <query>",
+    summary: "Mark corrections, review contradictions",
+    flags: { "--dry-run": "boolean", "--domain": "value", "--threshold": "value", "--all": "boolean" },
+    run: runCorrect,
+    print: printCorrect,
+  },
+  deprecate: { usage: "deprecate <old_id> [new_id]", summary: "Deprecate a memory", run: runDeprecate, print: printDeprecate },
+  pin: { usage: "pin <id>", summary: "Keep a memory from fading", run: runPin, print: (r) => console.log(`📌 Pinned ${r.id}`) },
+  unpin: { usage: "unpin <id>", summary: "Let a pinned memory fade again", run: runPin, print: (r) => console.log(`✅ Unpinned ${r.id}`) },
+  feedback: {
+    usage: `feedback <id> ${FEEDBACK_KINDS.join("|")} [--session s] [--note text]`,
+    summary: "Rate a memory (and the links from its retrieval)",
+    flags: { "--session": "value", "--note": "value" },
+    run: runFeedback,
+    print: printFeedback,
+  },
+  extract: {
+    usage: `extract ${Object.keys(EXTRACTORS).join("|")} [extractor args…]`,
+    summary: "Run an extractor against this store",
+    passthrough: true,
+    run: runExtract,
+    print: () => {}, // the extractor printed its own output
+  },
+  embed: {
+    usage: "embed [--model m] [--batch n]",
+    summary: "Embed entries without vectors, or re-embed all with --model",
+    flags: { "--model": "value", "--batch": "value" },
+    run: runEmbed,
+    print: printEmbed,
+  },
+  decay: {
+    usage: "decay [--factor f] [--min w] [--max-fanout n]",
+    summary: "Decay legacy activation, prune decayed edges",
+    flags: { "--factor": "value", "--min": "value", "--max-fanout": "value" },
+    run: runDecay,
+    print: printDecay,
+  },
+  doctor: { summary: "Check schema, integrity, embedder and indexes", run: runDoctor, print: printDoctor, migrate: false },
+  export: {
+    usage: "export [--out file] [--domain d] [--type t] [--status s] [--no-embeddings]",
+    summary: "Memories, tags, edges and meta as JSONL",
+    flags: { "--out": "value", "--domain": "value", "--type": "value", "--status": "value", "--no-embeddings": "boolean" },
+    run: runExport,
+    print: (r) => r && console.log(`✅ Exported ${r.memories} memories, ${r.edges} edges, ${r.meta} meta keys to ${r.out}`),
+  },
+  import: {
+    usage: `import <file|-> [--strategy ${STRATEGIES.join("|")}] [--remap] [--dry-run]`,
+    summary: "Import an export or a JSON array of memories",
+    flags: { "--strategy": "value", "--remap": "boolean", "--dry-run": "boolean" },
+    run: runImport,
+    print: printImport,
+  },
+  serve: {
+    usage: "serve [--host h] [--port n] [--token t]",
+    summary: "HTTP API for other agents (localhost by default)",
+    flags: { "--host": "value", "--port": "value", "--token": "value" },
+    run: runServe,
+    print: () => console.log("Stopped."),
+  },
+  mcp: { summary: "MCP server over stdio (tools and resources)", run: runMcp, print: () => {} },
+};
+
+function usage() {
+  const lines = Object.entries(COMMANDS).map(([name, c]) => `  ${(c.usage || name).split(" ")[0].padEnd(10)} ${c.summary}`);
+  return `Usage: hebbian <command> [args] [--db <path>] [--config <file>] [--namespace <ns>] [--json]
+
+Commands:
+${lines.join("\n")}
+
+Run "hebbian <command> --help" for a command's arguments.
+Exit codes: 0 ok, 1 failed, 2 usage error, 3 memory not found`;
+}
+
+/**
+ * Run one CLI invocation (argv without node and script) → exit code.
+ * Global flags may come before or after the command.
+ */
+export async function main(argv) {
+  let index = -1;
+  for (let i = 0; i < argv.length; i++) {
+    if (GLOBAL_FLAGS[argv[i]] === "value") i++;
+    else if (!argv[i].startsWith("-")) { index = i; break; }
+  }
+  const name = index > -1 ? argv[index] : null;
+  const rest = index > -1 ? [...argv.slice(0, index), ...argv.slice(index + 1)] : argv;
+  const command = COMMANDS[name];
+  const json = rest.includes("--json");
+
+  const report = (err) => {
+    if (json) console.error(JSON.stringify({ error: err.message, exitCode: err.exitCode ?? EXIT.ERROR }));
+    else console.error(`❌ ${err.message}`);
+    return err.exitCode ?? EXIT.ERROR;
+  };
+
+  if (!command) {
+    if (name) return report(fail(`Unknown command: ${name}\n\n${usage()}`, EXIT.USAGE));
+    console.log(usage());
+    return rest.includes("--help") || rest.includes("-h") ? EXIT.OK : EXIT.USAGE;
+  }
+
+  let db = null;
+  try {
+    const { flags, positional } = parseArgs(rest, command.flags, { passthrough: command.passthrough });
+    if (flags["--help"] || flags["-h"]) {
+      console.log(`Usage: hebbian ${command.usage || name}\n\n${command.summary}`);
+      return EXIT.OK;
+    }
+
+    let config;
+    try {
+      config = loadConfig({
+        path: flags["--config"],
+        overrides: { dbPath: flags["--db"], namespace: flags["--namespace"] },
+        source: "command line",
+      });
+    } catch (err) {
+      throw fail(err.message, EXIT.USAGE);
+    }
+    setEmbeddingProvider(embeddingOptions(config));
+    const { dbPath, namespace } = config;
+
+    const ctx = {
+      name,
+      flags,
+      positional,
+      config,
+      json,
+      dbPath,
+      namespace,
+      exitCode: EXIT.OK, // a command that reports a failure in its result sets this
+      get db() {
+        if (!db) db = openDb(dbPath, { migrate: command.migrate !== false });
+        return db;
+      },
+    };
+    const result = await command.run(ctx);
+    if (json) {
+      if (result !== null) console.log(JSON.stringify(result, null, 2));
+    } else {
+      command.print(result, ctx);
+    }
+    return ctx.exitCode;
+  } catch (err) {
+    return report(err);
+  } finally {
+    if (db) closeDb();
+  }
+}
+
+// Run when invoked directly (also through the npm bin symlink), not when imported
+const invoked = process.argv[1] && realpathSync(process.argv[1]);
+if (invoked === fileURLToPath(import.meta.url)) {
+  process.exitCode = await main(process.argv.slice(2));
+}
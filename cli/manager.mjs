@@ -15,21 +15,28 @@
  *   getDb() — direct access to the SQLite database
  */
 
-import { homedir } from "node:os";
-import { join } from "node:path";
+import { realpathSync } from "node:fs";
+import { fileURLToPath } from "node:url";
 import {
   openDb, closeDb, upsertMemory, bumpActivations,
   wireCoOccurrences, getStats as getDbStats, decayAll,
   getMeta, setMeta, embeddingText, generateEmbeddings,
-  embeddingToBlob, DEFAULT_DB_PATH,
+  setEmbedding, createEmbeddingProvider, getEmbeddingProvider, setEmbeddingProvider, rebuildVectorIndex,
+  getVectorStorage, setVectorStorage, reembedAll, pruneCoOccurrences, getGraphStats,
+  recordFeedback, FEEDBACK_KINDS,
+  BASE_LEVEL_SQL,
 } from "../lib/db.mjs";
+import { loadConfig, embeddingOptions } from "../lib/config.mjs";
 
 // ─── Configuration ───────────────────────────────────────────────────────────
 
-const CONFIG = {
-  dbPath: DEFAULT_DB_PATH,
-  decayRate: 0.9995, // Multiplicative daily decay factor
-};
+// dbPath and decay from ~/.hebbian/config.json and env (lib/config.mjs), read on first use
+let _config = null;
+
+function getConfig() {
+  if (!_config) _config = loadConfig();
+  return _config;
+}
 
 // ─── Database access ─────────────────────────────────────────────────────────
 
@@ -37,7 +44,7 @@ let _db = null;
 
 function getDb() {
   if (!_db) {
-    _db = openDb(CONFIG.dbPath);
+    _db = openDb(getConfig().dbPath);
   }
   return _db;
 }
@@ -144,8 +151,7 @@ export function addEntry(data, entry) {
   const text = embeddingText(record);
   generateEmbeddings([text])
     .then(([emb]) => {
-      const blob = embeddingToBlob(emb);
-      db.prepare("UPDATE memories SET embedding = ? WHERE id = ?").run(blob, id);
+      setEmbedding(db, id, emb);
     })
     .catch(() => {}); // Silent failure — embedding can be retried later
 
@@ -153,26 +159,17 @@ export function addEntry(data, entry) {
   return record;
 }
 
-/**
- * Simple content hash for change detection.
- */
-export function hashContent(content) {
-  let hash = 0;
-  for (let i = 0; i < content.length; i++) {
-    const char = content.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return hash.toString(16);
-}
+// Shared with the extractors and `hebbian add`
+export { hashContent } from "../lib/ingest.mjs";
 
 /**
- * Recalculate all activations (apply multiplicative decay).
+ * Apply multiplicative decay to the legacy activation column. Ranking uses
+ * base-level activation, which needs no periodic job.
  */
 export function updateAllActivations(data) {
   const db = getDb();
   const before = db.prepare("SELECT AVG(activation) AS avg FROM memories").get();
-  decayAll(db, CONFIG.decayRate);
+  decayAll(db, getConfig().decay.dailyFactor);
   const after = db.prepare("SELECT AVG(activation) AS avg FROM memories").get();
   const count = db.prepare("SELECT COUNT(*) AS cnt FROM memories").get().cnt;
   return {
@@ -194,12 +191,12 @@ export function pruneEntries(data) {
 }
 
 /**
- * Get top N entries by activation.
+ * Get top N entries by base-level activation.
  */
 export function getTopEntries(data, n = 10) {
   const db = getDb();
   return db.prepare(
-    "SELECT * FROM memories ORDER BY activation DESC LIMIT ?"
+    `SELECT * FROM memories ORDER BY ${BASE_LEVEL_SQL} DESC LIMIT ?`
   ).all(n);
 }
 
@@ -228,9 +225,11 @@ function generateEntryId(source, title) {
 
 // ─── CLI interface ───────────────────────────────────────────────────────────
 
-const isMainModule = process.argv[1]?.endsWith("hebbian-manager.mjs");
+// Compare real paths: the script may be run through a symlink (npm bin)
+const isMainModule = Boolean(process.argv[1]) && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url);
 if (isMainModule) {
   const command = process.argv[2];
+  setEmbeddingProvider(embeddingOptions(getConfig()));
   const db = getDb();
 
   switch (command) {
@@ -242,20 +241,21 @@ if (isMainModule) {
       console.log(JSON.stringify({
         ...stats,
         embeddingCoverage: `${embCount}/${stats.total}`,
+        graph: getGraphStats(db),
       }, null, 2));
       break;
     }
     case "top": {
       const n = parseInt(process.argv[3]) || 10;
       const rows = db.prepare(
-        "SELECT id, title, domain, pattern_type, activation FROM memories ORDER BY activation DESC LIMIT ?"
+        `SELECT id, title, domain, pattern_type, ${BASE_LEVEL_SQL} AS base_level FROM memories ORDER BY base_level DESC LIMIT ?`
       ).all(n);
       console.log(JSON.stringify(rows, null, 2));
       break;
     }
     case "get": {
       const entryId = process.argv[3];
-      if (!entryId) { console.error("Usage: hebbian-manager.mjs get <entry-id>"); process.exit(1); }
+      if (!entryId) { console.error("Usage: node cli/manager.mjs get <entry-id>"); process.exit(1); }
       const row = db.prepare("SELECT * FROM memories WHERE id = ?").get(entryId);
       if (row) {
         row.tags = db.prepare("SELECT tag FROM tags WHERE memory_id = ?").all(entryId).map(r => r.tag);
@@ -270,7 +270,7 @@ if (isMainModule) {
     }
     case "record": {
       const entryId = process.argv[3];
-      if (!entryId) { console.error("Usage: hebbian-manager.mjs record <entry-id>"); process.exit(1); }
+      if (!entryId) { console.error("Usage: node cli/manager.mjs record <entry-id>"); process.exit(1); }
       bumpActivations(db, [entryId], 0.5);
       const row = db.prepare("SELECT id, activation, retrieval_count FROM memories WHERE id = ?").get(entryId);
       console.log(JSON.stringify(row, null, 2));
@@ -287,24 +287,56 @@ if (isMainModule) {
       low.forEach(r => console.log(`  ${r.id}: ${r.activation.toFixed(3)}`));
       break;
     }
+    case "feedback": {
+      // Rate a memory — reinforces or penalizes it and the edges from its last retrieval
+      const [entryId, kind] = process.argv.slice(3);
+      if (!entryId || !FEEDBACK_KINDS.includes(kind)) {
+        console.error(`Usage: node cli/manager.mjs feedback <entry-id> <${FEEDBACK_KINDS.join("|")}> [--session <id>] [--note <text>]`);
+        process.exit(1);
+      }
+      const sessionIdx = process.argv.indexOf("--session");
+      const noteIdx = process.argv.indexOf("--note");
+      try {
+        const result = recordFeedback(db, entryId, kind, {
+          session: sessionIdx > -1 ? process.argv[sessionIdx + 1] : null,
+          note: noteIdx > -1 ? process.argv[noteIdx + 1] : null,
+        });
+        const from = result.retrievalId ? ` (${result.edges} edges from retrieval #${result.retrievalId})` : "";
+        console.log(`✅ ${kind}: ${entryId} — bias now ${result.bias.toFixed(2)}${from}`);
+      } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exitCode = 1;
+      }
+      break;
+    }
+    case "prune-edges": {
+      // Drop decayed co-occurrence edges and cap hub fan-out
+      const minIdx = process.argv.indexOf("--min");
+      const fanIdx = process.argv.indexOf("--max-fanout");
+      const opts = { minWeight: getConfig().decay.pruneThreshold };
+      if (minIdx > -1) opts.minWeight = parseFloat(process.argv[minIdx + 1]);
+      if (fanIdx > -1) opts.maxFanOut = parseInt(process.argv[fanIdx + 1]);
+      const result = pruneCoOccurrences(db, opts);
+      console.log(`✅ Pruned ${result.decayed} decayed + ${result.capped} over fan-out — ${result.remaining} edges left`);
+      break;
+    }
     case "embed-missing": {
       // Generate embeddings for entries that don't have them
       const missing = db.prepare("SELECT id, title, detail, domain, pattern_type, source_section FROM memories WHERE embedding IS NULL").all();
-      console.log(`${missing.length} entries missing embeddings`);
+      const provider = getEmbeddingProvider();
+      console.log(`${missing.length} entries missing embeddings (provider: ${provider.name}/${provider.model})`);
       if (missing.length === 0) break;
 
       const batchSize = 25;
       let done = 0;
-      const update = db.prepare("UPDATE memories SET embedding = ? WHERE id = ?");
-
       for (let i = 0; i < missing.length; i += batchSize) {
         const batch = missing.slice(i, i + batchSize);
         const texts = batch.map(e => embeddingText(e));
         try {
-          const embeddings = await generateEmbeddings(texts);
+          const embeddings = await generateEmbeddings(texts, provider);
           const tx = db.transaction(() => {
             for (let j = 0; j < batch.length; j++) {
-              update.run(embeddingToBlob(embeddings[j]), batch[j].id);
+              setEmbedding(db, batch[j].id, embeddings[j], provider.model);
             }
           });
           tx();
@@ -317,19 +349,71 @@ if (isMainModule) {
       console.log(`\nEmbedded ${done}/${missing.length}`);
       break;
     }
+    case "reindex": {
+      // Rebuild the HNSW vector index from scratch
+      const start = Date.now();
+      const result = rebuildVectorIndex(db);
+      console.log(JSON.stringify({ ...result, ms: Date.now() - start }, null, 2));
+      break;
+    }
+    case "reembed": {
+      // Migrate every vector to another model (resumable — rerun after a failure)
+      const modelIdx = process.argv.indexOf("--model");
+      const model = modelIdx > -1 ? process.argv[modelIdx + 1] : null;
+      if (!model) { console.error("Usage: node cli/manager.mjs reembed --model <name> [--batch <n>]"); process.exit(1); }
+      const batchIdx = process.argv.indexOf("--batch");
+      const batchSize = batchIdx > -1 ? parseInt(process.argv[batchIdx + 1]) || 25 : 25;
+
+      const saved = JSON.parse(getMeta(db, "reembed_progress") || "null");
+      if (saved?.model === model) console.log(`Resuming at ${saved.done}/${saved.total} (after ${saved.cursor})`);
+      try {
+        const result = await reembedAll(db, {
+          provider: createEmbeddingProvider({ ...embeddingOptions(getConfig()), model }),
+          batchSize,
+          onProgress: (p) => process.stdout.write(`  ${p.done}/${p.total}\r`),
+        });
+        console.log(`\n✅ Re-embedded ${result.done} entries with ${model}`);
+        if (getEmbeddingProvider().model !== model) {
+          console.log(`   Queries still use ${getEmbeddingProvider().model} — set HEBBIAN_EMBED_MODEL=${model} (plugin: embedModel)`);
+        }
+      } catch (err) {
+        console.error(`\nRe-embed stopped: ${err.message} — rerun to resume`);
+        process.exitCode = 1;
+      }
+      break;
+    }
+    case "storage": {
+      // Show or switch vector storage (int8 keeps a quantized copy in embedding_q)
+      const target = process.argv[3];
+      if (!target) {
+        console.log(getVectorStorage(db));
+        break;
+      }
+      const result = setVectorStorage(db, target);
+      console.log(`✅ Vector storage: ${result.storage} (${result.rows} rows updated)`);
+      break;
+    }
     default:
       console.log(`Hebbian Memory Manager v3 (SQLite backend)
 
 Commands:
   stats                 Show store statistics
-  top [n]               Show top N entries by activation
+  top [n]               Show top N entries by base-level activation
   get <entry-id>        Show a specific entry
   record <entry-id>     Record a retrieval event
-  update-all            Apply decay to all activations
+  feedback <id> <kind>  Rate an entry: helpful | unhelpful | wrong
+                          [--session <id>] [--note <text>]
+  update-all            Decay the legacy activation column (not used for ranking)
   prune                 Report low-activation entries (no deletion)
+  prune-edges           Drop decayed co-occurrence edges, cap fan-out per node
+                          [--min <weight>] [--max-fanout <n>]
   embed-missing         Generate embeddings for entries without them
+  reindex               Rebuild the HNSW vector index (hebbian.db.hnsw)
+  reembed --model <m>   Re-embed every entry with another model (resumable)
+  storage [mode]        Show or switch vector storage: float32 | int8 (quantized)
 
-DB: ${CONFIG.dbPath}
+DB: ${getConfig().dbPath}
+Config: ~/.hebbian/config.json (dbPath, embed*, decay), overridden by HEBBIAN_DB_PATH, HEBBIAN_EMBED_*
 `);
   }
 
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Hebbian Memory Schema Migrations CLI
+ *
+ * Upgrade the database schema through the ordered migration registry in
+ * lib/db.mjs. The database file is backed up before any migration runs.
+ *
+ * Usage:
+ *   node cli/migrate.mjs                  # upgrade to the latest schema
+ *   node cli/migrate.mjs --status         # show applied / pending migrations
+ *   node cli/migrate.mjs --to <version>   # upgrade to a specific version
+ *   node cli/migrate.mjs --db <path>      # another database (default: $HEBBIAN_DB_PATH, then config dbPath)
+ *   node cli/migrate.mjs --config <file>  # config file instead of ~/.hebbian/config.json
+ *   node cli/migrate.mjs --no-backup      # skip the backup copy
+ */
+
+import {
+  openDb, closeDb, migrateDb, migrationStatus,
+} from "../lib/db.mjs";
+import { loadConfig } from "../lib/config.mjs";
+
+const args = process.argv.slice(2);
+const flag = (name) => (args.includes(name) ? args[args.indexOf(name) + 1] : undefined);
+
+const { dbPath } = loadConfig({ path: flag("--config"), overrides: { dbPath: flag("--db") }, source: "--db" });
+const db = openDb(dbPath, { migrate: false });
+
+try {
+  if (args.includes("--status")) {
+    const status = migrationStatus(db);
+    console.log(`Schema: v${status.current} (latest v${status.latest}) — ${dbPath}\n`);
+    for (const m of status.migrations) {
+      console.log(`  ${m.applied ? "✅" : "⏳"} v${m.version}  ${m.name}`);
+    }
+  } else {
+    const to = flag("--to") !== undefined ? Number(flag("--to")) : undefined;
+    const result = migrateDb(db, { to, backup: !args.includes("--no-backup") });
+    if (result.applied.length === 0) {
+      console.log(`✅ Already at v${result.from} — nothing to do`);
+    } else {
+      if (result.backup) console.log(`💾 Backup: ${result.backup}`);
+      for (const m of result.applied) console.log(`  ✅ v${m.version}  ${m.name}`);
+      console.log(`\nMigrated v${result.from} → v${result.to}`);
+    }
+  }
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+} finally {
+  closeDb();
+}
@@ -1,45 +1,24 @@
 #!/usr/bin/env node
 /**
- * Hebbian Memory Search CLI
+ * Hebbian Memory Search CLI — `hebbian search` (see cli/hebbian.mjs)
  *
- * Search the memory database for relevant patterns.
+ * Search the memory database with the plugin's retrieval: the query is
+ * embedded, fused with BM25 and scored with activation, domain hints, type
+ * bonuses and penalties — what would be injected for this prompt.
  *
  * Usage:
  *   node cli/search.mjs "query text"
+ *   node cli/search.mjs --explain "query text"      # score breakdown + rejected candidates
+ *   node cli/search.mjs --domain tts --type rule "voice"
+ *   node cli/search.mjs --tag ffmpeg --since 7d "encode"
+ *   node cli/search.mjs --status deprecated "port"  # only deprecated memories
+ *   node cli/search.mjs --include-deprecated "port" # deprecated matches as themselves
+ *   node cli/search.mjs --limit 5 --budget 400 --json "query"
  *   hebbian-search "query text"
+ *
+ * --since takes an ISO date or a duration (30m, 12h, 7d, 4w).
  */
 
-import { openDb, closeDb, retrieve } from "../lib/db.mjs";
-
-const query = process.argv.slice(2).join(" ");
-
-if (!query) {
-  console.log("Usage: hebbian-search \"query text\"");
-  process.exit(1);
-}
-
-console.log(`Searching for: "${query}"\n`);
-
-const db = openDb();
-const results = await retrieve(db, query, {
-  maxEntries: 20,
-  maxTokens: 2000,
-});
-
-closeDb();
-
-if (results.length === 0) {
-  console.log("No results found.");
-  process.exit(0);
-}
-
-console.log(`Found ${results.length} patterns:\n`);
+import { main } from "./hebbian.mjs";
 
-results.forEach((r, i) => {
-  console.log(`${i + 1}. [${r.domain}] ${r.title}`);
-  console.log(`   Relevance: ${r.relevance.toFixed(3)} | Activation: ${r.activation.toFixed(2)}`);
-  if (r.detail && r.detail !== r.title) {
-    console.log(`   ${r.detail.substring(0, 150)}${r.detail.length > 150 ? "..." : ""}`);
-  }
-  console.log();
-});
+process.exitCode = await main(["search", ...process.argv.slice(2)]);
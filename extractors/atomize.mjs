@@ -11,31 +11,47 @@
  *   - Change detection via file hashes (only re-process modified files)
  *   - Automatic embedding generation
  *   - Deduplication by content hash
+ *   - Updated facts (same wording, new port / path / value) supersede the
+ *     older entry or are queued for review (lib/ingest.mjs)
  *
  * Usage:
  *   node hebbian-atomize.mjs scan          # Preview what would be extracted
  *   node hebbian-atomize.mjs extract       # Extract and add to SQLite
  *   node hebbian-atomize.mjs extract --file <path>  # Extract from one file
  *   node hebbian-atomize.mjs extract --force  # Re-process all files (ignore hashes)
+ *   node hebbian-atomize.mjs extract --namespace <name>  # Into a namespace (default:
+ *                                                        # $HEBBIAN_NAMESPACE, else global)
+ *
+ * The memory directory is extraction.memoryDir in ~/.hebbian/config.json
+ * (default ~/.openclaw/workspace/memory); see lib/config.mjs.
  */
 
 import { readFile, readdir } from "node:fs/promises";
 import { existsSync } from "node:fs";
 import { join, basename } from "node:path";
-import { homedir } from "node:os";
 import { createHash } from "node:crypto";
 import {
-  openDb, closeDb, upsertMemory, embeddingText,
-  generateEmbeddings, embeddingToBlob, getMeta, setMeta, DEFAULT_DB_PATH,
+  openDb, closeDb, getMeta, setMeta, namespacedId, setEmbeddingProvider, GLOBAL_NAMESPACE,
 } from "../lib/db.mjs";
+import { loadConfig, embeddingOptions } from "../lib/config.mjs";
+import { ingestMemories } from "../lib/ingest.mjs";
 import { hashContent } from "../cli/manager.mjs";
 
-const LEARNINGS_DIR = join(homedir(), ".openclaw/workspace/memory/learnings");
-const CORE_DIR = join(homedir(), ".openclaw/workspace/memory/core");
-const MEMORY_DIR = join(homedir(), ".openclaw/workspace/memory");
-const db = openDb(DEFAULT_DB_PATH);
+const config = loadConfig({
+  overrides: {
+    namespace: process.argv.includes("--namespace") ? process.argv[process.argv.indexOf("--namespace") + 1] ?? "" : null,
+  },
+  source: "--namespace",
+});
+const MEMORY_DIR = config.extraction.memoryDir;
+const LEARNINGS_DIR = join(MEMORY_DIR, "learnings");
+const CORE_DIR = join(MEMORY_DIR, "core");
+const NAMESPACE = config.namespace || GLOBAL_NAMESPACE;
+setEmbeddingProvider(embeddingOptions(config));
+const db = openDb(config.dbPath);
 
 // ─── File hash tracking ──────────────────────────────────────────────────────
+// Per namespace: the same file may feed several of them
 
 function fileHash(content) {
   return createHash("sha256").update(content).digest("hex").slice(0, 16);
@@ -43,12 +59,12 @@ function fileHash(content) {
 
 function getStoredHash(filePath) {
   const key = `atomize_hash:${filePath}`;
-  return getMeta(db, key);
+  return getMeta(db, key, NAMESPACE);
 }
 
 function storeHash(filePath, hash) {
   const key = `atomize_hash:${filePath}`;
-  setMeta(db, key, hash);
+  setMeta(db, key, hash, NAMESPACE);
 }
 
 // ─── Extraction logic (unchanged from v2) ────────────────────────────────────
@@ -129,7 +145,7 @@ function parseSection(text, domain, section) {
 
 function atomicId(domain, summary) {
   const clean = summary.toLowerCase().replace(/[^a-z0-9\s-]/g, "").replace(/\s+/g, "-").slice(0, 50);
-  return `${domain}:${clean}`;
+  return namespacedId(NAMESPACE, `${domain}:${clean}`);
 }
 
 // ─── Main ────────────────────────────────────────────────────────────────────
@@ -204,9 +220,8 @@ async function main() {
   console.log("By type:", JSON.stringify(byType));
 
   if (command === "extract") {
-    let added = 0;
     let skipped = 0;
-    const toEmbed = [];
+    const toIngest = [];
 
     for (const atomic of allAtomics) {
       const id = atomicId(atomic.domain, atomic.summary);
@@ -237,36 +252,25 @@ async function main() {
         tags: [...new Set(tags)],
       };
 
-      upsertMemory(db, entry);
-      toEmbed.push(entry);
-      added++;
+      toIngest.push(entry);
     }
 
-    // Batch-generate embeddings
-    if (toEmbed.length > 0) {
-      console.log(`\nGenerating embeddings for ${toEmbed.length} new entries...`);
-      const batchSize = 25;
-      const update = db.prepare("UPDATE memories SET embedding = ? WHERE id = ?");
-      let embedded = 0;
-
-      for (let i = 0; i < toEmbed.length; i += batchSize) {
-        const batch = toEmbed.slice(i, i + batchSize);
-        const texts = batch.map(e => embeddingText(e));
-        try {
-          const embeddings = await generateEmbeddings(texts);
-          const tx = db.transaction(() => {
-            for (let j = 0; j < batch.length; j++) {
-              update.run(embeddingToBlob(embeddings[j]), batch[j].id);
-            }
-          });
-          tx();
-          embedded += batch.length;
-          process.stdout.write(`  ${embedded}/${toEmbed.length}\r`);
-        } catch (err) {
-          console.error(`  Batch failed: ${err.message}`);
-        }
+    // Embed and insert, superseding entries whose values changed
+    let added = 0;
+    if (toIngest.length > 0) {
+      console.log(`\nEmbedding and inserting ${toIngest.length} new entries...`);
+      const result = await ingestMemories(db, toIngest, {
+        namespace: NAMESPACE,
+        onProgress: (done, total) => process.stdout.write(`  ${done}/${total}\r`),
+      });
+      added = result.added.length;
+      console.log(`  Embedded ${added - result.unembedded}/${toIngest.length}`);
+      for (const u of result.superseded) {
+        console.log(`  ↻ ${u.id} supersedes ${u.old}: ${u.removed.join(" ")} → ${u.added.join(" ")}`);
+      }
+      if (result.queued.length > 0) {
+        console.log(`  ⚠️ ${result.queued.length} possible updates queued for review (node cli/correct.mjs review)`);
       }
-      console.log(`  Embedded ${embedded}/${toEmbed.length}`);
     }
 
     // Store file hashes for change detection
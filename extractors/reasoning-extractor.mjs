@@ -7,34 +7,59 @@
  * then stores them as Hebbian memories with embeddings.
  *
  * Workflow:
- *   1. Scan session files for thinking blocks >= 100 chars
+ *   1. Scan session files (extraction.sessionsDir) for thinking blocks >= 100 chars
  *   2. Filter out heartbeat/routine blocks
  *   3. Send each block to Ollama LLM with extraction prompt
- *   4. Parse structured output → insert into SQLite
- *   5. Generate embeddings for new entries (switches to nomic-embed-text)
+ *   4. Parse structured output → pending entries (kept in the progress file)
+ *   5. Embed the pending entries with the configured embedding provider
+ *      (HEBBIAN_EMBED_* env; swaps Ollama models when it is Ollama) and
+ *      insert them through lib/ingest.mjs, which supersedes older entries
+ *      whose values changed or queues them for review
  *
  * Usage:
- *   node hebbian-reasoning-extractor.mjs [--dry-run] [--limit N] [--resume]
+ *   node hebbian-reasoning-extractor.mjs [--dry-run] [--limit N] [--resume] [--namespace NAME]
+ *
+ * The namespace (default: $HEBBIAN_NAMESPACE, else global) is where the
+ * insights are stored and checked for duplicates.
+ *
+ * The LLM (llmModel at ollamaUrl), the insights kept per block and the
+ * progress file are set under extraction.reasoningExtractor in
+ * ~/.hebbian/config.json (lib/config.mjs).
  */
 
-import { readdirSync, readFileSync, writeFileSync, existsSync } from "node:fs";
-import { homedir } from "node:os";
-import { join } from "node:path";
+import { readdirSync, readFileSync, writeFileSync, existsSync, mkdirSync } from "node:fs";
+import { join, dirname } from "node:path";
 import { request } from "node:http";
+import { setEmbeddingProvider } from "../lib/embeddings.mjs";
+import {
+  openDb, closeDb, namespacedId, GLOBAL_NAMESPACE,
+} from "../lib/db.mjs";
+import { loadConfig, embeddingOptions } from "../lib/config.mjs";
+import { ingestMemories } from "../lib/ingest.mjs";
 
-const SESSIONS_DIR = join(homedir(), ".openclaw/agents/main/sessions");
-const DB_PATH = join(homedir(), ".openclaw/workspace/memory/hebbian.db");
-const PROGRESS_FILE = join(homedir(), "claudia/runtime/reasoning-extraction-progress.json");
-const LLM_MODEL = "qwen2.5-coder:7b";
-const EMBED_MODEL = "nomic-embed-text-cpu";
-const OLLAMA_URL = "http://127.0.0.1:11434";
-
-// ─── CLI args ───────────────────────────────────────────────────────────────
+// ─── CLI args and config ────────────────────────────────────────────────────
 
 const args = process.argv.slice(2);
 const DRY_RUN = args.includes("--dry-run");
 const LIMIT = args.includes("--limit") ? parseInt(args[args.indexOf("--limit") + 1]) : Infinity;
 const RESUME = args.includes("--resume");
+const config = loadConfig({
+  overrides: { namespace: args.includes("--namespace") ? args[args.indexOf("--namespace") + 1] ?? "" : null },
+  source: "--namespace",
+});
+const NAMESPACE = config.namespace || GLOBAL_NAMESPACE;
+
+const SESSIONS_DIR = config.extraction.sessionsDir;
+const {
+  llmModel: LLM_MODEL,
+  maxInsightsPerBlock: MAX_INSIGHTS,
+  minDetailLength: MIN_DETAIL_LENGTH,
+  progressFile: PROGRESS_FILE,
+} = config.extraction.reasoningExtractor;
+const OLLAMA_URL = config.ollamaUrl.replace(/\/+$/, "");
+const embedder = setEmbeddingProvider(embeddingOptions(config));
+// Only an Ollama embedder competes with the LLM for the same server's memory
+const EMBED_MODEL = embedder.name === "ollama" ? embedder.model : null;
 
 // ─── HTTP helpers ───────────────────────────────────────────────────────────
 
@@ -84,22 +109,6 @@ async function ollamaGenerate(prompt, model = LLM_MODEL) {
   return data.response || "";
 }
 
-async function ollamaEmbed(texts, model = EMBED_MODEL) {
-  const results = [];
-  const batchSize = 25;
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    const data = await httpPost(`${OLLAMA_URL}/api/embed`, {
-      model,
-      input: batch,
-    }, 30000);
-    for (const emb of data.embeddings) {
-      results.push(new Float32Array(emb));
-    }
-  }
-  return results;
-}
-
 async function ollamaLoad(model) {
   try {
     await httpPost(`${OLLAMA_URL}/api/generate`, {
@@ -127,7 +136,7 @@ async function ollamaUnload(model) {
 const EXTRACTION_PROMPT = `Extract reusable knowledge from this AI assistant's internal reasoning block.
 
 RULES:
-- Extract 0-2 insights ONLY if they contain durable, reusable knowledge
+- Extract 0-${MAX_INSIGHTS} insights ONLY if they contain durable, reusable knowledge
 - Each insight must be DIRECTLY STATED in the text — never infer or fabricate values
 - If a number/value/path/command appears, quote it exactly from the text
 - SKIP: routine decisions, status checks, greetings, process descriptions, vague plans
@@ -200,24 +209,12 @@ function scanSessions() {
   return blocks;
 }
 
-// ─── Database operations (inline, avoid import issues) ──────────────────────
+// ─── Database operations ────────────────────────────────────────────────────
 
 let db = null;
 
-function insertMemory(entry) {
-  const stmt = db.prepare(`
-    INSERT OR IGNORE INTO memories
-      (id, title, source, source_section, created, retrieval_count,
-       content_hash, activation, detail, domain, pattern_type, embedding)
-    VALUES
-      (@id, @title, @source, @source_section, @created, 0,
-       @content_hash, @activation, @detail, @domain, @pattern_type, NULL)
-  `);
-  return stmt.run(entry);
-}
-
 function memoryExists(contentHash) {
-  return db.prepare("SELECT 1 FROM memories WHERE content_hash = ?").get(contentHash) != null;
+  return db.prepare("SELECT 1 FROM memories WHERE content_hash = ? AND namespace = ?").get(contentHash, NAMESPACE) != null;
 }
 
 // ─── Content hash for dedup ─────────────────────────────────────────────────
@@ -239,10 +236,12 @@ async function main() {
 
   // Resume support
   let processed = new Set();
+  let pending = []; // extracted, not yet embedded and inserted
   if (RESUME && existsSync(PROGRESS_FILE)) {
     const progress = JSON.parse(readFileSync(PROGRESS_FILE, "utf8"));
     processed = new Set(progress.processed || []);
-    console.log(`[reasoning-extractor] Resuming — ${processed.size} blocks already done`);
+    pending = progress.pending || [];
+    console.log(`[reasoning-extractor] Resuming — ${processed.size} blocks already done, ${pending.length} insights pending`);
   }
 
   const blocks = allBlocks.filter((b) => !processed.has(b.msgId + ":" + b.text.slice(0, 50)));
@@ -258,18 +257,15 @@ async function main() {
   }
 
   // Open database
-  const bsqlite3Path = join(homedir(), ".openclaw/extensions/hebbian-hook/node_modules/better-sqlite3/lib/index.js");
-  const { default: Database } = await import(bsqlite3Path);
-  db = new Database(DB_PATH);
-  db.pragma("journal_mode = WAL");
-  db.pragma("synchronous = NORMAL");
+  db = openDb(config.dbPath);
+  mkdirSync(dirname(PROGRESS_FILE), { recursive: true });
 
   // Phase 1: Load LLM and extract
   console.log(`[reasoning-extractor] Loading ${LLM_MODEL}...`);
   await ollamaLoad(LLM_MODEL);
 
   let extracted = 0, skipped = 0, errors = 0;
-  const newEntryIds = [];
+  const pendingHashes = new Set(pending.map((e) => e.content_hash));
   const startTime = Date.now();
 
   for (let i = 0; i < toProcess.length; i++) {
@@ -285,6 +281,7 @@ async function main() {
       // Save progress
       writeFileSync(PROGRESS_FILE, JSON.stringify({
         processed: [...processed],
+        pending,
         extracted,
         skipped,
         errors,
@@ -305,21 +302,21 @@ async function main() {
         continue;
       }
 
-      // Parse JSON lines
-      const lines = response.split("\n").filter((l) => l.trim().startsWith("{"));
+      // Parse JSON lines (the model does not always stop at the limit)
+      const lines = response.split("\n").filter((l) => l.trim().startsWith("{")).slice(0, MAX_INSIGHTS);
       for (const line of lines) {
         try {
           const insight = JSON.parse(line);
           if (!insight.domain || !insight.type || !insight.detail) continue;
-          if (insight.detail.length < 10) continue;
+          if (insight.detail.length < MIN_DETAIL_LENGTH) continue;
 
           const hash = simpleHash(insight.detail);
-          if (memoryExists(hash)) {
+          if (memoryExists(hash) || pendingHashes.has(hash)) {
             skipped++;
             continue;
           }
 
-          const id = `reason-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+          const id = namespacedId(NAMESPACE, `reason-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
           const entry = {
             id,
             title: insight.detail.slice(0, 80),
@@ -331,13 +328,12 @@ async function main() {
             detail: insight.detail,
             domain: insight.domain.toLowerCase().replace(/\s+/g, "-"),
             pattern_type: insight.type,
+            namespace: NAMESPACE,
           };
 
-          const result = insertMemory(entry);
-          if (result.changes > 0) {
-            extracted++;
-            newEntryIds.push(id);
-          }
+          pending.push(entry);
+          pendingHashes.add(hash);
+          extracted++;
         } catch {
           // Bad JSON line, skip
         }
@@ -357,6 +353,7 @@ async function main() {
   // Save final progress
   writeFileSync(PROGRESS_FILE, JSON.stringify({
     processed: [...processed],
+    pending,
     extracted,
     skipped,
     errors,
@@ -369,61 +366,38 @@ async function main() {
   console.log(`  Insights extracted: ${extracted}`);
   console.log(`  Skipped (noise/dupe): ${skipped}`);
   console.log(`  Errors: ${errors}`);
-  console.log(`  New entries: ${newEntryIds.length}`);
+  console.log(`  New entries: ${pending.length}`);
 
-  // Phase 2: Unload LLM, load embed model, generate embeddings
-  if (newEntryIds.length > 0) {
-    console.log(`\n[reasoning-extractor] Phase 2: Generating embeddings for ${newEntryIds.length} new entries...`);
+  // Phase 2: Unload LLM, load embed model, embed and insert
+  if (pending.length > 0) {
+    console.log(`\n[reasoning-extractor] Phase 2: Embedding and inserting ${pending.length} new entries...`);
     await ollamaUnload(LLM_MODEL);
 
     // Wait a moment for memory to free
     await new Promise((r) => setTimeout(r, 3000));
 
-    console.log(`[reasoning-extractor] Loading ${EMBED_MODEL}...`);
-    await ollamaLoad(EMBED_MODEL);
-
-    // Batch embed
-    const getEntry = db.prepare("SELECT * FROM memories WHERE id = ?");
-    const setEmbed = db.prepare("UPDATE memories SET embedding = ? WHERE id = ?");
-
-    const batchSize = 25;
-    let embedded = 0;
-    for (let i = 0; i < newEntryIds.length; i += batchSize) {
-      const batch = newEntryIds.slice(i, i + batchSize);
-      const texts = batch.map((id) => {
-        const entry = getEntry.get(id);
-        if (!entry) return "";
-        const parts = [];
-        if (entry.domain) parts.push(`[${entry.domain}]`);
-        if (entry.pattern_type) parts.push(`(${entry.pattern_type})`);
-        if (entry.title) parts.push(entry.title);
-        if (entry.detail && entry.detail !== entry.title) parts.push(entry.detail);
-        return parts.join(" ").slice(0, 512);
-      });
+    if (EMBED_MODEL) {
+      console.log(`[reasoning-extractor] Loading ${EMBED_MODEL}...`);
+      await ollamaLoad(EMBED_MODEL);
+    }
 
-      try {
-        const embeddings = await ollamaEmbed(texts);
-        const tx = db.transaction(() => {
-          for (let j = 0; j < batch.length; j++) {
-            if (embeddings[j]) {
-              const blob = Buffer.from(embeddings[j].buffer, embeddings[j].byteOffset, embeddings[j].byteLength);
-              setEmbed.run(blob, batch[j]);
-              embedded++;
-            }
-          }
-        });
-        tx();
-      } catch (err) {
-        console.error(`[embedding error] Batch ${i}: ${err.message}`);
-      }
+    const result = await ingestMemories(db, pending, { provider: embedder });
+    console.log(`[reasoning-extractor] Inserted ${result.added.length} new entries (${result.unembedded} without embeddings)`);
+    for (const u of result.superseded) {
+      console.log(`  ↻ ${u.id} supersedes ${u.old}: ${u.removed.join(" ")} → ${u.added.join(" ")}`);
+    }
+    if (result.queued.length > 0) {
+      console.log(`  ⚠️ ${result.queued.length} possible updates queued for review (node cli/correct.mjs review)`);
     }
 
-    console.log(`[reasoning-extractor] Embedded ${embedded}/${newEntryIds.length} new entries`);
+    // Inserted — nothing pending any more
+    const progress = JSON.parse(readFileSync(PROGRESS_FILE, "utf8"));
+    writeFileSync(PROGRESS_FILE, JSON.stringify({ ...progress, pending: [] }));
   } else {
     // Still unload the LLM and restore embed model
     await ollamaUnload(LLM_MODEL);
     await new Promise((r) => setTimeout(r, 2000));
-    await ollamaLoad(EMBED_MODEL);
+    if (EMBED_MODEL) await ollamaLoad(EMBED_MODEL);
   }
 
   // Final stats
@@ -431,7 +405,7 @@ async function main() {
   const withEmbed = db.prepare("SELECT COUNT(*) as c FROM memories WHERE embedding IS NOT NULL").get().c;
   console.log(`\n[reasoning-extractor] Done. Total memories: ${total}, with embeddings: ${withEmbed}`);
 
-  db.close();
+  closeDb();
 }
 
 main().catch((err) => {
@@ -9,27 +9,45 @@
  *   - Skip "so I'll just..." / "so I should..." thinking-aloud conclusions
  *   - Require specs to contain actionable numbers (not just any digit)
  *   - Semantic dedup: skip if >0.92 cosine similarity with existing entry
+ *   - Updated facts (same wording, new port / path / value) supersede the
+ *     older entry or are queued for review (lib/ingest.mjs)
  *   - Solutions must describe WHAT worked, not just "✅ thing"
  *
  * Usage:
  *   node hebbian-session-extractor-v2.mjs <session-file.jsonl>
  *   node hebbian-session-extractor-v2.mjs --recent
  *   node hebbian-session-extractor-v2.mjs --text "I discovered that..."
+ *
+ * `--namespace <name>` (or $HEBBIAN_NAMESPACE) stores the patterns in that
+ * namespace instead of global; duplicates are only looked for there.
+ *
+ * Settings come from ~/.hebbian/config.json (lib/config.mjs): dbPath, the
+ * embedder, extraction.sessionsDir and extraction.sessionExtractor
+ * (minThinkingBlockLength, semanticDedup).
  */
 
 import { readFile as readFileAsync } from "node:fs/promises";
 import { existsSync, statSync } from "node:fs";
 import { join, basename } from "node:path";
-import { homedir } from "node:os";
 import {
-  openDb, closeDb, upsertMemory, embeddingText,
-  generateEmbeddings, embeddingToBlob, cosineSimilarity,
-  semanticSearch, DEFAULT_DB_PATH,
+  openDb, closeDb, namespacedId, setEmbeddingProvider, GLOBAL_NAMESPACE,
 } from "../lib/db.mjs";
-import { hashContent } from "./hebbian-manager.mjs";
-
-const SESSION_DIR = join(homedir(), ".openclaw/agents/main/sessions");
-const db = openDb(DEFAULT_DB_PATH);
+import { loadConfig, embeddingOptions } from "../lib/config.mjs";
+import { ingestMemories } from "../lib/ingest.mjs";
+import { hashContent } from "../cli/manager.mjs";
+
+// --namespace is taken out of argv so the positional arguments stay where they are
+const nsAt = process.argv.indexOf("--namespace");
+const config = loadConfig({
+  overrides: { namespace: nsAt > -1 ? process.argv.splice(nsAt, 2)[1] ?? "" : null },
+  source: "--namespace",
+});
+const SESSION_DIR = config.extraction.sessionsDir;
+const { minThinkingBlockLength, semanticDedup } = config.extraction.sessionExtractor;
+const DEDUP_THRESHOLD = semanticDedup.enabled ? semanticDedup.threshold : null;
+const NAMESPACE = config.namespace || GLOBAL_NAMESPACE;
+setEmbeddingProvider(embeddingOptions(config));
+const db = openDb(config.dbPath);
 
 // ─── Low-signal filters ─────────────────────────────────────────────────────
 
@@ -172,7 +190,7 @@ function extractFromReasoning(reasonings) {
   const atomics = [];
   for (const r of reasonings) {
     const content = r.content || "";
-    if (content.length < 100) continue;  // Reasoning blocks need more content to be useful
+    if (content.length < minThinkingBlockLength) continue;  // Reasoning blocks need more content to be useful
 
     // Bug insights — root cause analysis
     const bugs = content.match(/(?:the (?:problem|issue|bug|error) (?:is|was) (?:that )?|this (?:fails|breaks|crashes) because |the reason (?:is|was) (?:that )?|root cause:?\s)[^.!?\n]{25,250}[.!?]/gi) || [];
@@ -230,50 +248,6 @@ function dedup(atomics) {
   });
 }
 
-// ─── Semantic dedup against existing DB entries ─────────────────────────────
-
-async function semanticDedup(entries, threshold = 0.92) {
-  if (entries.length === 0) return entries;
-
-  // Generate embeddings for new entries
-  const texts = entries.map(e => embeddingText(e));
-  let embeddings;
-  try {
-    embeddings = await generateEmbeddings(texts);
-  } catch {
-    // If embedding fails, skip dedup (still insert without embeddings)
-    return entries.map(e => ({ ...e, _embedding: null }));
-  }
-
-  const kept = [];
-  for (let i = 0; i < entries.length; i++) {
-    const qEmb = embeddings[i];
-
-    // Check against existing DB entries
-    const similar = semanticSearch(db, qEmb, 3);
-    const tooSimilar = similar.some(s => s.similarity > threshold);
-
-    if (tooSimilar) {
-      continue; // Skip — already have a very similar memory
-    }
-
-    // Also check against other new entries in this batch
-    let dupInBatch = false;
-    for (const k of kept) {
-      if (k._embedding && cosineSimilarity(qEmb, k._embedding) > threshold) {
-        dupInBatch = true;
-        break;
-      }
-    }
-
-    if (!dupInBatch) {
-      kept.push({ ...entries[i], _embedding: qEmb });
-    }
-  }
-
-  return kept;
-}
-
 // ─── Domain inference ───────────────────────────────────────────────────────
 
 function inferDomain(text) {
@@ -389,7 +363,7 @@ async function main() {
 
   for (const atomic of allAtomics) {
     const domain = inferDomain(atomic.detail);
-    const id = `${domain}:session:${hashContent(atomic.summary)}`;
+    const id = namespacedId(NAMESPACE, `${domain}:session:${hashContent(atomic.summary)}`);
 
     // Skip exact ID duplicates
     if (db.prepare("SELECT 1 FROM memories WHERE id = ?").get(id)) {
@@ -421,63 +395,26 @@ async function main() {
     return;
   }
 
-  // ─── Semantic dedup against existing entries ───────────────────────────
+  // ─── Insert: semantic dedup and supersession against existing entries ──
 
-  console.log("Running semantic dedup (threshold: 0.92)...");
-  const dedupedEntries = await semanticDedup(newEntries, 0.92);
-  const skippedBySemantic = newEntries.length - dedupedEntries.length;
-  console.log(`After semantic dedup: ${dedupedEntries.length} kept (${skippedBySemantic} too similar to existing)`);
+  console.log(`Ingesting (semantic dedup threshold: ${DEDUP_THRESHOLD ?? "off"})...`);
+  const result = await ingestMemories(db, newEntries, { dedupThreshold: DEDUP_THRESHOLD, namespace: NAMESPACE });
+  const added = result.added.length;
+  console.log(`After semantic dedup: ${added} kept (${result.duplicates.length} too similar to existing)`);
 
-  if (dedupedEntries.length === 0) {
-    console.log("All patterns are semantically similar to existing memories.");
-    return;
-  }
-
-  // Show what's being added
-  for (const e of dedupedEntries) {
+  const byId = new Map(newEntries.map(e => [e.id, e]));
+  for (const id of result.added) {
+    const e = byId.get(id);
     console.log(`  [${e.pattern_type}] ${e.title.slice(0, 80)}`);
   }
-
-  // ─── Insert into SQLite ────────────────────────────────────────────────
-
-  let added = 0;
-  const update = db.prepare("UPDATE memories SET embedding = ? WHERE id = ?");
-
-  const insertTx = db.transaction((entries) => {
-    for (const entry of entries) {
-      const { _embedding, ...record } = entry;
-      upsertMemory(db, record);
-
-      // Store pre-computed embedding
-      if (_embedding) {
-        update.run(embeddingToBlob(_embedding), record.id);
-      }
-      added++;
-    }
-  });
-
-  insertTx(dedupedEntries);
-
-  // Generate embeddings for any entries that didn't get them during dedup
-  const missingEmb = dedupedEntries.filter(e => !e._embedding);
-  if (missingEmb.length > 0) {
-    console.log(`Generating embeddings for ${missingEmb.length} entries without them...`);
-    const batchSize = 25;
-    for (let i = 0; i < missingEmb.length; i += batchSize) {
-      const batch = missingEmb.slice(i, i + batchSize);
-      const texts = batch.map(e => embeddingText(e));
-      try {
-        const embeddings = await generateEmbeddings(texts);
-        const tx = db.transaction(() => {
-          for (let j = 0; j < batch.length; j++) {
-            update.run(embeddingToBlob(embeddings[j]), batch[j].id);
-          }
-        });
-        tx();
-      } catch (err) {
-        console.error(`  Embedding batch failed: ${err.message}`);
-      }
-    }
+  for (const u of result.superseded) {
+    console.log(`  ↻ supersedes ${u.old}: ${u.removed.join(" ")} → ${u.added.join(" ")}`);
+  }
+  for (const u of result.queued) {
+    console.log(`  ⚠️ queued for review with ${u.old}: ${u.removed.length ? `${u.removed.join(" ")} → ${u.added.join(" ")}` : u.evidence.join("; ")}`);
+  }
+  if (result.unembedded > 0) {
+    console.log(`  ${result.unembedded} added without embeddings (embedder unavailable) — run: node cli/manager.mjs embed-missing`);
   }
 
   const total = db.prepare("SELECT COUNT(*) AS cnt FROM memories").get().cnt;
@@ -0,0 +1,141 @@
+/**
+ * Hebbian Memory — Base-Level Activation (ACT-R)
+ *
+ * A memory's activation is computed from when it was used, not accumulated:
+ *
+ *   B = ln( Σ_j t_j^-d )
+ *
+ * over every presentation j — its creation and each retrieval — with t_j the
+ * seconds since that presentation and d the decay rate. Frequent use raises
+ * B, disuse lowers it along a power law. It is evaluated at query time, so
+ * it is the same whether or not any decay job ran while the machine was off.
+ *
+ * History: the HISTORY_SIZE most recent retrieval times are kept exactly in
+ * memories.retrieval_history as packed uint32 unix seconds (oldest first).
+ * Older retrievals (retrieval_count beyond the kept ones) are approximated
+ * as spread evenly between creation and the oldest kept retrieval (Petrov,
+ * 2006). Rows without a history — written before it existed, or by raw
+ * INSERTs — count last_retrieved as their one kept retrieval.
+ *
+ * Scoring uses the ACT-R retrieval probability, which maps B onto 0–1:
+ *
+ *   P = 1 / (1 + e^(-(B - τ) / s))
+ *
+ * Explicit feedback adds a persistent bias to B (memories.feedback_bias,
+ * clamped to BIAS_RANGE): helpful memories stay ahead of their usage
+ * alone, wrong ones sink. It also scales the co-occurrence edges the rated
+ * retrieval formed — reinforcing them, or anti-Hebbian weakening.
+ */
+
+export const DECAY = 0.5;
+export const HISTORY_SIZE = 16;
+export const THRESHOLD = -5.5; // τ: B of a single use one day ago (≈ -5.7)
+export const NOISE = 1; // s: how sharply P moves around τ
+
+const MIN_AGE = 1; // seconds — a presentation "now" must not divide by zero
+
+export const FEEDBACK = {
+  helpful: { bias: 0.5, edgeFactor: 1.5 },
+  unhelpful: { bias: -0.5, edgeFactor: 0.5 },
+  wrong: { bias: -2, edgeFactor: 0 }, // drops the edges
+};
+export const FEEDBACK_KINDS = Object.keys(FEEDBACK);
+export const BIAS_RANGE = [-6, 2];
+
+// ─── History encoding ────────────────────────────────────────────────────────
+
+/**
+ * Unix seconds[] → retrieval_history BLOB (null when empty).
+ */
+export function encodeHistory(times) {
+  if (!times?.length) return null;
+  const buf = Buffer.alloc(times.length * 4);
+  times.forEach((t, i) => buf.writeUInt32LE(t >>> 0, i * 4));
+  return buf;
+}
+
+/**
+ * retrieval_history BLOB → unix seconds[] (oldest first).
+ */
+export function decodeHistory(blob) {
+  if (!blob || blob.length < 4) return [];
+  const buf = Buffer.isBuffer(blob) ? blob : Buffer.from(blob);
+  const times = [];
+  for (let i = 0; i + 4 <= buf.length; i += 4) times.push(buf.readUInt32LE(i));
+  return times;
+}
+
+function toSeconds(iso) {
+  const ms = iso ? Date.parse(iso) : NaN;
+  return Number.isFinite(ms) ? Math.floor(ms / 1000) : null;
+}
+
+/**
+ * The kept retrieval times of a row, falling back to last_retrieved.
+ */
+export function retrievalTimes(row) {
+  const times = decodeHistory(row.retrieval_history);
+  if (times.length > 0) return times;
+  const last = toSeconds(row.last_retrieved);
+  return last === null ? [] : [last];
+}
+
+/**
+ * A row's history with one more retrieval at `now` (ms), trimmed to
+ * HISTORY_SIZE → BLOB.
+ */
+export function appendRetrieval(row, now = Date.now()) {
+  const times = retrievalTimes(row);
+  times.push(Math.floor(now / 1000));
+  return encodeHistory(times.slice(-HISTORY_SIZE));
+}
+
+// ─── Activation ──────────────────────────────────────────────────────────────
+
+/**
+ * Base-level activation B of a row (needs retrieval_history, retrieval_count,
+ * created, last_retrieved; feedback_bias if any) at `now` (ms). null when
+ * the row has no usable timestamps at all.
+ */
+export function baseLevel(row, now = Date.now(), decay = DECAY) {
+  const nowSec = now / 1000;
+  const age = (t) => Math.max(nowSec - t, MIN_AGE);
+
+  const times = retrievalTimes(row);
+  const created = toSeconds(row.created);
+  let sum = 0;
+  let presentations = 0;
+
+  for (const t of times) {
+    sum += age(t) ** -decay;
+    presentations++;
+  }
+  if (created !== null) {
+    sum += age(created) ** -decay;
+    presentations++;
+  }
+
+  // Retrievals that fell out of the kept history
+  const older = Math.max(0, (row.retrieval_count || 0) - times.length);
+  if (older > 0) {
+    const tk = times.length > 0 ? age(times[0]) : created !== null ? age(created) : null;
+    const tn = created !== null ? age(created) : null;
+    if (tk !== null && tn !== null && tn > tk) {
+      sum += older * (tn ** (1 - decay) - tk ** (1 - decay)) / ((1 - decay) * (tn - tk));
+      presentations += older;
+    } else if (tk !== null) {
+      sum += older * tk ** -decay;
+      presentations += older;
+    }
+  }
+
+  return presentations > 0 ? Math.log(sum) + (row.feedback_bias || 0) : null;
+}
+
+/**
+ * Retrieval probability for base-level activation B → 0–1 (0 for null).
+ */
+export function retrievalProbability(b, threshold = THRESHOLD, noise = NOISE) {
+  if (b === null || b === undefined) return 0;
+  return 1 / (1 + Math.exp(-(b - threshold) / noise));
+}
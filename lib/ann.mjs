@@ -0,0 +1,371 @@
+/**
+ * Hebbian Memory — Approximate Nearest Neighbour Index (HNSW)
+ *
+ * Pure-JS Hierarchical Navigable Small World graph (Malkov & Yashunin, 2016)
+ * over L2-normalized vectors, so distance is 1 − dot product (cosine).
+ *
+ * No database knowledge here — vector-index.mjs keeps an index in sync with
+ * the memories table and persists it next to the DB file.
+ *
+ * Deletes are tombstones: the node stays in the graph for navigation but is
+ * never returned. Callers rebuild when the tombstone ratio gets high.
+ *
+ * Serialized form stores the graph only (plus tombstoned vectors, which the
+ * DB no longer has); live vectors are supplied by the caller on load.
+ */
+
+const MAGIC = "HEBHNSW1";
+const FORMAT_VERSION = 1;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function normalize(vector) {
+  const out = new Float32Array(vector.length);
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return null;
+  for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+  return out;
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+/**
+ * Minimal binary heap of { n, d } ordered by `d` (min-heap, or max-heap when
+ * `max` is true).
+ */
+function createHeap(max = false) {
+  const items = [];
+  const before = max ? (a, b) => a.d > b.d : (a, b) => a.d < b.d;
+  return {
+    get size() { return items.length; },
+    peek() { return items[0]; },
+    push(item) {
+      items.push(item);
+      let i = items.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (!before(items[i], items[p])) break;
+        [items[i], items[p]] = [items[p], items[i]];
+        i = p;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < items.length && before(items[l], items[m])) m = l;
+          if (r < items.length && before(items[r], items[m])) m = r;
+          if (m === i) break;
+          [items[i], items[m]] = [items[m], items[i]];
+          i = m;
+        }
+      }
+      return top;
+    },
+    toArray() { return items.slice(); },
+  };
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so the same insert order builds the same graph.
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// ─── Index ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty HNSW index.
+ *
+ * Options:
+ *   dim             vector dimension (required)
+ *   M               max links per node on upper layers (level 0 gets 2M)
+ *   efConstruction  beam width while inserting
+ *   efSearch        default beam width while querying
+ */
+export function createHnswIndex({ dim, M = 16, efConstruction = 64, efSearch = 64, seed = 42 } = {}) {
+  if (!dim) throw new Error("createHnswIndex: dim is required");
+  return buildIndex({ dim, M, efConstruction, efSearch, seed });
+}
+
+function buildIndex(params, state = null) {
+  const { dim, M, efConstruction, efSearch, seed } = params;
+  const mL = 1 / Math.log(M);
+  const rng = createRng(seed);
+
+  const ids = state?.ids ?? [];
+  const vectors = state?.vectors ?? [];
+  const levels = state?.levels ?? [];
+  const links = state?.links ?? [];
+  const deleted = state?.deleted ?? [];
+  const idToNode = new Map();
+  for (let n = 0; n < ids.length; n++) if (!deleted[n]) idToNode.set(ids[n], n);
+  let entry = state?.entry ?? -1;
+  let maxLevel = state?.maxLevel ?? -1;
+  let deletedCount = deleted.filter(Boolean).length;
+
+  const maxLinks = (level) => (level === 0 ? M * 2 : M);
+  const dist = (q, n) => 1 - dot(q, vectors[n]);
+
+  function searchLayer(q, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = createHeap(false);
+    const results = createHeap(true);
+    for (const n of entryPoints) {
+      const d = dist(q, n);
+      candidates.push({ n, d });
+      results.push({ n, d });
+    }
+    while (candidates.size > 0) {
+      const c = candidates.pop();
+      if (results.size >= ef && c.d > results.peek().d) break;
+      for (const e of links[c.n][level] || []) {
+        if (visited.has(e)) continue;
+        visited.add(e);
+        const d = dist(q, e);
+        if (results.size < ef || d < results.peek().d) {
+          candidates.push({ n: e, d });
+          results.push({ n: e, d });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    return results.toArray().sort((a, b) => a.d - b.d);
+  }
+
+  /**
+   * Neighbour selection heuristic: prefer candidates that are closer to the
+   * base than to any already-selected neighbour (keeps the graph navigable
+   * across clusters), then top up with the nearest leftovers.
+   */
+  function selectNeighbors(sorted, m) {
+    const selected = [];
+    const pruned = [];
+    for (const c of sorted) {
+      if (selected.length >= m) break;
+      const diverse = selected.every((s) => 1 - dot(vectors[c.n], vectors[s.n]) > c.d);
+      (diverse ? selected : pruned).push(c);
+    }
+    for (const c of pruned) {
+      if (selected.length >= m) break;
+      selected.push(c);
+    }
+    return selected;
+  }
+
+  function greedy(q, ep, fromLevel, toLevel) {
+    for (let l = fromLevel; l > toLevel; l--) {
+      ep = searchLayer(q, [ep], 1, l)[0].n;
+    }
+    return ep;
+  }
+
+  function remove(id) {
+    const n = idToNode.get(id);
+    if (n === undefined) return false;
+    idToNode.delete(id);
+    deleted[n] = true;
+    deletedCount++;
+    return true;
+  }
+
+  function add(id, vector) {
+    if (vector.length !== dim) {
+      throw new Error(`HNSW: dimension mismatch (index ${dim}, vector ${vector.length})`);
+    }
+    const q = normalize(vector);
+    if (!q) return false;
+
+    const existing = idToNode.get(id);
+    if (existing !== undefined) {
+      const old = vectors[existing];
+      let same = true;
+      for (let i = 0; i < dim; i++) {
+        if (Math.abs(old[i] - q[i]) > 1e-6) { same = false; break; }
+      }
+      if (same) return false;
+      remove(id);
+    }
+
+    const node = ids.length;
+    const level = Math.floor(-Math.log(1 - rng()) * mL);
+    ids.push(id);
+    vectors.push(q);
+    levels.push(level);
+    links.push(Array.from({ length: level + 1 }, () => []));
+    deleted.push(false);
+    idToNode.set(id, node);
+
+    if (entry === -1) {
+      entry = node;
+      maxLevel = level;
+      return true;
+    }
+
+    let ep = greedy(q, entry, maxLevel, level);
+    let eps = [ep];
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      const found = searchLayer(q, eps, efConstruction, l);
+      const neighbors = selectNeighbors(found, M);
+      links[node][l] = neighbors.map((c) => c.n);
+
+      for (const { n: nb } of neighbors) {
+        const nbLinks = links[nb][l];
+        nbLinks.push(node);
+        if (nbLinks.length > maxLinks(l)) {
+          const base = vectors[nb];
+          const sorted = nbLinks
+            .map((n) => ({ n, d: 1 - dot(base, vectors[n]) }))
+            .sort((a, b) => a.d - b.d);
+          links[nb][l] = selectNeighbors(sorted, maxLinks(l)).map((c) => c.n);
+        }
+      }
+      eps = found.map((c) => c.n);
+    }
+
+    if (level > maxLevel) {
+      entry = node;
+      maxLevel = level;
+    }
+    return true;
+  }
+
+  /**
+   * k nearest live vectors to `query` → [{ id, similarity }], best first.
+   */
+  function search(query, k = 10, ef = efSearch) {
+    if (entry === -1 || query.length !== dim) return [];
+    const q = normalize(query);
+    if (!q) return [];
+    // Tombstones take beam slots — widen the beam to compensate
+    const width = Math.max(ef, k) * (deletedCount > 0 ? 2 : 1);
+    const ep = greedy(q, entry, maxLevel, 0);
+    return searchLayer(q, [ep], width, 0)
+      .filter((c) => !deleted[c.n])
+      .slice(0, k)
+      .map((c) => ({ id: ids[c.n], similarity: 1 - c.d }));
+  }
+
+  /**
+   * Serialize the graph. `extra` is caller metadata stored in the header.
+   */
+  function serialize(extra = {}) {
+    const deletedNodes = [];
+    for (let n = 0; n < ids.length; n++) if (deleted[n]) deletedNodes.push(n);
+
+    const header = Buffer.from(JSON.stringify({
+      version: FORMAT_VERSION, dim, M, efConstruction, efSearch, seed,
+      entry, maxLevel, ids, levels, deleted: deletedNodes, extra,
+    }));
+
+    let linkInts = 0;
+    for (const nodeLinks of links) for (const l of nodeLinks) linkInts += 1 + l.length;
+
+    const buf = Buffer.alloc(MAGIC.length + 4 + header.length + linkInts * 4 + deletedNodes.length * dim * 4);
+    let off = buf.write(MAGIC, 0, "latin1");
+    off = buf.writeUInt32LE(header.length, off);
+    off += header.copy(buf, off);
+    for (const nodeLinks of links) {
+      for (const l of nodeLinks) {
+        off = buf.writeUInt32LE(l.length, off);
+        for (const n of l) off = buf.writeUInt32LE(n, off);
+      }
+    }
+    for (const n of deletedNodes) {
+      for (let i = 0; i < dim; i++) off = buf.writeFloatLE(vectors[n][i], off);
+    }
+    return buf;
+  }
+
+  return {
+    get dim() { return dim; },
+    get size() { return idToNode.size; },
+    get nodeCount() { return ids.length; },
+    get deletedCount() { return deletedCount; },
+    has: (id) => idToNode.has(id),
+    ids: () => [...idToNode.keys()],
+    add,
+    remove,
+    search,
+    serialize,
+  };
+}
+
+/**
+ * Restore an index from serialize() output.
+ *
+ * `getVector(id)` returns the current vector for a live node. Nodes whose
+ * vector is gone or has the wrong dimension become tombstones (they keep a
+ * zero vector, so they are effectively never traversed first).
+ *
+ * Returns { index, extra }.
+ */
+export function loadHnswIndex(buffer, getVector) {
+  if (buffer.toString("latin1", 0, MAGIC.length) !== MAGIC) {
+    throw new Error("HNSW: not an index file");
+  }
+  let off = MAGIC.length;
+  const headerLen = buffer.readUInt32LE(off); off += 4;
+  const header = JSON.parse(buffer.toString("utf8", off, off + headerLen)); off += headerLen;
+  if (header.version !== FORMAT_VERSION) {
+    throw new Error(`HNSW: unsupported index version ${header.version}`);
+  }
+
+  const { dim, ids, levels } = header;
+  const links = [];
+  for (let n = 0; n < ids.length; n++) {
+    const nodeLinks = [];
+    for (let l = 0; l <= levels[n]; l++) {
+      const count = buffer.readUInt32LE(off); off += 4;
+      const arr = new Array(count);
+      for (let i = 0; i < count; i++) { arr[i] = buffer.readUInt32LE(off); off += 4; }
+      nodeLinks.push(arr);
+    }
+    links.push(nodeLinks);
+  }
+
+  const deleted = new Array(ids.length).fill(false);
+  const vectors = new Array(ids.length);
+  for (const n of header.deleted) {
+    const v = new Float32Array(dim);
+    for (let i = 0; i < dim; i++) { v[i] = buffer.readFloatLE(off); off += 4; }
+    vectors[n] = v;
+    deleted[n] = true;
+  }
+  for (let n = 0; n < ids.length; n++) {
+    if (deleted[n]) continue;
+    const raw = getVector(ids[n]);
+    const v = raw && raw.length === dim ? normalize(raw) : null;
+    if (v) {
+      vectors[n] = v;
+    } else {
+      vectors[n] = new Float32Array(dim);
+      deleted[n] = true;
+    }
+  }
+
+  const index = buildIndex(
+    { dim, M: header.M, efConstruction: header.efConstruction, efSearch: header.efSearch, seed: header.seed + ids.length },
+    { ids, vectors, levels, links, deleted, entry: header.entry, maxLevel: header.maxLevel }
+  );
+  return { index, extra: header.extra || {} };
+}
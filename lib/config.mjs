@@ -0,0 +1,269 @@
+/**
+ * Hebbian Memory — Configuration
+ *
+ * One loader for the plugin, the CLIs and the extractors. Settings are
+ * layered, later layers winning key by key:
+ *
+ *   defaults → config file → environment → overrides (CLI flags, plugin config)
+ *
+ * The file is ~/.hebbian/config.json (or $HEBBIAN_CONFIG, or an explicit
+ * path); see examples/config.example.json. Every layer is checked against
+ * SCHEMA — unknown keys, wrong types and out-of-range values are errors that
+ * name the file, variable or flag they came from. A null value leaves the
+ * key to the layer below. Path settings expand a leading `~`.
+ *
+ *   HEBBIAN_DB_PATH          dbPath
+ *   HEBBIAN_NAMESPACE        namespace
+ *   HEBBIAN_EMBED_*          embedProvider / embedUrl / embedModel / embedDim / embedApiKey
+ *   OLLAMA_URL               ollamaUrl
+ *   HEBBIAN_API_TOKEN        apiToken
+ */
+
+import { readFileSync } from "node:fs";
+import { homedir } from "node:os";
+import { join } from "node:path";
+import { checkNamespace } from "./db.mjs";
+import { PRUNE_MIN_WEIGHT } from "./graph.mjs";
+
+export const DEFAULT_CONFIG_PATH = "~/.hebbian/config.json";
+
+/**
+ * Every setting: { type, default, env?, enum?, min?, max?, above?, check? }.
+ * Types: string, path (a string with ~ expanded), number, integer, boolean.
+ * Nested objects are sections.
+ */
+const SCHEMA = {
+  dbPath: { type: "path", default: "~/.hebbian/hebbian.db", env: "HEBBIAN_DB_PATH" },
+  namespace: { type: "string", default: null, env: "HEBBIAN_NAMESPACE", check: checkNamespace },
+
+  // Embedding provider (lib/embeddings.mjs) — unset keys use the provider's defaults
+  embedProvider: { type: "string", default: null, env: "HEBBIAN_EMBED_PROVIDER", enum: ["ollama", "openai", "hash"] },
+  embedUrl: { type: "string", default: null, env: "HEBBIAN_EMBED_URL" },
+  embedModel: { type: "string", default: null, env: "HEBBIAN_EMBED_MODEL" },
+  embedDim: { type: "integer", default: null, env: "HEBBIAN_EMBED_DIM", min: 1 },
+  embedApiKey: { type: "string", default: null, env: "HEBBIAN_EMBED_API_KEY" },
+  ollamaUrl: { type: "string", default: "http://127.0.0.1:11434", env: "OLLAMA_URL" }, // embeddings and the reasoning LLM
+
+  // `hebbian serve`
+  host: { type: "string", default: null },
+  port: { type: "integer", default: null, min: 0, max: 65535 },
+  apiToken: { type: "string", default: null, env: "HEBBIAN_API_TOKEN" },
+
+  retrieval: {
+    maxContextTokens: { type: "integer", default: 800, min: 1 },
+    maxEntries: { type: "integer", default: 30, min: 1 },
+    semanticWeight: { type: "number", default: 0.6, min: 0 },
+    activationWeight: { type: "number", default: 0.3, min: 0 },
+    domainWeight: { type: "number", default: 0.1, min: 0 },
+    minSimilarity: { type: "number", default: 0.3, min: -1, max: 1 }, // similarity floor for results
+  },
+
+  decay: {
+    dailyFactor: { type: "number", default: 0.9995, above: 0, max: 1 }, // legacy activation column
+    pruneThreshold: { type: "number", default: PRUNE_MIN_WEIGHT, min: 0 }, // edges below this weight are dropped
+  },
+
+  extraction: {
+    sessionsDir: { type: "path", default: "~/.openclaw/agents/main/sessions" },
+    memoryDir: { type: "path", default: "~/.openclaw/workspace/memory" }, // atomize: learnings/, core/, daily logs
+    sessionExtractor: {
+      minThinkingBlockLength: { type: "integer", default: 100, min: 0 },
+      semanticDedup: {
+        enabled: { type: "boolean", default: true },
+        threshold: { type: "number", default: 0.92, min: 0, max: 1 },
+      },
+    },
+    reasoningExtractor: {
+      llmModel: { type: "string", default: "qwen2.5-coder:7b" },
+      maxInsightsPerBlock: { type: "integer", default: 2, min: 1 },
+      minDetailLength: { type: "integer", default: 20, min: 0 },
+      progressFile: { type: "path", default: "~/.hebbian/reasoning-extraction-progress.json" },
+    },
+  },
+};
+
+const isSpec = (node) => typeof node?.type === "string";
+const isObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Dotted key → spec, e.g. "retrieval.minSimilarity"
+const SETTINGS = new Map();
+(function flatten(node, prefix) {
+  for (const [key, child] of Object.entries(node)) {
+    if (isSpec(child)) SETTINGS.set(prefix + key, child);
+    else flatten(child, `${prefix}${key}.`);
+  }
+})(SCHEMA, "");
+
+/** `~` or `~/…` → under the home directory; anything else unchanged. */
+export function expandHome(path) {
+  if (path === "~") return homedir();
+  return typeof path === "string" && path.startsWith("~/") ? join(homedir(), path.slice(2)) : path;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────────────
+
+/** A problem with `value` for `spec`, or null when it is fine. */
+function problem(spec, value) {
+  const got = JSON.stringify(value);
+  switch (spec.type) {
+    case "string":
+    case "path":
+      if (typeof value !== "string" || !value) return `expected a non-empty string, got ${got}`;
+      break;
+    case "boolean":
+      if (typeof value !== "boolean") return `expected true or false, got ${got}`;
+      break;
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value)) return `expected a number, got ${got}`;
+      if (spec.type === "integer" && !Number.isInteger(value)) return `expected an integer, got ${got}`;
+      if (spec.min !== undefined && value < spec.min) return `expected at least ${spec.min}, got ${got}`;
+      if (spec.above !== undefined && value <= spec.above) return `expected more than ${spec.above}, got ${got}`;
+      if (spec.max !== undefined && value > spec.max) return `expected at most ${spec.max}, got ${got}`;
+      break;
+  }
+  if (spec.enum && !spec.enum.includes(value)) return `expected one of ${spec.enum.join(", ")}, got ${got}`;
+  if (spec.check) {
+    try {
+      spec.check(value);
+    } catch (err) {
+      return err.message;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a layer (nested like SCHEMA) → [[dotted key, value]] of its set
+ * keys. Problems are pushed to `errors` as "<source>: <key>: …".
+ */
+function readLayer(layer, source, errors) {
+  const set = [];
+  (function walk(node, schema, prefix) {
+    for (const [key, value] of Object.entries(node)) {
+      if (value === null || value === undefined) continue;
+      const name = prefix + key;
+      const spec = schema[key];
+      if (!spec) {
+        errors.push(`${source}: ${name}: unknown setting`);
+      } else if (!isSpec(spec)) {
+        if (isObject(value)) walk(value, spec, `${name}.`);
+        else errors.push(`${source}: ${name}: expected an object, got ${JSON.stringify(value)}`);
+      } else {
+        const why = problem(spec, value);
+        if (why) errors.push(`${source}: ${name}: ${why}`);
+        else set.push([name, value]);
+      }
+    }
+  })(layer, SCHEMA, "");
+  return set;
+}
+
+/** Settings from environment variables, parsed by type → [[dotted key, value]]. */
+function readEnv(env, errors) {
+  const set = [];
+  for (const [name, spec] of SETTINGS) {
+    const raw = spec.env ? env[spec.env]?.trim() : undefined;
+    if (!raw) continue;
+    const number = Number(raw);
+    const value = (spec.type === "number" || spec.type === "integer") && Number.isFinite(number) ? number
+      : spec.enum ? raw.toLowerCase()
+      : raw;
+    const why = problem(spec, value);
+    if (why) errors.push(`$${spec.env}: ${why}`);
+    else set.push([name, value]);
+  }
+  return set;
+}
+
+function readFile(path, required, errors) {
+  let text;
+  try {
+    text = readFileSync(expandHome(path), "utf-8");
+  } catch (err) {
+    if (required || err.code !== "ENOENT") errors.push(`${path}: ${err.message}`);
+    return {};
+  }
+  try {
+    const layer = JSON.parse(text);
+    if (isObject(layer)) return layer;
+    errors.push(`${path}: expected a JSON object`);
+  } catch (err) {
+    errors.push(`${path}: invalid JSON (${err.message})`);
+  }
+  return {};
+}
+
+// ─── Loading ─────────────────────────────────────────────────────────────────
+
+function assign(target, name, value) {
+  const keys = name.split(".");
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) node = node[key] ??= {};
+  node[last] = value;
+}
+
+/**
+ * The effective configuration: every key of SCHEMA, nested the same way.
+ *
+ * `path`: the config file — required to exist when given; by default
+ * $HEBBIAN_CONFIG, else ~/.hebbian/config.json if present; false skips the
+ * file. `env` is read for the variables above. `overrides` (nested like the
+ * file, null values ignored) win over everything; `source` names them in
+ * errors. Throws one Error listing every problem found.
+ */
+export function loadConfig({ path = undefined, env = process.env, overrides = {}, source = "overrides" } = {}) {
+  const errors = [];
+  const file = path === false ? null : path || env.HEBBIAN_CONFIG || DEFAULT_CONFIG_PATH;
+  const layers = [
+    [...SETTINGS].map(([name, spec]) => [name, spec.default]),
+    file ? readLayer(readFile(file, Boolean(path || env.HEBBIAN_CONFIG), errors), file, errors) : [],
+    readEnv(env, errors),
+    readLayer(overrides, source, errors),
+  ];
+  if (errors.length > 0) throw new Error(`Invalid configuration:\n  ${errors.join("\n  ")}`);
+
+  const config = {};
+  for (const layer of layers) for (const [name, value] of layer) assign(config, name, value);
+  for (const [name, spec] of SETTINGS) {
+    if (spec.type !== "path") continue;
+    const keys = name.split(".");
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], config);
+    parent[keys.at(-1)] = expandHome(parent[keys.at(-1)]);
+  }
+  return config;
+}
+
+// ─── Views ───────────────────────────────────────────────────────────────────
+
+/** Options for setEmbeddingProvider() / createEmbeddingProvider(). */
+export function embeddingOptions(config) {
+  const ollama = !config.embedProvider || config.embedProvider === "ollama";
+  return {
+    provider: config.embedProvider,
+    url: config.embedUrl || (ollama ? config.ollamaUrl : null),
+    model: config.embedModel,
+    dim: config.embedDim,
+    apiKey: config.embedApiKey,
+  };
+}
+
+/** The scoring options of retrieve() set by `retrieval`. */
+export function retrieveOptions(config) {
+  const { semanticWeight, activationWeight, domainWeight, minSimilarity } = config.retrieval;
+  return { semanticWeight, activationWeight, domainWeight, minSimilarity };
+}
+
+/**
+ * Environment variables that hand `config`'s env-backed settings to a child
+ * process (an extractor), where they beat its own config file.
+ */
+export function configEnv(config) {
+  const env = {};
+  for (const [name, spec] of SETTINGS) {
+    const value = name.split(".").reduce((node, key) => node?.[key], config);
+    if (spec.env && value !== null && value !== undefined) env[spec.env] = String(value);
+  }
+  return env;
+}
@@ -0,0 +1,261 @@
+/**
+ * Hebbian Memory — Consolidation ("sleep")
+ *
+ * Merges near-duplicate active memories. Within each namespace and domain,
+ * memories with embeddings from one model are clustered greedily: the most
+ * activated unclustered memory seeds a cluster and takes every other
+ * unclustered one at least `threshold` similar to it (seed-linkage, so
+ * clusters don't chain through loosely related entries). Pinned memories
+ * and corrections are left alone, and a memory never joins a cluster whose
+ * members it contradicts — an open contradiction or a conflictSignals()
+ * hit — so opposing facts wait for review instead of being merged away.
+ *
+ * Each cluster becomes one new canonical memory:
+ *   - text, type and embedding of the seed (the wording used most)
+ *   - retrieval histories merged, retrieval counts and legacy activation
+ *     summed, earliest creation time; the lowest feedback bias, so a
+ *     "wrong" verdict survives the merge
+ *   - tags and co-occurrence edges unioned (edge weights summed, per
+ *     namespace of the edge); the originals' edges move to the canonical entry
+ *   - corrections of the originals (corrects) and their open contradictions
+ *     move to the canonical entry, so it is served with the correction and
+ *     still kept apart from what it conflicts with
+ * Originals stay in the store, deprecated with superseded_by → canonical;
+ * the consolidations table records every merge with the member's
+ * similarity to the seed and the links moved off it.
+ */
+
+import { createHash } from "node:crypto";
+import {
+  upsertMemory, deprecateMemory, blobToEmbedding, getEmbeddingProvider, namespacedId, BASE_LEVEL_SQL,
+} from "./db.mjs";
+import { retrievalTimes, encodeHistory, HISTORY_SIZE } from "./activation.mjs";
+import { conflictSignals, CONTRADICTION_THRESHOLD } from "./contradictions.mjs";
+
+export const CONSOLIDATE_THRESHOLD = 0.92; // same bar as insert-time dedup
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  return norm === 0 ? null : vector.map((x) => x / norm);
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let i = 0; i < a.length; i++) s += a[i] * b[i];
+  return s;
+}
+
+// ─── Clustering ──────────────────────────────────────────────────────────────
+
+/**
+ * Clusters of near-duplicate active memories → [{ namespace, domain, seed,
+ * members: [{ ...row, similarity }] }], seed first, members ≥ 2.
+ */
+export function findClusters(db, { threshold = CONSOLIDATE_THRESHOLD, domain = null, model = getEmbeddingProvider().model } = {}) {
+  // Most activated first: those become seeds
+  const rows = db.prepare(`
+    SELECT *, ${BASE_LEVEL_SQL} AS base_level FROM memories
+    WHERE (status = 'active' OR status IS NULL) AND NOT pinned AND corrects IS NULL
+      AND embedding IS NOT NULL AND embedding_model = ?
+      AND (? IS NULL OR domain = ?)
+    ORDER BY namespace, domain, base_level DESC
+  `).all(model, domain, domain);
+
+  const groups = new Map(); // namespace + domain → items
+  for (const row of rows) {
+    const vector = normalize(blobToEmbedding(row.embedding));
+    if (!vector) continue;
+    const key = JSON.stringify([row.namespace, row.domain || "general"]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ row, vector });
+  }
+
+  const open = new Set(db.prepare("SELECT memory_a, memory_b FROM contradictions WHERE status = 'open'")
+    .all().map((c) => `${c.memory_a}\n${c.memory_b}`));
+  const conflicting = (a, b) =>
+    open.has(a.id < b.id ? `${a.id}\n${b.id}` : `${b.id}\n${a.id}`) ||
+    conflictSignals(a.detail || a.title, b.detail || b.title).score >= CONTRADICTION_THRESHOLD;
+
+  const clusters = [];
+  for (const [key, items] of groups) {
+    const [namespace, d] = JSON.parse(key);
+    const taken = new Set();
+    for (let i = 0; i < items.length; i++) {
+      if (taken.has(i)) continue;
+      const seed = items[i];
+      const members = [{ ...seed.row, similarity: 1 }];
+      for (let j = i + 1; j < items.length; j++) {
+        if (taken.has(j) || items[j].vector.length !== seed.vector.length) continue;
+        const similarity = dot(seed.vector, items[j].vector);
+        if (similarity >= threshold && !members.some((m) => conflicting(m, items[j].row))) {
+          members.push({ ...items[j].row, similarity });
+          taken.add(j);
+        }
+      }
+      if (members.length > 1) {
+        taken.add(i);
+        clusters.push({ namespace, domain: d, seed: seed.row, members });
+      }
+    }
+  }
+  return clusters;
+}
+
+// ─── Merging ─────────────────────────────────────────────────────────────────
+
+function canonicalId(cluster) {
+  const hash = createHash("sha1").update(cluster.members.map((m) => m.id).sort().join("\n")).digest("hex");
+  return namespacedId(cluster.namespace, `consolidated:${cluster.domain}:${hash.slice(0, 12)}`);
+}
+
+function mergeCluster(db, cluster, now) {
+  const { seed, members } = cluster;
+  const id = canonicalId(cluster);
+  const ids = JSON.stringify(members.map((m) => m.id));
+
+  const times = members.flatMap((m) => retrievalTimes(m)).sort((a, b) => a - b);
+  const created = members.map((m) => m.created).filter(Boolean).sort()[0];
+  const lastRetrieved = members.map((m) => m.last_retrieved).filter(Boolean).sort().pop() || null;
+  const tags = db.prepare(
+    "SELECT DISTINCT tag FROM tags WHERE memory_id IN (SELECT value FROM json_each(?))"
+  ).all(ids).map((r) => r.tag);
+
+  upsertMemory(db, {
+    id,
+    title: seed.title,
+    source: "consolidation",
+    source_section: seed.source_section,
+    created: created || new Date(now * 1000).toISOString(),
+    last_retrieved: lastRetrieved,
+    retrieval_count: members.reduce((sum, m) => sum + (m.retrieval_count || 0), 0),
+    retrieval_history: encodeHistory(times.slice(-HISTORY_SIZE)),
+    content_hash: seed.content_hash,
+    activation: members.reduce((sum, m) => sum + (m.activation || 0), 0),
+    feedback_bias: Math.min(...members.map((m) => m.feedback_bias || 0)),
+    detail: seed.detail,
+    domain: seed.domain,
+    pattern_type: seed.pattern_type,
+    embedding: seed.embedding,
+    embedding_model: seed.embedding_model,
+    tags,
+    namespace: seed.namespace,
+  });
+
+  // Union the edges onto the canonical entry, then drop the originals'
+  for (const [from, to] of [["memory_a", "memory_b"], ["memory_b", "memory_a"]]) {
+    db.prepare(`
+      INSERT INTO co_occurrences (namespace, ${from}, ${to}, weight, updated)
+      SELECT namespace, ?, ${to}, SUM(edge_weight(weight, updated)), ?
+      FROM co_occurrences
+      WHERE ${from} IN (SELECT value FROM json_each(?))
+        AND ${to} NOT IN (SELECT value FROM json_each(?))
+      GROUP BY namespace, ${to}
+      ON CONFLICT(namespace, memory_a, memory_b) DO UPDATE
+      SET weight = edge_weight(weight, updated) + excluded.weight, updated = excluded.updated
+    `).run(id, now, ids, ids);
+  }
+  db.prepare(`
+    DELETE FROM co_occurrences
+    WHERE memory_a IN (SELECT value FROM json_each(?)) OR memory_b IN (SELECT value FROM json_each(?))
+  `).run(ids, ids);
+
+  // Corrections and open contradictions naming an original move to the
+  // canonical entry (originals never correct or contradict each other, see findClusters)
+  const relinked = new Map(members.map((m) => [m.id, { corrections: [], contradictions: [] }]));
+  const corrections = db.prepare(
+    "SELECT id, corrects FROM memories WHERE corrects IN (SELECT value FROM json_each(?))"
+  ).all(ids);
+  const repoint = db.prepare("UPDATE memories SET corrects = ? WHERE id = ?");
+  for (const c of corrections) {
+    repoint.run(id, c.id);
+    relinked.get(c.corrects).corrections.push(c.id);
+  }
+
+  const contradictions = db.prepare(`
+    SELECT * FROM contradictions
+    WHERE status = 'open'
+      AND (memory_a IN (SELECT value FROM json_each(?)) OR memory_b IN (SELECT value FROM json_each(?)))
+  `).all(ids, ids);
+  const move = db.prepare(`
+    INSERT INTO contradictions (memory_a, memory_b, score, similarity, signals, status, created)
+    VALUES (?, ?, ?, ?, ?, 'open', ?)
+    ON CONFLICT(memory_a, memory_b) DO UPDATE SET score = MAX(score, excluded.score) WHERE status = 'open'
+  `);
+  const drop = db.prepare("DELETE FROM contradictions WHERE memory_a = ? AND memory_b = ?");
+  for (const c of contradictions) {
+    const [member, other] = relinked.has(c.memory_a) ? [c.memory_a, c.memory_b] : [c.memory_b, c.memory_a];
+    const [a, b] = id < other ? [id, other] : [other, id]; // memory_a < memory_b
+    move.run(a, b, c.score, c.similarity, c.signals, c.created);
+    drop.run(c.memory_a, c.memory_b);
+    relinked.get(member).contradictions.push(other);
+  }
+
+  const provenance = db.prepare(`
+    INSERT OR REPLACE INTO consolidations (canonical_id, memory_id, similarity, created, relinked)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+  for (const m of members) {
+    const moved = relinked.get(m.id);
+    deprecateMemory(db, m.id, id);
+    provenance.run(id, m.id, m.similarity, now,
+      moved.corrections.length + moved.contradictions.length > 0 ? JSON.stringify(moved) : null);
+  }
+  return id;
+}
+
+/**
+ * Run a consolidation pass. With `dryRun` nothing is written.
+ * Returns { clusters: [{ canonical, namespace, domain, title, members: [{ id, title, similarity }] }],
+ * merged, created } — canonical is null in a dry run.
+ */
+export function consolidate(db, { threshold = CONSOLIDATE_THRESHOLD, domain = null, model, dryRun = false } = {}) {
+  const clusters = findClusters(db, { threshold, domain, model });
+  const now = Math.floor(Date.now() / 1000);
+
+  const report = clusters.map((c) => ({
+    canonical: null,
+    namespace: c.namespace,
+    domain: c.domain,
+    title: c.seed.title || (c.seed.detail || "").slice(0, 80),
+    members: c.members.map((m) => ({ id: m.id, title: m.title, similarity: m.similarity })),
+  }));
+  if (!dryRun) {
+    db.transaction(() => {
+      clusters.forEach((c, i) => { report[i].canonical = mergeCluster(db, c, now); });
+    })();
+  }
+  return {
+    clusters: report,
+    merged: dryRun ? 0 : report.reduce((sum, c) => sum + c.members.length, 0),
+    created: dryRun ? 0 : report.length,
+  };
+}
+
+/**
+ * Past consolidations, newest first → [{ canonical, title, status, created,
+ * members: [{ id, title, source, similarity, relinked: { corrections, contradictions } | null }] }].
+ */
+export function consolidationReport(db, { limit = 50 } = {}) {
+  const canonicals = db.prepare(`
+    SELECT c.canonical_id, MAX(c.created) AS created, m.title, m.detail, m.status
+    FROM consolidations c LEFT JOIN memories m ON m.id = c.canonical_id
+    GROUP BY c.canonical_id
+    ORDER BY created DESC
+    LIMIT ?
+  `).all(limit);
+  const members = db.prepare(`
+    SELECT c.memory_id AS id, m.title, m.source, c.similarity, c.relinked
+    FROM consolidations c LEFT JOIN memories m ON m.id = c.memory_id
+    WHERE c.canonical_id = ?
+    ORDER BY c.similarity DESC
+  `);
+  return canonicals.map((c) => ({
+    canonical: c.canonical_id,
+    title: c.title || (c.detail || "").slice(0, 80),
+    status: c.status,
+    created: new Date(c.created * 1000).toISOString(),
+    members: members.all(c.canonical_id).map((m) => ({ ...m, relinked: JSON.parse(m.relinked || "null") })),
+  }));
+}
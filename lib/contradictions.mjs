@@ -0,0 +1,314 @@
+/**
+ * Hebbian Memory — Contradiction Detection
+ *
+ * Finds pairs of active memories in the same namespace and domain that are
+ * about the same thing (embeddings at least CONTRADICTION_SIMILARITY
+ * similar) but disagree — agents or projects may differ without conflict.
+ * Three signals, each 0–1; a pair's conflict score is the highest:
+ *
+ *   negation — one side negates what the other states ("use X" / "never use
+ *              X", enable / disable), scaled by how much wording they share
+ *   numbers  — both give numbers in the same unit, and none of them agree
+ *              ("CRF 18" / "CRF 23", "30s" / "60s")
+ *   values   — the same key, flag or setting is given different values
+ *              ("timeout=30" / "timeout=60", "--preset slow" / "--preset fast")
+ *
+ * Pairs scoring at least CONTRADICTION_THRESHOLD go to the contradictions
+ * table — a review queue resolved by deprecating one side, marking one as the
+ * correction of the other, or dismissing the pair (never flagged again).
+ * Until then retrieve() keeps open pairs scoring at least its
+ * `conflictThreshold` out of the same injected context.
+ */
+
+import {
+  blobToEmbedding, cosineSimilarity, getEmbeddingProvider, deprecateMemory, markAsCorrection,
+} from "./db.mjs";
+
+export const CONTRADICTION_SIMILARITY = 0.75; // pairs less similar are about different things
+export const CONTRADICTION_THRESHOLD = 0.5; // conflict score that flags a pair
+export const RESOLUTIONS = ["deprecate", "correct", "dismiss"];
+
+const OVERLAP_FLOOR = 0.3; // shared wording below this: a negation is not about the same claim
+const OVERLAP_FULL = 0.6;
+
+const NEGATION = /\b(?:not|never|no longer|don't|do not|doesn't|does not|didn't|cannot|can't|won't|shouldn't|should not|mustn't|must not|isn't|aren't|avoid|stop)\b/g;
+const ANTONYMS = [
+  ["enable", "disable"], ["enabled", "disabled"], ["true", "false"], ["always", "never"],
+  ["allow", "block"], ["allowed", "blocked"], ["include", "exclude"], ["required", "optional"],
+];
+const NUMBER = /(?<![\w.])(\d+(?:\.\d+)?)\s*(?:(%)|([a-z]+)\b)?/g;
+const UNITS = {
+  ms: "ms", s: "s", sec: "s", secs: "s", second: "s", seconds: "s",
+  min: "min", mins: "min", minute: "min", minutes: "min",
+  h: "h", hr: "h", hrs: "h", hour: "h", hours: "h", d: "d", day: "d", days: "d",
+  k: "k", kb: "kb", mb: "mb", gb: "gb", tb: "tb", px: "px", fps: "fps", hz: "hz", khz: "khz",
+  x: "x", token: "tokens", tokens: "tokens",
+};
+const DATE = /\b\d{4}-\d{2}-\d{2}(?:[t ][\d:.]+z?)?\b/g;
+const VALUE_PATTERNS = [
+  /(?<![\w-])(--?[a-z][\w-]*)(?:=|\s+)(?!-)([^\s,;]+)/g, // --flag value, --flag=value
+  /\b([a-z_][\w.-]*)\s*=\s*([^\s,;]+)/g, // key=value
+  /\b([a-z_][\w-]*[_.-][\w.-]*)\s*:\s*([^\s,;]+)/g, // dotted.key: value, snake_key: value
+  /\bset\s+([\w.-]+)\s+to\s+([^\s,;]+)/g, // set key to value
+];
+
+// Words that follow a flag without being its value ("run with --verbose to see")
+const FILLER = new Set("to for when with and or in on if so as at by of is the".split(" "));
+
+const STOPWORDS = new Set((
+  "the and for with that this from into when then than them they their there have has had " +
+  "but are was were will would should could can use using used you your our its all any each " +
+  "only also just more some what which how about after before over under been does did"
+).split(" "));
+
+// ─── Signals ─────────────────────────────────────────────────────────────────
+
+function contentWords(text) {
+  return new Set(text.match(/[a-z][a-z0-9_-]{2,}/g)?.filter((w) => !STOPWORDS.has(w)) || []);
+}
+
+const clean = (value) => value.replace(/^["'`(]+|["'`).:]+$/g, "");
+const ramp = (x, floor, full) => Math.min(Math.max((x - floor) / (full - floor), 0), 1);
+
+function numbersByUnit(text) {
+  const byUnit = new Map();
+  for (const m of text.replace(DATE, " ").matchAll(NUMBER)) {
+    const unit = m[2] || UNITS[m[3]] || "";
+    if (!byUnit.has(unit)) byUnit.set(unit, new Set());
+    byUnit.get(unit).add(Number(m[1]));
+  }
+  return byUnit;
+}
+
+function keyValues(text) {
+  const values = new Map();
+  for (const pattern of VALUE_PATTERNS) {
+    for (const m of text.matchAll(pattern)) {
+      const value = clean(m[2]);
+      if (value && !FILLER.has(value) && !values.has(m[1])) values.set(m[1], value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Conflict between two memory texts → { score, signals: { negation, numbers,
+ * values }, evidence: [string] }. Symmetric; says nothing about whether the
+ * texts are on the same subject — that is the similarity gate's job.
+ */
+export function conflictSignals(textA, textB) {
+  const a = (textA || "").toLowerCase();
+  const b = (textB || "").toLowerCase();
+  const evidence = [];
+
+  // Negation: opposite polarity over mostly shared wording
+  const negA = a.match(NEGATION) || [];
+  const negB = b.match(NEGATION) || [];
+  const wordsA = contentWords(a.replace(NEGATION, " "));
+  const wordsB = contentWords(b.replace(NEGATION, " "));
+  let shared = 0;
+  for (const w of wordsA) if (wordsB.has(w)) shared++;
+  const overlap = Math.min(wordsA.size, wordsB.size) === 0 ? 0 : shared / Math.min(wordsA.size, wordsB.size);
+
+  let flipped = (negA.length > 0) !== (negB.length > 0);
+  if (flipped) evidence.push(`negation: "${(negA[0] || negB[0])}"`);
+  for (const [yes, no] of ANTONYMS) {
+    const split = (wordsA.has(yes) && wordsB.has(no) && !wordsA.has(no)) ||
+      (wordsA.has(no) && wordsB.has(yes) && !wordsA.has(yes));
+    if (split) {
+      flipped = true;
+      evidence.push(`negation: ${yes} / ${no}`);
+    }
+  }
+  const negation = flipped ? ramp(overlap, OVERLAP_FLOOR, OVERLAP_FULL) : 0;
+
+  // Numbers: same unit on both sides, no value in common
+  let numbers = 0;
+  const numsA = numbersByUnit(a);
+  const numsB = numbersByUnit(b);
+  for (const [unit, valuesA] of numsA) {
+    const valuesB = numsB.get(unit);
+    if (!valuesB || [...valuesA].some((v) => valuesB.has(v))) continue;
+    numbers = Math.max(numbers, unit ? 1 : 0.8); // bare numbers may count different things
+    evidence.push(`numbers: ${[...valuesA].join("/")}${unit} ≠ ${[...valuesB].join("/")}${unit}`);
+  }
+
+  // Values: same key, different value
+  let values = 0;
+  const kvA = keyValues(a);
+  const kvB = keyValues(b);
+  for (const [key, value] of kvA) {
+    if (!kvB.has(key) || kvB.get(key) === value) continue;
+    values = 1;
+    evidence.push(`values: ${key} = ${value} ≠ ${kvB.get(key)}`);
+  }
+
+  return { score: Math.max(negation, numbers, values), signals: { negation, numbers, values }, evidence };
+}
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * Conflicting pairs among active memories with embeddings from `model` →
+ * [{ memoryA, memoryB, domain, similarity, score, signals, evidence }],
+ * strongest first, memoryA < memoryB. Pairs already linked by corrects or
+ * superseded_by are skipped.
+ */
+export function findContradictions(db, {
+  minSimilarity = CONTRADICTION_SIMILARITY,
+  threshold = CONTRADICTION_THRESHOLD,
+  domain = null,
+  model = getEmbeddingProvider().model,
+} = {}) {
+  const rows = db.prepare(`
+    SELECT id, title, detail, domain, namespace, embedding, superseded_by, corrects FROM memories
+    WHERE (status = 'active' OR status IS NULL)
+      AND embedding IS NOT NULL AND embedding_model = ?
+      AND (? IS NULL OR domain = ?)
+    ORDER BY id
+  `).all(model, domain, domain);
+
+  const groups = new Map(); // namespace + domain → items
+  for (const row of rows) {
+    const vector = blobToEmbedding(row.embedding);
+    const key = JSON.stringify([row.namespace, row.domain || "general"]);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ row, vector });
+  }
+
+  const linked = (x, y) => x.corrects === y.id || y.corrects === x.id ||
+    x.superseded_by === y.id || y.superseded_by === x.id;
+
+  const pairs = [];
+  for (const [key, items] of groups) {
+    const [, d] = JSON.parse(key);
+    for (let i = 0; i < items.length; i++) {
+      for (let j = i + 1; j < items.length; j++) {
+        const [x, y] = [items[i], items[j]];
+        if (linked(x.row, y.row)) continue;
+        const similarity = cosineSimilarity(x.vector, y.vector);
+        if (similarity < minSimilarity) continue;
+        const conflict = conflictSignals(x.row.detail || x.row.title, y.row.detail || y.row.title);
+        if (conflict.score < threshold) continue;
+        pairs.push({ memoryA: x.row.id, memoryB: y.row.id, domain: d, similarity, ...conflict });
+      }
+    }
+  }
+  return pairs.sort((p, q) => q.score - p.score || q.similarity - p.similarity);
+}
+
+/**
+ * Queue one pair ({ memoryA, memoryB, score, similarity, signals, evidence })
+ * for review, in either id order. An open pair is rescored; resolved and
+ * dismissed ones stay as they are. Returns true if the pair is new.
+ */
+export function queueContradiction(db, pair) {
+  const [memoryA, memoryB] = pair.memoryA < pair.memoryB
+    ? [pair.memoryA, pair.memoryB]
+    : [pair.memoryB, pair.memoryA];
+  const exists = db.prepare("SELECT 1 FROM contradictions WHERE memory_a = ? AND memory_b = ?").get(memoryA, memoryB);
+  db.prepare(`
+    INSERT INTO contradictions (memory_a, memory_b, score, similarity, signals, status, created)
+    VALUES (@memoryA, @memoryB, @score, @similarity, @signals, 'open', @now)
+    ON CONFLICT(memory_a, memory_b) DO UPDATE
+    SET score = excluded.score, similarity = excluded.similarity, signals = excluded.signals
+    WHERE status = 'open'
+  `).run({
+    memoryA, memoryB, score: pair.score, similarity: pair.similarity ?? null,
+    signals: JSON.stringify({ ...pair.signals, evidence: pair.evidence || [] }),
+    now: Math.floor(Date.now() / 1000),
+  });
+  return !exists;
+}
+
+/**
+ * Find conflicting pairs and queue them for review. With `dryRun` nothing is
+ * written. Returns { pairs, added }.
+ */
+export function detectContradictions(db, { dryRun = false, ...options } = {}) {
+  const pairs = findContradictions(db, options);
+  if (dryRun) return { pairs, added: 0 };
+
+  let added = 0;
+  db.transaction(() => {
+    for (const p of pairs) if (queueContradiction(db, p)) added++;
+  })();
+  return { pairs, added };
+}
+
+// ─── Review queue ────────────────────────────────────────────────────────────
+
+/**
+ * The review queue, strongest first → [{ memoryA, memoryB, score, similarity,
+ * signals, evidence, status, resolution, kept, created, a: { id, domain,
+ * pattern_type, detail }, b: { … } }]. Open pairs whose memories are no
+ * longer both active are left out.
+ */
+export function getContradictions(db, { status = "open", limit = 50 } = {}) {
+  const rows = db.prepare(`
+    SELECT c.*,
+           a.domain AS a_domain, a.pattern_type AS a_type, COALESCE(a.detail, a.title) AS a_detail, a.status AS a_status,
+           b.domain AS b_domain, b.pattern_type AS b_type, COALESCE(b.detail, b.title) AS b_detail, b.status AS b_status
+    FROM contradictions c
+    JOIN memories a ON a.id = c.memory_a
+    JOIN memories b ON b.id = c.memory_b
+    WHERE (? IS NULL OR c.status = ?)
+    ORDER BY c.score DESC, c.similarity DESC
+    LIMIT ?
+  `).all(status, status, limit);
+
+  const active = (s) => s === "active" || s === null;
+  return rows
+    .filter((r) => r.status !== "open" || (active(r.a_status) && active(r.b_status)))
+    .map((r) => {
+      const { evidence = [], ...signals } = JSON.parse(r.signals || "{}");
+      return {
+        memoryA: r.memory_a,
+        memoryB: r.memory_b,
+        score: r.score,
+        similarity: r.similarity,
+        signals,
+        evidence,
+        status: r.status,
+        resolution: r.resolution,
+        kept: r.kept,
+        created: new Date(r.created * 1000).toISOString(),
+        a: { id: r.memory_a, domain: r.a_domain, pattern_type: r.a_type, detail: r.a_detail },
+        b: { id: r.memory_b, domain: r.b_domain, pattern_type: r.b_type, detail: r.b_detail },
+      };
+    });
+}
+
+/**
+ * Resolve a queued pair:
+ *   "deprecate" — `keep` stays, the other side is deprecated (superseded_by → keep)
+ *   "correct"   — `keep` is marked as the correction of the other side
+ *   "dismiss"   — not a contradiction; both stay and the pair is not flagged again
+ * Returns { memoryA, memoryB, resolution, kept }.
+ */
+export function resolveContradiction(db, idA, idB, resolution, { keep = null } = {}) {
+  if (!RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Unknown resolution "${resolution}" (expected: ${RESOLUTIONS.join(", ")})`);
+  }
+  const [memoryA, memoryB] = idA < idB ? [idA, idB] : [idB, idA];
+  const pair = db.prepare("SELECT * FROM contradictions WHERE memory_a = ? AND memory_b = ?").get(memoryA, memoryB);
+  if (!pair) throw new Error(`No queued contradiction between ${idA} and ${idB}`);
+  if (pair.status !== "open") throw new Error(`Contradiction already ${pair.status} (${pair.resolution})`);
+  if (resolution !== "dismiss" && keep !== memoryA && keep !== memoryB) {
+    throw new Error(`${resolution} needs the id of the memory to keep (${memoryA} or ${memoryB})`);
+  }
+  const other = keep === memoryA ? memoryB : memoryA;
+
+  db.transaction(() => {
+    if (resolution === "deprecate") deprecateMemory(db, other, keep);
+    if (resolution === "correct") markAsCorrection(db, keep, other);
+    db.prepare(`
+      UPDATE contradictions SET status = ?, resolution = ?, kept = ?, resolved = ?
+      WHERE memory_a = ? AND memory_b = ?
+    `).run(
+      resolution === "dismiss" ? "dismissed" : "resolved", resolution,
+      resolution === "dismiss" ? null : keep, Math.floor(Date.now() / 1000), memoryA, memoryB
+    );
+  })();
+  return { memoryA, memoryB, resolution, kept: resolution === "dismiss" ? null : keep };
+}
@@ -7,124 +7,520 @@
  * Schema:
  *   memories       — all memory entries (legacy + atomic + session-learned)
  *   tags           — junction table for tag lookups
- *   co_occurrences — bidirectional co-occurrence weights
+ *   co_occurrences — bidirectional co-occurrence weights (time-decayed, see graph.mjs)
+ *   vector_changes — trigger-fed changelog that keeps the ANN index coherent
+ *   memories_fts   — FTS5 index over title / detail / tags (trigger-synced)
+ *   retrieval_events — which memories were injected together (per session)
+ *   feedback       — helpful / unhelpful / wrong ratings of memories
+ *   consolidations — which memories were merged into which canonical entry
+ *   contradictions — review queue of conflicting memory pairs (contradictions.mjs)
  *
- * Embeddings: 768-dim float32 vectors from nomic-embed-text via Ollama.
- * Stored as BLOBs, cosine similarity computed in JS (fast enough at <10K entries).
+ * The schema is built and upgraded by the ordered MIGRATIONS registry below;
+ * meta.schema_version records the last applied migration.
+ *
+ * Embeddings: float32 vectors from a pluggable provider (see embeddings.mjs;
+ * default 768-dim nomic-embed-text via Ollama). Stored as BLOBs (plus an
+ * optional int8 copy in embedding_q). Similarity is a dot product over
+ * normalized vectors — an in-process cache scan for small stores, a
+ * persistent HNSW index (vector-index.mjs) once the store grows.
+ *
+ * Lexical: BM25 over memories_fts, fused with similarity in retrieve() so
+ * exact identifiers (flags, paths, error codes) rank where cosine misses them.
+ *
+ * Activation: ACT-R base-level activation over each memory's retrieval
+ * history (activation.mjs), evaluated at query time — in SQL through the
+ * base_level() function registered on open. The activation column is the
+ * legacy bump/decay counter, still maintained but no longer ranked on.
+ *
+ * Namespaces: memories, co-occurrence edges and meta keys belong to a
+ * namespace (an agent, project or workspace). A scoped retrieve() sees its
+ * own namespace plus the shared "global" one, which ranks slightly lower.
  */
 
 import Database from "better-sqlite3";
 import { existsSync, mkdirSync } from "node:fs";
 import { dirname } from "node:path";
 import { homedir } from "node:os";
-import { request } from "node:http";
+import {
+  createEmbeddingProvider, getEmbeddingProvider, setEmbeddingProvider,
+  DEFAULT_MODEL as EMBED_MODEL, DEFAULT_DIM as EMBED_DIM,
+} from "./embeddings.mjs";
+import {
+  initVectorIndex, closeVectorIndex, noteVectorWrite, searchVectors, quantizedFor,
+} from "./vector-index.mjs";
+import {
+  baseLevel, retrievalProbability, appendRetrieval, FEEDBACK, FEEDBACK_KINDS, BIAS_RANGE,
+} from "./activation.mjs";
+import {
+  edgeWeight, degreeDistribution, PRUNE_MIN_WEIGHT, MAX_FAN_OUT,
+  SPREAD_DEPTH, SPREAD_ATTENUATION, SPREAD_NEIGHBOURS, SPREAD_FRONTIER, SPREAD_MIN,
+} from "./graph.mjs";
 
 const DEFAULT_DB_PATH = process.env.HEBBIAN_DB_PATH || `${homedir()}/.hebbian/hebbian.db`;
 const OLLAMA_URL = process.env.OLLAMA_URL || "http://127.0.0.1:11434/api/embed";
 
-/**
- * HTTP POST using node:http — bypasses undici/fetch which fails inside the
- * gateway process with opaque "fetch failed" errors.
- */
-function httpPost(url, body) {
-  return new Promise((resolve, reject) => {
-    const parsed = new URL(url);
-    const payload = JSON.stringify(body);
-    const req = request(
-      {
-        hostname: parsed.hostname,
-        port: parsed.port,
-        path: parsed.pathname,
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Content-Length": Buffer.byteLength(payload),
-        },
-      },
-      (res) => {
-        const chunks = [];
-        res.on("data", (c) => chunks.push(c));
-        res.on("end", () => {
-          const text = Buffer.concat(chunks).toString();
-          if (res.statusCode >= 400) {
-            reject(new Error(`Ollama embed failed: ${res.statusCode} ${text}`));
-            return;
-          }
-          try { resolve(JSON.parse(text)); }
-          catch (e) { reject(new Error(`Ollama embed: invalid JSON — ${text.slice(0, 200)}`)); }
-        });
-      }
-    );
-    req.on("error", reject);
-    req.setTimeout(15000, () => { req.destroy(new Error("Ollama embed timeout (15s)")); });
-    req.write(payload);
-    req.end();
-  });
+/** SQL expression for a row's base-level activation (NULL sorts last in DESC). */
+export const BASE_LEVEL_SQL =
+  "base_level(retrieval_history, retrieval_count, created, last_retrieved, feedback_bias)";
+
+const RETRIEVAL_LOG_DAYS = 30; // how long injections stay rateable
+
+/** The shared namespace: visible from every other one, at lower priority. */
+export const GLOBAL_NAMESPACE = "global";
+/** Valid namespace names — they prefix memory ids, so no slashes or spaces. */
+export const NAMESPACE_PATTERN = /^[\w.:@-]{1,64}$/;
+
+// ─── Schema migrations ───────────────────────────────────────────────────────
+//
+// Ordered and append-only: never edit a shipped migration, add a new one.
+// Each `up` runs in its own transaction together with the schema_version
+// bump. Databases created before the registry may already hold some of these
+// objects (they used to be created with IF NOT EXISTS on every open), so
+// migrations must tolerate them.
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
 }
-const EMBED_MODEL = "nomic-embed-text";
-const EMBED_DIM = 768;
-
-// ─── Schema ──────────────────────────────────────────────────────────────────
-
-const SCHEMA_SQL = `
-  CREATE TABLE IF NOT EXISTS memories (
-    id TEXT PRIMARY KEY,
-    title TEXT,
-    source TEXT,
-    source_section TEXT,
-    created TEXT NOT NULL,
-    last_retrieved TEXT,
-    retrieval_count INTEGER DEFAULT 0,
-    content_hash TEXT,
-    activation REAL DEFAULT 0,
-    detail TEXT,
-    domain TEXT,
-    pattern_type TEXT,
-    embedding BLOB,
-    status TEXT DEFAULT 'active',
-    superseded_by TEXT,
-    corrects TEXT,
-    FOREIGN KEY (superseded_by) REFERENCES memories(id),
-    FOREIGN KEY (corrects) REFERENCES memories(id)
-  );
 
-  CREATE INDEX IF NOT EXISTS idx_memories_domain ON memories(domain);
-  CREATE INDEX IF NOT EXISTS idx_memories_activation ON memories(activation DESC);
-  CREATE INDEX IF NOT EXISTS idx_memories_pattern_type ON memories(pattern_type);
-  CREATE INDEX IF NOT EXISTS idx_memories_domain_activation ON memories(domain, activation DESC);
+function addColumn(db, table, column, type) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  return !exists;
+}
 
-  CREATE TABLE IF NOT EXISTS tags (
-    memory_id TEXT NOT NULL,
-    tag TEXT NOT NULL,
-    PRIMARY KEY (memory_id, tag),
-    FOREIGN KEY (memory_id) REFERENCES memories(id) ON DELETE CASCADE
-  );
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "base schema",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS memories (
+          id TEXT PRIMARY KEY,
+          title TEXT,
+          source TEXT,
+          source_section TEXT,
+          created TEXT NOT NULL,
+          last_retrieved TEXT,
+          retrieval_count INTEGER DEFAULT 0,
+          content_hash TEXT,
+          activation REAL DEFAULT 0,
+          detail TEXT,
+          domain TEXT,
+          pattern_type TEXT,
+          embedding BLOB,
+          status TEXT DEFAULT 'active',
+          superseded_by TEXT,
+          corrects TEXT,
+          FOREIGN KEY (superseded_by) REFERENCES memories(id),
+          FOREIGN KEY (corrects) REFERENCES memories(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_memories_domain ON memories(domain);
+        CREATE INDEX IF NOT EXISTS idx_memories_activation ON memories(activation DESC);
+        CREATE INDEX IF NOT EXISTS idx_memories_pattern_type ON memories(pattern_type);
+        CREATE INDEX IF NOT EXISTS idx_memories_domain_activation ON memories(domain, activation DESC);
+
+        CREATE TABLE IF NOT EXISTS tags (
+          memory_id TEXT NOT NULL,
+          tag TEXT NOT NULL,
+          PRIMARY KEY (memory_id, tag),
+          FOREIGN KEY (memory_id) REFERENCES memories(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag);
+
+        CREATE TABLE IF NOT EXISTS co_occurrences (
+          memory_a TEXT NOT NULL,
+          memory_b TEXT NOT NULL,
+          weight REAL DEFAULT 1,
+          PRIMARY KEY (memory_a, memory_b),
+          FOREIGN KEY (memory_a) REFERENCES memories(id) ON DELETE CASCADE,
+          FOREIGN KEY (memory_b) REFERENCES memories(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_co_occ_a ON co_occurrences(memory_a);
+        CREATE INDEX IF NOT EXISTS idx_co_occ_b ON co_occurrences(memory_b);
+
+        CREATE TABLE IF NOT EXISTS meta (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: "vector changelog",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS vector_changes (
+          seq INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id TEXT NOT NULL
+        );
+
+        CREATE TRIGGER IF NOT EXISTS trg_vector_insert AFTER INSERT ON memories
+        BEGIN
+          INSERT INTO vector_changes (memory_id) VALUES (NEW.id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_vector_update AFTER UPDATE OF embedding ON memories
+        BEGIN
+          INSERT INTO vector_changes (memory_id) VALUES (NEW.id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_vector_delete AFTER DELETE ON memories
+        BEGIN
+          INSERT INTO vector_changes (memory_id) VALUES (OLD.id);
+        END;
+      `);
+    },
+  },
+  {
+    version: 3,
+    name: "int8 embedding copy",
+    up(db) {
+      addColumn(db, "memories", "embedding_q", "BLOB");
+      db.exec(`
+        -- A writer that changes the embedding without the int8 copy leaves it stale
+        CREATE TRIGGER IF NOT EXISTS trg_embedding_q_stale AFTER UPDATE OF embedding ON memories
+        WHEN NEW.embedding_q IS NOT NULL AND NEW.embedding_q IS OLD.embedding_q
+        BEGIN
+          UPDATE memories SET embedding_q = NULL WHERE id = NEW.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 4,
+    name: "embedding model tracking",
+    up(db) {
+      if (addColumn(db, "memories", "embedding_model", "TEXT")) {
+        // Before per-row tracking every vector came from nomic-embed-text, except
+        // the reasoning extractor's, which used the nomic-embed-text-cpu variant
+        db.prepare(`
+          UPDATE memories SET embedding_model = CASE
+            WHEN source = 'reasoning-extraction' THEN 'nomic-embed-text-cpu'
+            ELSE ? END
+          WHERE embedding IS NOT NULL
+        `).run(EMBED_MODEL);
+      }
+      if (addColumn(db, "memories", "embedding_dim", "INTEGER")) {
+        db.exec("UPDATE memories SET embedding_dim = length(embedding) / 4 WHERE embedding IS NOT NULL");
+      }
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_memories_embedding_model ON memories(embedding_model, embedding_dim);
+
+        -- embedding_dim always follows the BLOB, whoever writes it
+        CREATE TRIGGER IF NOT EXISTS trg_embedding_dim_insert AFTER INSERT ON memories
+        WHEN NEW.embedding_dim IS NOT length(NEW.embedding) / 4
+        BEGIN
+          UPDATE memories SET embedding_dim = length(NEW.embedding) / 4 WHERE id = NEW.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_embedding_dim_update AFTER UPDATE OF embedding ON memories
+        WHEN NEW.embedding_dim IS NOT length(NEW.embedding) / 4
+        BEGIN
+          UPDATE memories SET embedding_dim = length(NEW.embedding) / 4 WHERE id = NEW.id;
+        END;
+      `);
+    },
+  },
+  {
+    version: 5,
+    name: "full-text index",
+    up(db) {
+      const existed = tableExists(db, "memories_fts");
+      db.exec(`
+        -- rowid = memories.rowid. '_' is a token character so snake_case identifiers
+        -- and error codes stay whole; flags and paths split into phrase-matched words.
+        CREATE VIRTUAL TABLE IF NOT EXISTS memories_fts USING fts5(
+          title, detail, tags,
+          tokenize = "unicode61 tokenchars '_'"
+        );
+
+        -- BEFORE: with INSERT OR REPLACE the old row (and its rowid) is still visible
+        CREATE TRIGGER IF NOT EXISTS trg_fts_replace BEFORE INSERT ON memories
+        BEGIN
+          DELETE FROM memories_fts WHERE rowid = (SELECT rowid FROM memories WHERE id = NEW.id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_fts_insert AFTER INSERT ON memories
+        BEGIN
+          INSERT INTO memories_fts (rowid, title, detail, tags)
+          VALUES (NEW.rowid, NEW.title, NEW.detail,
+                  (SELECT group_concat(tag, ' ') FROM tags WHERE memory_id = NEW.id));
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_fts_update AFTER UPDATE OF title, detail ON memories
+        BEGIN
+          UPDATE memories_fts SET title = NEW.title, detail = NEW.detail WHERE rowid = NEW.rowid;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_fts_delete AFTER DELETE ON memories
+        BEGIN
+          DELETE FROM memories_fts WHERE rowid = OLD.rowid;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_fts_tag_insert AFTER INSERT ON tags
+        BEGIN
+          UPDATE memories_fts
+          SET tags = (SELECT group_concat(tag, ' ') FROM tags WHERE memory_id = NEW.memory_id)
+          WHERE rowid = (SELECT rowid FROM memories WHERE id = NEW.memory_id);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS trg_fts_tag_delete AFTER DELETE ON tags
+        BEGIN
+          UPDATE memories_fts
+          SET tags = (SELECT group_concat(tag, ' ') FROM tags WHERE memory_id = OLD.memory_id)
+          WHERE rowid = (SELECT rowid FROM memories WHERE id = OLD.memory_id);
+        END;
+      `);
+      if (!existed) {
+        db.exec(`
+          INSERT INTO memories_fts (rowid, title, detail, tags)
+          SELECT m.rowid, m.title, m.detail,
+                 (SELECT group_concat(tag, ' ') FROM tags WHERE memory_id = m.id)
+          FROM memories m
+        `);
+      }
+    },
+  },
+  {
+    version: 6,
+    name: "retrieval history",
+    up(db) {
+      // Packed uint32 unix seconds of the latest retrievals (see activation.mjs).
+      // Existing rows start empty and fall back to last_retrieved.
+      addColumn(db, "memories", "retrieval_history", "BLOB");
+    },
+  },
+  {
+    version: 7,
+    name: "co-occurrence decay",
+    up(db) {
+      // Unix second the stored weight refers to; existing edges start decaying now
+      if (addColumn(db, "co_occurrences", "updated", "INTEGER")) {
+        db.exec("UPDATE co_occurrences SET updated = CAST(strftime('%s', 'now') AS INTEGER)");
+      }
+    },
+  },
+  {
+    version: 8,
+    name: "feedback",
+    up(db) {
+      addColumn(db, "memories", "feedback_bias", "REAL DEFAULT 0");
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS retrieval_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session TEXT,
+          created INTEGER NOT NULL,   -- unix seconds
+          memory_ids TEXT NOT NULL    -- JSON array, in injection order
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_retrieval_events_session ON retrieval_events(session, id);
+        CREATE INDEX IF NOT EXISTS idx_retrieval_events_created ON retrieval_events(created);
+
+        CREATE TABLE IF NOT EXISTS feedback (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          memory_id TEXT NOT NULL,
+          kind TEXT NOT NULL,         -- helpful | unhelpful | wrong
+          session TEXT,
+          retrieval_id INTEGER,
+          note TEXT,
+          created INTEGER NOT NULL,
+          FOREIGN KEY (memory_id) REFERENCES memories(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_feedback_memory ON feedback(memory_id);
+      `);
+    },
+  },
+  {
+    version: 9,
+    name: "consolidation provenance",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS consolidations (
+          canonical_id TEXT NOT NULL,
+          memory_id TEXT NOT NULL,    -- a merged original (kept, deprecated)
+          similarity REAL,            -- to the cluster seed; 1 for the seed itself
+          created INTEGER NOT NULL,
+          PRIMARY KEY (canonical_id, memory_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_consolidations_memory ON consolidations(memory_id);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: "contradiction queue",
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS contradictions (
+          memory_a TEXT NOT NULL,     -- memory_a < memory_b
+          memory_b TEXT NOT NULL,
+          score REAL NOT NULL,        -- conflict score 0-1
+          similarity REAL,
+          signals TEXT,               -- JSON: negation / numbers / values scores + evidence
+          status TEXT NOT NULL DEFAULT 'open', -- open | resolved | dismissed
+          resolution TEXT,            -- deprecate | correct | dismiss
+          kept TEXT,                  -- the side that stayed / is the correction
+          created INTEGER NOT NULL,
+          resolved INTEGER,
+          PRIMARY KEY (memory_a, memory_b),
+          FOREIGN KEY (memory_a) REFERENCES memories(id) ON DELETE CASCADE,
+          FOREIGN KEY (memory_b) REFERENCES memories(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_contradictions_status ON contradictions(status, score);
+      `);
+    },
+  },
+  {
+    version: 11,
+    name: "correction lookup",
+    up(db) {
+      // retrieve() looks up the corrections of every memory it injects
+      db.exec("CREATE INDEX IF NOT EXISTS idx_memories_corrects ON memories(corrects)");
+    },
+  },
+  {
+    version: 12,
+    name: "pinned memories",
+    up(db) {
+      addColumn(db, "memories", "pinned", "INTEGER NOT NULL DEFAULT 0");
+    },
+  },
+  {
+    version: 13,
+    name: "namespaces",
+    up(db) {
+      // Everything that existed before is shared: it lands in the global namespace
+      addColumn(db, "memories", "namespace", `TEXT NOT NULL DEFAULT '${GLOBAL_NAMESPACE}'`);
+      addColumn(db, "retrieval_events", "namespace", "TEXT");
+      db.exec("CREATE INDEX IF NOT EXISTS idx_memories_namespace ON memories(namespace, domain)");
+
+      // The namespace joins the primary keys of the edge and meta tables — a rebuild
+      const hasNamespace = (table) => db.prepare(`PRAGMA table_info(${table})`).all().some((c) => c.name === "namespace");
+      if (!hasNamespace("co_occurrences")) {
+        db.exec(`
+          CREATE TABLE co_occurrences_v13 (
+            namespace TEXT NOT NULL DEFAULT '${GLOBAL_NAMESPACE}',
+            memory_a TEXT NOT NULL,
+            memory_b TEXT NOT NULL,
+            weight REAL DEFAULT 1,
+            updated INTEGER,
+            PRIMARY KEY (namespace, memory_a, memory_b),
+            FOREIGN KEY (memory_a) REFERENCES memories(id) ON DELETE CASCADE,
+            FOREIGN KEY (memory_b) REFERENCES memories(id) ON DELETE CASCADE
+          );
+          INSERT INTO co_occurrences_v13 (memory_a, memory_b, weight, updated)
+            SELECT memory_a, memory_b, weight, updated FROM co_occurrences;
+          DROP TABLE co_occurrences;
+          ALTER TABLE co_occurrences_v13 RENAME TO co_occurrences;
+
+          CREATE INDEX IF NOT EXISTS idx_co_occ_a ON co_occurrences(memory_a);
+          CREATE INDEX IF NOT EXISTS idx_co_occ_b ON co_occurrences(memory_b);
+        `);
+      }
+      if (!hasNamespace("meta")) {
+        db.exec(`
+          CREATE TABLE meta_v13 (
+            namespace TEXT NOT NULL DEFAULT '${GLOBAL_NAMESPACE}',
+            key TEXT NOT NULL,
+            value TEXT,
+            PRIMARY KEY (namespace, key)
+          );
+          INSERT INTO meta_v13 (key, value) SELECT key, value FROM meta;
+          DROP TABLE meta;
+          ALTER TABLE meta_v13 RENAME TO meta;
+        `);
+      }
+    },
+  },
+  {
+    version: 14,
+    name: "consolidation relinks",
+    up(db) {
+      // JSON: { corrections: [id], contradictions: [id] } moved from a merged original to the canonical entry
+      addColumn(db, "consolidations", "relinked", "TEXT");
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
 
-  CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag);
+/**
+ * The schema version a database is at. 0 for a new file and for databases
+ * from before the registry (schema_version "3.0", or none recorded) — every
+ * migration then runs, which is safe because they tolerate existing objects.
+ */
+export function getSchemaVersion(db) {
+  const row = tableExists(db, "meta")
+    ? db.prepare("SELECT value FROM meta WHERE key = 'schema_version'").get()
+    : null;
+  if (!row || row.value.includes(".")) return 0;
+  return Number(row.value);
+}
 
-  CREATE TABLE IF NOT EXISTS co_occurrences (
-    memory_a TEXT NOT NULL,
-    memory_b TEXT NOT NULL,
-    weight REAL DEFAULT 1,
-    PRIMARY KEY (memory_a, memory_b),
-    FOREIGN KEY (memory_a) REFERENCES memories(id) ON DELETE CASCADE,
-    FOREIGN KEY (memory_b) REFERENCES memories(id) ON DELETE CASCADE
-  );
+/**
+ * Every migration with whether it has been applied to `db`.
+ */
+export function migrationStatus(db) {
+  const current = getSchemaVersion(db);
+  return {
+    current,
+    latest: SCHEMA_VERSION,
+    migrations: MIGRATIONS.map((m) => ({ version: m.version, name: m.name, applied: m.version <= current })),
+  };
+}
 
-  CREATE INDEX IF NOT EXISTS idx_co_occ_a ON co_occurrences(memory_a);
-  CREATE INDEX IF NOT EXISTS idx_co_occ_b ON co_occurrences(memory_b);
+/**
+ * Upgrade `db` to schema version `to` (default: latest). A file database
+ * that already holds data is first copied to `<db>.v<from>-<timestamp>.bak`.
+ * Only forward migrations exist — going back means restoring a backup.
+ * Returns { from, to, applied: [{ version, name }], backup }.
+ */
+export function migrateDb(db, { to = SCHEMA_VERSION, backup = true } = {}) {
+  const from = getSchemaVersion(db);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Database schema v${from} is newer than this hebbian-memory supports (v${SCHEMA_VERSION})`);
+  }
+  if (!Number.isInteger(to) || to < 0 || to > SCHEMA_VERSION) {
+    throw new Error(`Unknown schema version ${to} (latest: v${SCHEMA_VERSION})`);
+  }
+  if (to < from) {
+    throw new Error(`Cannot migrate down from v${from} to v${to} — restore a backup instead`);
+  }
 
-  CREATE TABLE IF NOT EXISTS meta (
-    key TEXT PRIMARY KEY,
-    value TEXT
-  );
-`;
+  const pending = MIGRATIONS.filter((m) => m.version > from && m.version <= to);
+  if (pending.length === 0) return { from, to: from, applied: [], backup: null };
+
+  let backupPath = null;
+  if (backup && tableExists(db, "memories") && !db.memory && db.name !== ":memory:") {
+    backupPath = `${db.name}.v${from}-${new Date().toISOString().replace(/[:.]/g, "-")}.bak`;
+    db.prepare("VACUUM INTO ?").run(backupPath);
+  }
+
+  for (const m of pending) {
+    db.transaction(() => {
+      m.up(db);
+      db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('schema_version', ?)").run(String(m.version));
+    })();
+  }
+  return { from, to, applied: pending.map(({ version, name }) => ({ version, name })), backup: backupPath };
+}
 
 // ─── Database connection ────────────────────────────────────────────────────
 
 let _db = null;
 
-export function openDb(dbPath = DEFAULT_DB_PATH) {
+/**
+ * Open (once per process) and upgrade the database. `{ migrate: false }`
+ * leaves the schema as found — for `migrate --status/--to`.
+ */
+export function openDb(dbPath = DEFAULT_DB_PATH, { migrate = true } = {}) {
   if (_db) return _db;
 
   const dir = dirname(dbPath);
@@ -134,21 +530,37 @@ export function openDb(dbPath = DEFAULT_DB_PATH) {
   _db.pragma("journal_mode = WAL");
   _db.pragma("synchronous = NORMAL");
   _db.pragma("foreign_keys = ON");
-  _db.exec(SCHEMA_SQL);
+  // Non-deterministic: the result depends on the current time
+  _db.function("base_level", { deterministic: false }, (history, count, created, lastRetrieved, bias) =>
+    baseLevel({
+      retrieval_history: history, retrieval_count: count, created,
+      last_retrieved: lastRetrieved, feedback_bias: bias,
+    })
+  );
+  _db.function("edge_weight", { deterministic: false }, (weight, updated) => edgeWeight(weight, updated));
+  if (migrate) {
+    try {
+      migrateDb(_db);
+    } catch (err) {
+      _db.close();
+      _db = null;
+      throw err;
+    }
+  }
 
-  // Store schema version
-  const setMeta = _db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
-  const getMeta = _db.prepare("SELECT value FROM meta WHERE key = ?");
-  const ver = getMeta.get("schema_version");
-  if (!ver) setMeta.run("schema_version", "3.0");
+  // The vector layer needs the current schema
+  if (getSchemaVersion(_db) === SCHEMA_VERSION) initVectorIndex(_db);
 
   return _db;
 }
 
 export function closeDb() {
   if (_db) {
+    closeVectorIndex(_db);
     _db.close();
     _db = null;
+    // Statements are bound to the closed handle
+    for (const key of Object.keys(stmts)) delete stmts[key];
   }
 }
 
@@ -162,12 +574,12 @@ function prepareStatements(db) {
   stmts.insertMemory = db.prepare(`
     INSERT OR REPLACE INTO memories
       (id, title, source, source_section, created, last_retrieved,
-       retrieval_count, content_hash, activation, detail, domain, pattern_type, embedding,
-       status, superseded_by, corrects)
+       retrieval_count, retrieval_history, content_hash, activation, feedback_bias, detail, domain,
+       pattern_type, embedding, embedding_q, embedding_model, status, superseded_by, corrects, pinned, namespace)
     VALUES
       (@id, @title, @source, @source_section, @created, @last_retrieved,
-       @retrieval_count, @content_hash, @activation, @detail, @domain, @pattern_type, @embedding,
-       @status, @superseded_by, @corrects)
+       @retrieval_count, @retrieval_history, @content_hash, @activation, @feedback_bias, @detail, @domain,
+       @pattern_type, @embedding, @embedding_q, @embedding_model, @status, @superseded_by, @corrects, @pinned, @namespace)
   `);
 
   stmts.insertTag = db.prepare(`
@@ -175,17 +587,29 @@ function prepareStatements(db) {
   `);
 
   stmts.insertCoOcc = db.prepare(`
-    INSERT INTO co_occurrences (memory_a, memory_b, weight)
-    VALUES (?, ?, ?)
-    ON CONFLICT(memory_a, memory_b) DO UPDATE SET weight = weight + excluded.weight
+    INSERT INTO co_occurrences (namespace, memory_a, memory_b, weight, updated)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(namespace, memory_a, memory_b) DO UPDATE
+    SET weight = edge_weight(weight, updated) + excluded.weight,
+        updated = excluded.updated
   `);
 
   stmts.getMemory = db.prepare("SELECT * FROM memories WHERE id = ?");
 
+  stmts.getCorrection = db.prepare(`
+    SELECT * FROM memories
+    WHERE corrects = ? AND (status = 'active' OR status IS NULL)
+    ORDER BY created DESC
+    LIMIT 1
+  `);
+
+  stmts.getHistory = db.prepare("SELECT retrieval_history, last_retrieved FROM memories WHERE id = ?");
+
   stmts.bumpActivation = db.prepare(`
     UPDATE memories
     SET activation = activation + ?,
         retrieval_count = retrieval_count + 1,
+        retrieval_history = ?,
         last_retrieved = ?
     WHERE id = ?
   `);
@@ -193,22 +617,55 @@ function prepareStatements(db) {
   stmts.getByDomain = db.prepare(`
     SELECT * FROM memories
     WHERE domain = ?
-    ORDER BY activation DESC
+    ORDER BY ${BASE_LEVEL_SQL} DESC
     LIMIT ?
   `);
 
   stmts.getTopByActivation = db.prepare(`
     SELECT * FROM memories
-    ORDER BY activation DESC
+    ORDER BY ${BASE_LEVEL_SQL} DESC
     LIMIT ?
   `);
 
+  // @namespaces: JSON array of the namespaces whose edges count, or NULL for all
   stmts.getCoOccurrences = db.prepare(`
-    SELECT memory_b AS related_id, weight
+    SELECT memory_b AS related_id, SUM(edge_weight(weight, updated)) AS weight
     FROM co_occurrences
-    WHERE memory_a = ?
+    WHERE memory_a = @id
+      AND (@namespaces IS NULL OR namespace IN (SELECT value FROM json_each(@namespaces)))
+    GROUP BY memory_b
     ORDER BY weight DESC
-    LIMIT ?
+    LIMIT @limit
+  `);
+
+  stmts.getOutWeight = db.prepare(`
+    SELECT SUM(edge_weight(weight, updated)) AS total FROM co_occurrences
+    WHERE memory_a = @id
+      AND (@namespaces IS NULL OR namespace IN (SELECT value FROM json_each(@namespaces)))
+  `);
+
+  stmts.pruneWeakEdges = db.prepare("DELETE FROM co_occurrences WHERE edge_weight(weight, updated) < ?");
+
+  stmts.capFanOut = db.prepare(`
+    DELETE FROM co_occurrences WHERE rowid IN (
+      SELECT rowid FROM (
+        SELECT rowid, ROW_NUMBER() OVER (
+          PARTITION BY namespace, memory_a ORDER BY edge_weight(weight, updated) DESC
+        ) AS rank
+        FROM co_occurrences
+      ) WHERE rank > ?
+    )
+  `);
+
+  stmts.outDegrees = db.prepare("SELECT COUNT(*) AS degree FROM co_occurrences GROUP BY namespace, memory_a");
+  stmts.countLinked = db.prepare("SELECT COUNT(DISTINCT memory_a) AS cnt FROM co_occurrences");
+
+  stmts.countCrossDomain = db.prepare(`
+    SELECT COUNT(*) AS cnt
+    FROM co_occurrences c
+    JOIN memories a ON a.id = c.memory_a
+    JOIN memories b ON b.id = c.memory_b
+    WHERE COALESCE(a.domain, 'general') != COALESCE(b.domain, 'general')
   `);
 
   stmts.countMemories = db.prepare("SELECT COUNT(*) AS cnt FROM memories");
@@ -223,20 +680,67 @@ function prepareStatements(db) {
     ORDER BY cnt DESC
   `);
 
-  stmts.getWithEmbedding = db.prepare("SELECT id, embedding FROM memories WHERE embedding IS NOT NULL");
+  stmts.countByEmbeddingModel = db.prepare(`
+    SELECT embedding_model AS model, embedding_dim AS dim, COUNT(*) AS cnt
+    FROM memories
+    WHERE embedding IS NOT NULL
+    GROUP BY embedding_model, embedding_dim
+    ORDER BY cnt DESC
+  `);
 
-  stmts.setEmbedding = db.prepare("UPDATE memories SET embedding = ? WHERE id = ?");
+  stmts.setEmbedding = db.prepare(
+    "UPDATE memories SET embedding = ?, embedding_q = ?, embedding_model = ? WHERE id = ?"
+  );
 
   stmts.getByDomainAll = db.prepare(`
-    SELECT * FROM memories WHERE domain = ? ORDER BY activation DESC
+    SELECT * FROM memories WHERE domain = ? ORDER BY ${BASE_LEVEL_SQL} DESC
   `);
 
   stmts.decayAll = db.prepare(`
     UPDATE memories SET activation = activation * ?
   `);
 
-  stmts.getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
-  stmts.setMeta = db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+  stmts.insertRetrievalEvent = db.prepare(
+    "INSERT INTO retrieval_events (session, namespace, created, memory_ids) VALUES (?, ?, ?, ?)"
+  );
+  stmts.expireRetrievalEvents = db.prepare("DELETE FROM retrieval_events WHERE created < ?");
+  stmts.getRetrievalEvent = db.prepare("SELECT * FROM retrieval_events WHERE id = ?");
+  stmts.findRetrievalEvent = db.prepare(`
+    SELECT * FROM retrieval_events
+    WHERE (@session IS NULL OR session = @session)
+      AND EXISTS (SELECT 1 FROM json_each(memory_ids) WHERE value = @id)
+    ORDER BY id DESC
+    LIMIT 1
+  `);
+
+  stmts.applyFeedback = db.prepare(`
+    UPDATE memories
+    SET feedback_bias = MIN(MAX(COALESCE(feedback_bias, 0) + @bias, @min), @max),
+        activation = activation + @bias
+    WHERE id = @id
+  `);
+  stmts.scaleEdge = db.prepare(`
+    UPDATE co_occurrences
+    SET weight = edge_weight(weight, updated) * ?, updated = ?
+    WHERE namespace = ? AND memory_a = ? AND memory_b = ?
+  `);
+  stmts.dropWeakEdge = db.prepare(
+    "DELETE FROM co_occurrences WHERE namespace = ? AND memory_a = ? AND memory_b = ? AND weight < ?"
+  );
+  stmts.insertFeedback = db.prepare(`
+    INSERT INTO feedback (memory_id, kind, session, retrieval_id, note, created)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
+  stmts.getConflicts = db.prepare(`
+    SELECT memory_a, memory_b FROM contradictions WHERE status = 'open' AND score >= ?
+  `);
+
+  stmts.getMeta = db.prepare("SELECT value FROM meta WHERE namespace = ? AND key = ?");
+  stmts.setMeta = db.prepare("INSERT OR REPLACE INTO meta (namespace, key, value) VALUES (?, ?, ?)");
+  stmts.countByNamespace = db.prepare(`
+    SELECT namespace, COUNT(*) AS cnt FROM memories GROUP BY namespace ORDER BY cnt DESC
+  `);
 
   stmts._ready = true;
   return stmts;
@@ -244,6 +748,43 @@ function prepareStatements(db) {
 
 // ─── Public API ─────────────────────────────────────────────────────────────
 
+/**
+ * The namespaces visible from `namespace`: itself and, unless
+ * `includeGlobal` is false, the global one. No namespace (null) means no
+ * scope — every namespace is visible — and returns null.
+ */
+export function namespaceScope(namespace, { includeGlobal = true } = {}) {
+  if (!namespace) return null;
+  return includeGlobal && namespace !== GLOBAL_NAMESPACE ? [namespace, GLOBAL_NAMESPACE] : [namespace];
+}
+
+/**
+ * Whether a caller in `namespace` may change a memory in `memoryNamespace`
+ * (deprecate, correct, pin, rate it): one of its own, a global one only
+ * with `global: true`, any at all without a namespace.
+ */
+export function inNamespaceScope(memoryNamespace, namespace, { global = false } = {}) {
+  const scope = namespaceScope(namespace, { includeGlobal: global });
+  return !scope || scope.includes(memoryNamespace || GLOBAL_NAMESPACE);
+}
+
+/** `name` if it is a valid namespace name (NAMESPACE_PATTERN), else throws. */
+export function checkNamespace(name) {
+  if (typeof name !== "string" || !NAMESPACE_PATTERN.test(name)) {
+    throw new Error(`Invalid namespace "${name}" (1-64 letters, digits or . _ : @ -)`);
+  }
+  return name;
+}
+
+/**
+ * Qualify a memory id for `namespace`: global ids stay as they are, others
+ * get a `<namespace>/` prefix so the same source text can live in several
+ * namespaces.
+ */
+export function namespacedId(namespace, id) {
+  return !namespace || namespace === GLOBAL_NAMESPACE ? id : `${namespace}/${id}`;
+}
+
 /**
  * Insert or update a memory entry.
  */
@@ -257,15 +798,21 @@ export function upsertMemory(db, entry) {
     created: entry.created || new Date().toISOString(),
     last_retrieved: entry.last_retrieved || null,
     retrieval_count: entry.retrieval_count || 0,
+    retrieval_history: entry.retrieval_history || null,
     content_hash: entry.content_hash || null,
     activation: entry.activation || 0,
+    feedback_bias: entry.feedback_bias || 0,
     detail: entry.detail || null,
     domain: entry.domain || null,
     pattern_type: entry.pattern_type || null,
     embedding: entry.embedding || null,
+    embedding_q: quantizedFor(db, entry.embedding),
+    embedding_model: entry.embedding ? (entry.embedding_model || getEmbeddingProvider().model) : null,
     status: entry.status || 'active',
     superseded_by: entry.superseded_by || null,
     corrects: entry.corrects || null,
+    pinned: entry.pinned ? 1 : 0,
+    namespace: entry.namespace || GLOBAL_NAMESPACE,
   });
 
   // Update tags
@@ -274,21 +821,42 @@ export function upsertMemory(db, entry) {
       s.insertTag.run(entry.id, tag);
     }
   }
+
+  noteVectorWrite(db);
+}
+
+/**
+ * Store (or clear, with null) the embedding for one memory, recording the
+ * model that produced it (default: the configured provider's).
+ * Accepts a Float32Array or an already-encoded BLOB.
+ */
+export function setEmbedding(db, id, embedding, model = getEmbeddingProvider().model) {
+  const s = prepareStatements(db);
+  const blob = embedding == null ? null
+    : Buffer.isBuffer(embedding) ? embedding
+    : embeddingToBlob(embedding);
+  const info = s.setEmbedding.run(blob, quantizedFor(db, blob), blob ? model : null, id);
+  noteVectorWrite(db);
+  return info.changes > 0;
 }
 
 /**
- * Bump activation for a list of memory IDs.
- * Returns the number of bumped entries.
+ * Record a retrieval of each memory: appends to its retrieval history (what
+ * base-level activation is computed from) and adds `amount` to the legacy
+ * activation column. Returns the number of bumped entries.
  */
 export function bumpActivations(db, ids, amount = 0.5) {
   const s = prepareStatements(db);
-  const now = new Date().toISOString();
+  const nowMs = Date.now();
+  const now = new Date(nowMs).toISOString();
   let bumped = 0;
 
   const bumpTx = db.transaction((idList) => {
     for (const id of idList) {
-      const info = s.bumpActivation.run(amount, now, id);
-      if (info.changes > 0) bumped++;
+      const row = s.getHistory.get(id);
+      if (!row) continue;
+      s.bumpActivation.run(amount, appendRetrieval(row, nowMs), now, id);
+      bumped++;
     }
   });
 
@@ -297,60 +865,156 @@ export function bumpActivations(db, ids, amount = 0.5) {
 }
 
 /**
- * Wire co-occurrences between IDs (same-domain patterns retrieved together).
+ * Wire co-occurrences between IDs retrieved together. Pairs in the same
+ * domain gain weight 1. Pairs across domains are only wired with
+ * `crossDomainRate` > 0, and gain that (lower) weight; with
+ * `crossDomainGate`, only if both have embeddings from the same model with
+ * at least that cosine similarity. The edges belong to `namespace` (the
+ * retrieving agent's), even between global memories.
+ * Returns { sameDomain, crossDomain } — the number of pairs wired.
  */
-export function wireCoOccurrences(db, ids) {
+export function wireCoOccurrences(db, ids, {
+  crossDomainRate = 0,
+  crossDomainGate = null,
+  namespace = GLOBAL_NAMESPACE,
+} = {}) {
   const s = prepareStatements(db);
 
-  // Group by domain
-  const byDomain = {};
-  for (const id of ids) {
+  const mems = [];
+  for (const id of new Set(ids)) {
     const mem = s.getMemory.get(id);
-    if (!mem) continue;
-    const d = mem.domain || "general";
-    if (!byDomain[d]) byDomain[d] = [];
-    byDomain[d].push(id);
+    if (mem) mems.push(mem);
   }
 
+  const vectors = new Map();
+  const vectorOf = (mem) => {
+    if (!vectors.has(mem.id)) vectors.set(mem.id, blobToEmbedding(mem.embedding));
+    return vectors.get(mem.id);
+  };
+  const related = (a, b) => {
+    if (crossDomainGate === null || crossDomainGate === undefined) return true;
+    if (!a.embedding || !b.embedding || a.embedding_model !== b.embedding_model) return false;
+    return cosineSimilarity(vectorOf(a), vectorOf(b)) >= crossDomainGate;
+  };
+
+  const now = Math.floor(Date.now() / 1000);
+  let sameDomain = 0;
+  let crossDomain = 0;
   const wireTx = db.transaction(() => {
-    for (const domainIds of Object.values(byDomain)) {
-      if (domainIds.length < 2) continue;
-      for (let i = 0; i < domainIds.length; i++) {
-        for (let j = i + 1; j < domainIds.length; j++) {
-          s.insertCoOcc.run(domainIds[i], domainIds[j], 1);
-          s.insertCoOcc.run(domainIds[j], domainIds[i], 1);
+    for (let i = 0; i < mems.length; i++) {
+      for (let j = i + 1; j < mems.length; j++) {
+        const a = mems[i];
+        const b = mems[j];
+        let weight;
+        if ((a.domain || "general") === (b.domain || "general")) {
+          weight = 1;
+          sameDomain++;
+        } else if (crossDomainRate > 0 && related(a, b)) {
+          weight = crossDomainRate;
+          crossDomain++;
+        } else {
+          continue;
         }
+        s.insertCoOcc.run(namespace, a.id, b.id, weight, now);
+        s.insertCoOcc.run(namespace, b.id, a.id, weight, now);
       }
     }
   });
 
   wireTx();
+  return { sameDomain, crossDomain };
 }
 
 /**
- * Get spreading activation — find related patterns via co-occurrences.
+ * Get spreading activation — find related patterns via co-occurrences,
+ * up to `depth` hops from the active ones.
+ *
+ * Each seed starts with activation 1 (or `seedActivation[id]`). A node
+ * divides its activation among its `neighbours` strongest edges in
+ * proportion to their decayed weight out of its total out-weight (fan
+ * effect), and every hop multiplies by `attenuation`. Activation reaching a
+ * node along several paths adds up; only the `frontier` most active nodes
+ * of a hop spread further. Seeds and deprecated memories are never returned.
+ *
+ * Scope: with `namespaces` (see namespaceScope), only edges in those
+ * namespaces carry activation and only memories in them are returned.
+ *
+ * Semantic gate: with `queryEmbedding`, a result must have an embedding
+ * from `model` (default: the configured provider's) with at least
+ * `minSimilarity` to the query. The gate applies to results only — a path
+ * may pass through unrelated memories.
+ *
+ * Returns memories with spreadBoost (total activation received),
+ * spreadPath (ids from a seed along the strongest path), spreadHops and,
+ * when gated, spreadSimilarity.
  */
-export function getSpreadingActivation(db, activeIds, limit = 10) {
+export function getSpreadingActivation(db, activeIds, limit = 10, options = {}) {
+  const {
+    depth = SPREAD_DEPTH,
+    attenuation = SPREAD_ATTENUATION,
+    neighbours = SPREAD_NEIGHBOURS,
+    frontier: frontierSize = SPREAD_FRONTIER,
+    seedActivation = {},
+    queryEmbedding = null,
+    minSimilarity = 0.3,
+    model = getEmbeddingProvider().model,
+    namespaces = null,
+  } = options;
   const s = prepareStatements(db);
-  const boosts = {};
-  const activeSet = new Set(activeIds);
-
-  for (const id of activeIds) {
-    const related = s.getCoOccurrences.all(id, 20);
-    for (const { related_id, weight } of related) {
-      if (activeSet.has(related_id)) continue;
-      boosts[related_id] = (boosts[related_id] || 0) + weight * 0.3;
+  const seeds = new Set(activeIds);
+  const scope = namespaces ? JSON.stringify(namespaces) : null;
+  const reached = new Map(); // id → { boost, best, path }
+
+  const credit = (map, id, spread, path) => {
+    const r = map.get(id) || { boost: 0, best: 0, path };
+    r.boost += spread;
+    if (spread > r.best) { r.best = spread; r.path = path; }
+    map.set(id, r);
+  };
+
+  let frontier = activeIds.map((id) => ({ id, boost: seedActivation[id] ?? 1, path: [id] }));
+  for (let hop = 1; hop <= depth && frontier.length > 0; hop++) {
+    const next = new Map(); // nodes first reached on this hop — they spread on the next
+    for (const node of frontier) {
+      const total = s.getOutWeight.get({ id: node.id, namespaces: scope }).total;
+      if (!total) continue;
+      for (const { related_id, weight } of s.getCoOccurrences.all({ id: node.id, namespaces: scope, limit: neighbours })) {
+        if (seeds.has(related_id) || node.path.includes(related_id)) continue;
+        const spread = node.boost * (weight / total) * attenuation;
+        if (spread < SPREAD_MIN) continue;
+        const path = [...node.path, related_id];
+        if (!reached.has(related_id) || next.has(related_id)) credit(next, related_id, spread, path);
+        credit(reached, related_id, spread, path);
+      }
     }
+    frontier = [...next.entries()]
+      .map(([id, n]) => ({ id, boost: n.boost, path: n.path }))
+      .sort((a, b) => b.boost - a.boost)
+      .slice(0, frontierSize);
   }
 
-  return Object.entries(boosts)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, limit)
-    .map(([id, boost]) => {
-      const mem = s.getMemory.get(id);
-      return mem ? { ...mem, spreadBoost: boost } : null;
-    })
-    .filter(Boolean);
+  const results = [];
+  for (const [id, r] of [...reached.entries()].sort((a, b) => b[1].boost - a[1].boost)) {
+    if (results.length >= limit) break;
+    const mem = s.getMemory.get(id);
+    if (!mem || mem.status === "deprecated") continue;
+    if (namespaces && !namespaces.includes(mem.namespace)) continue;
+
+    let spreadSimilarity;
+    if (queryEmbedding) {
+      if (!mem.embedding || mem.embedding_model !== model) continue;
+      spreadSimilarity = cosineSimilarity(queryEmbedding, blobToEmbedding(mem.embedding));
+      if (spreadSimilarity < minSimilarity) continue;
+    }
+    results.push({
+      ...mem,
+      spreadBoost: r.boost,
+      spreadPath: r.path,
+      spreadHops: r.path.length - 1,
+      ...(queryEmbedding ? { spreadSimilarity } : {}),
+    });
+  }
+  return results;
 }
 
 /**
@@ -363,11 +1027,104 @@ export function getStats(db) {
     atomic: s.countAtomic.get().cnt,
     coOccurrences: s.countCoOcc.get().cnt,
     domains: s.getAllDomains.all(),
+    namespaces: s.countByNamespace.all(),
+    embeddingModels: s.countByEmbeddingModel.all(),
+  };
+}
+
+/**
+ * Log memories injected together (in order) so feedback can find the
+ * retrieval — and the co-occurrence edges, wired in `namespace`, it refers
+ * to. Events older than RETRIEVAL_LOG_DAYS are dropped. Returns the event id.
+ */
+export function logRetrieval(db, ids, { session = null, namespace = GLOBAL_NAMESPACE } = {}) {
+  const s = prepareStatements(db);
+  const now = Math.floor(Date.now() / 1000);
+  s.expireRetrievalEvents.run(now - RETRIEVAL_LOG_DAYS * 86400);
+  return Number(s.insertRetrievalEvent.run(session, namespace, now, JSON.stringify(ids)).lastInsertRowid);
+}
+
+/**
+ * Rate a memory: "helpful", "unhelpful" or "wrong" (see FEEDBACK in
+ * activation.mjs). Shifts its base-level activation by a persistent bias and
+ * scales the co-occurrence edges between it and the memories it was
+ * retrieved with — in `retrievalId`, else its latest logged retrieval (in
+ * `session`, if given). Edges that fall below the prune threshold are dropped.
+ * Returns { memoryId, kind, bias, retrievalId, edges }.
+ */
+export function recordFeedback(db, memoryId, kind, { session = null, retrievalId = null, note = null } = {}) {
+  if (!FEEDBACK_KINDS.includes(kind)) {
+    throw new Error(`Unknown feedback "${kind}" (expected: ${FEEDBACK_KINDS.join(", ")})`);
+  }
+  const s = prepareStatements(db);
+  if (!s.getMemory.get(memoryId)) throw new Error(`Memory not found: ${memoryId}`);
+  const { bias, edgeFactor } = FEEDBACK[kind];
+
+  return db.transaction(() => {
+    const event = retrievalId != null
+      ? s.getRetrievalEvent.get(retrievalId)
+      : s.findRetrievalEvent.get({ session, id: memoryId });
+    const now = Math.floor(Date.now() / 1000);
+
+    s.applyFeedback.run({ id: memoryId, bias, min: BIAS_RANGE[0], max: BIAS_RANGE[1] });
+
+    let edges = 0;
+    const namespace = event?.namespace || GLOBAL_NAMESPACE;
+    const others = event ? JSON.parse(event.memory_ids).filter((id) => id !== memoryId) : [];
+    for (const other of others) {
+      for (const [a, b] of [[memoryId, other], [other, memoryId]]) {
+        edges += s.scaleEdge.run(edgeFactor, now, namespace, a, b).changes;
+        s.dropWeakEdge.run(namespace, a, b, PRUNE_MIN_WEIGHT);
+      }
+    }
+
+    s.insertFeedback.run(memoryId, kind, session ?? event?.session ?? null, event?.id ?? null, note, now);
+    return {
+      memoryId,
+      kind,
+      bias: s.getMemory.get(memoryId).feedback_bias,
+      retrievalId: event?.id ?? null,
+      edges,
+    };
+  })();
+}
+
+/**
+ * Prune the co-occurrence graph: drop edges whose decayed weight fell below
+ * `minWeight`, then keep only each node's `maxFanOut` strongest edges.
+ * Returns { decayed, capped, remaining }.
+ */
+export function pruneCoOccurrences(db, { minWeight = PRUNE_MIN_WEIGHT, maxFanOut = MAX_FAN_OUT } = {}) {
+  const s = prepareStatements(db);
+  return db.transaction(() => {
+    const decayed = s.pruneWeakEdges.run(minWeight).changes;
+    const capped = s.capFanOut.run(maxFanOut).changes;
+    return { decayed, capped, remaining: s.countCoOcc.get().cnt };
+  })();
+}
+
+/**
+ * Size and out-degree distribution of the co-occurrence graph:
+ * { nodes, edges, crossDomain, isolated, degree: { min, max, mean, median, p90, buckets } }.
+ * Nodes are memories with edges in any namespace; a memory linked in
+ * several namespaces has one out-degree in the distribution per namespace.
+ */
+export function getGraphStats(db) {
+  const s = prepareStatements(db);
+  const degrees = s.outDegrees.all().map((r) => r.degree);
+  const linked = s.countLinked.get().cnt;
+  return {
+    nodes: linked,
+    edges: s.countCoOcc.get().cnt,
+    crossDomain: s.countCrossDomain.get().cnt,
+    isolated: s.countMemories.get().cnt - linked,
+    degree: degreeDistribution(degrees),
   };
 }
 
 /**
- * Apply decay to all activations (multiplicative).
+ * Apply decay to the legacy activation column (multiplicative). Ranking
+ * uses base-level activation, which decays on its own.
  */
 export function decayAll(db, factor = 0.9995) {
   const s = prepareStatements(db);
@@ -375,17 +1132,18 @@ export function decayAll(db, factor = 0.9995) {
 }
 
 /**
- * Get/set metadata.
+ * Get/set metadata. Keys live per namespace; database-wide bookkeeping
+ * (schema version, vector index state) is in the global one.
  */
-export function getMeta(db, key) {
+export function getMeta(db, key, namespace = GLOBAL_NAMESPACE) {
   const s = prepareStatements(db);
-  const row = s.getMeta.get(key);
+  const row = s.getMeta.get(namespace, key);
   return row?.value ?? null;
 }
 
-export function setMeta(db, key, value) {
+export function setMeta(db, key, value, namespace = GLOBAL_NAMESPACE) {
   const s = prepareStatements(db);
-  s.setMeta.run(key, String(value));
+  s.setMeta.run(namespace, key, String(value));
 }
 
 // ─── Embedding utilities ────────────────────────────────────────────────────
@@ -407,23 +1165,56 @@ export function embeddingText(entry) {
 }
 
 /**
- * Call Ollama to generate embeddings for one or more texts.
+ * Generate embeddings for one or more texts with the configured provider.
+ * `provider` may be a provider object, provider options, or a model name
+ * (kept for callers of the old Ollama-only signature).
  * Returns array of Float32Arrays.
  */
-export async function generateEmbeddings(texts, model = EMBED_MODEL) {
-  const results = [];
+export async function generateEmbeddings(texts, provider = getEmbeddingProvider()) {
+  if (typeof provider === "string") provider = createEmbeddingProvider({ model: provider });
+  else if (typeof provider?.embed !== "function") provider = createEmbeddingProvider(provider);
+  if (texts.length === 0) return [];
+  return provider.embed(texts);
+}
 
-  // Ollama /api/embed supports array input
-  const batchSize = 25;
-  for (let i = 0; i < texts.length; i += batchSize) {
-    const batch = texts.slice(i, i + batchSize);
-    const data = await httpPost(OLLAMA_URL, { model, input: batch });
-    for (const emb of data.embeddings) {
-      results.push(new Float32Array(emb));
-    }
+/**
+ * Re-embed the whole store with `model` (or an explicit `provider`), in
+ * batches. Progress — { model, cursor, done, total } — is written to
+ * meta.reembed_progress with every batch, so an interrupted run (e.g. the
+ * provider went down) resumes where it stopped; a run for another model
+ * starts over. Rows already embedded by the target model are skipped.
+ */
+export async function reembedAll(db, { model, provider, batchSize = 25, onProgress } = {}) {
+  provider = provider || createEmbeddingProvider({ model });
+  model = provider.model;
+
+  const saved = JSON.parse(getMeta(db, "reembed_progress") || "null");
+  const progress = saved?.model === model ? saved : {
+    model,
+    cursor: "",
+    done: 0,
+    total: db.prepare("SELECT COUNT(*) AS cnt FROM memories WHERE embedding_model IS NOT ?").get(model).cnt,
+  };
+  const nextBatch = db.prepare(`
+    SELECT id, title, detail, domain, pattern_type, source_section FROM memories
+    WHERE id > ? AND embedding_model IS NOT ?
+    ORDER BY id LIMIT ?
+  `);
+
+  for (let batch; (batch = nextBatch.all(progress.cursor, model, batchSize)).length > 0;) {
+    const embeddings = await generateEmbeddings(batch.map((e) => embeddingText(e)), provider);
+    db.transaction(() => {
+      for (let j = 0; j < batch.length; j++) setEmbedding(db, batch[j].id, embeddings[j], model);
+      progress.cursor = batch[batch.length - 1].id;
+      progress.done += batch.length;
+      setMeta(db, "reembed_progress", JSON.stringify(progress));
+    })();
+    noteVectorWrite(db);
+    onProgress?.(progress);
   }
 
-  return results;
+  db.prepare("DELETE FROM meta WHERE key = 'reembed_progress'").run();
+  return progress;
 }
 
 /**
@@ -454,38 +1245,155 @@ export function cosineSimilarity(a, b) {
   return denom === 0 ? 0 : dot / denom;
 }
 
+/**
+ * Build an FTS5 MATCH expression from free text. Each whitespace-separated
+ * chunk becomes a quoted phrase of its word tokens — so `--no-verify` and
+ * `lib/db.mjs` match as phrases — and the phrases are OR-ed for BM25 to rank.
+ * Returns "" when the text has no searchable tokens.
+ */
+export function ftsQuery(text) {
+  const phrases = new Set();
+  for (const chunk of String(text || "").split(/\s+/)) {
+    const tokens = chunk.match(/[\p{L}\p{N}_]+/gu);
+    if (tokens) phrases.add(`"${tokens.join(" ")}"`);
+  }
+  return [...phrases].slice(0, 64).join(" OR ");
+}
+
+/**
+ * Lexical search: BM25 over title / detail / tags (title and tags weighted
+ * up). Returns [{ id, score }], best first, score = -bm25 (higher is better).
+ * Includes deprecated entries — callers filter by status.
+ */
+export function lexicalSearch(db, text, limit = 20) {
+  const match = ftsQuery(text);
+  if (!match) return [];
+  return db.prepare(`
+    SELECT m.id, bm25(memories_fts, 2.0, 1.0, 1.5) AS rank
+    FROM memories_fts
+    JOIN memories m ON m.rowid = memories_fts.rowid
+    WHERE memories_fts MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `).all(match, limit).map((r) => ({ id: r.id, score: -r.rank }));
+}
+
 /**
  * Semantic search: find the most similar memories to a query embedding.
- * Brute-force cosine similarity — fast enough for <50K entries.
+ * Uses the HNSW index when one is active, otherwise a scan of the in-process
+ * vector cache (see vector-index.mjs). `{ vectorIndex: "exact" }` forces the scan.
+ *
+ * Only vectors from `model` (default: the configured provider's) are
+ * compared — other models' vectors live in a different space.
  */
-export function semanticSearch(db, queryEmbedding, limit = 20) {
-  const s = prepareStatements(db);
-  const rows = s.getWithEmbedding.all();
+export function semanticSearch(db, queryEmbedding, limit = 20, { vectorIndex, model } = {}) {
+  return searchVectors(db, queryEmbedding, limit, { mode: vectorIndex, model }) ?? [];
+}
 
-  const scored = rows
-    .map((row) => {
-      const emb = blobToEmbedding(row.embedding);
-      const sim = cosineSimilarity(queryEmbedding, emb);
-      return { id: row.id, similarity: sim };
-    })
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, limit);
+/**
+ * Reciprocal rank fusion of two 0-based ranks (undefined = not ranked),
+ * scaled so first place in both lists scores 1.
+ */
+const RRF_K = 60;
+function fuseRanks(...ranks) {
+  let sum = 0;
+  for (const r of ranks) if (r !== undefined) sum += 1 / (RRF_K + r + 1);
+  return sum / (ranks.length / (RRF_K + 1));
+}
 
-  return scored;
+/**
+ * Predicate for a retrieve() filter: whether a memory row has the exact
+ * domain, pattern type (`type`), status ("active" also matches legacy NULL),
+ * `tag`, and was created at or after `since` (Date or ISO string). Unset
+ * keys match all. Built once per retrieve() call.
+ */
+function filterMatcher(db, { domain, type, status, tag, since } = {}) {
+  const tagged = tag ? db.prepare("SELECT 1 FROM tags WHERE memory_id = ? AND tag = ?") : null;
+  const from = since ? new Date(since) : null;
+  return (row) => {
+    if (domain && row.domain !== domain) return false;
+    if (type && row.pattern_type !== type) return false;
+    if (status && (row.status || "active") !== status) return false;
+    if (from && !(new Date(row.created) >= from)) return false;
+    if (tagged && !tagged.get(row.id, tag)) return false;
+    return true;
+  };
 }
 
+// Score bonus by pattern type: actionable patterns rank higher
+const TYPE_BONUS = {
+  rule: 0.08,
+  directive: 0.08,
+  correction: 0.05,
+  "bug-insight": 0.05,
+  command: 0.04,
+  solution: 0.03,
+};
+
 /**
  * Combined retrieval: semantic similarity + activation + domain match.
  * This is the main retrieval function for context injection.
  *
  * Scoring strategy:
  *   - Semantic similarity is the primary signal (embeddings)
- *   - Activation is a secondary signal (usage frequency)
+ *   - Activation is a secondary signal: the retrieval probability of the
+ *     memory's base-level activation (frequency and recency of use); 1 for
+ *     pinned memories
  *   - Domain match provides a bonus when keyword hints are available
  *   - "general" domain entries (legacy file-level) are deprioritized
  *   - Daily logs and catch-all entries get a penalty
  *   - Rules/directives get a bonus (more actionable)
- *   - Spreading activation fills remaining budget (clearly separated)
+ *   - Spreading activation fills remaining budget (clearly separated):
+ *     `spreadDepth` hops over co-occurrences from the selected entries,
+ *     seeded with their scores. With a query embedding, spread entries must
+ *     reach `spreadGate` similarity to it. Each carries its spreadPath.
+ *   - Deprecated matches resolve along superseded_by to the newest active
+ *     version (marked `supersedes`). A memory with an active correction
+ *     (corrects → it) gives way to the correction if that is a candidate
+ *     too, and otherwise carries it as `correction` to be shown together
+ *   - Of two memories queued as an open contradiction scoring at least
+ *     `conflictThreshold` (see contradictions.mjs), only the better-scored
+ *     one is injected
+ *
+ * With a query embedding only the `annCandidates` nearest neighbours are
+ * scored — from the HNSW index when active, otherwise from an exact scan of
+ * the vector cache (`vectorIndex: "exact"` forces the scan). Neighbours come
+ * only from vectors of `embeddingModel` (the model that embedded the query,
+ * default: the configured provider's).
+ *
+ * Hybrid: with `queryText`, the `lexicalCandidates` best BM25 matches join
+ * the candidates and relevance fuses both rankings — reciprocal rank fusion
+ * (`fusion: "rrf"`, default) or `lexicalWeight`-weighted scores
+ * (`fusion: "weighted"`). A lexical match also bypasses the similarity floor
+ * (`minSimilarity`), below which semantic matches are left out.
+ * `fusion: "none"` keeps pure similarity. Without usable vectors (no query
+ * embedding, or none from that model) BM25 alone ranks the candidates, and
+ * only without lexical matches does retrieval fall back to domain hints.
+ *
+ * Explain: with `explain: true` the result is { results, rejected,
+ * candidates, mode } instead of the array. Every result carries `explain` —
+ * relevance (similarity, BM25 share, fused value), activation (base level,
+ * probability), domain match, type bonus, penalties and the final score, or
+ * for spread entries the boost and path. `rejected` lists the candidates
+ * left out with the rule that excluded them: "below-floor", "domain-cap",
+ * "conflict" (`with`), "corrected" (`by`), "selected" (already in as a
+ * correction), "budget" or "limit" (selection ended before them).
+ * `mode` is how candidates were found: hybrid, semantic, lexical, domain
+ * or fallback.
+ *
+ * Filters: `filter` keeps only candidates with the given domain, pattern
+ * type, status, tag or minimum creation time (after deprecated matches have
+ * resolved). Matches are filtered, not searched for — with a narrow filter
+ * raise `annCandidates` / `lexicalCandidates`. `includeDeprecated` scores
+ * deprecated matches as they are instead of resolving them.
+ *
+ * Namespaces: with `namespace`, only memories of that namespace and — unless
+ * `includeGlobal` is false — the global one are candidates, corrections or
+ * spread entries, and spreading follows only the edges learned in them.
+ * Global memories rank `globalPenalty` lower (`penalties.global`), so an
+ * agent's own memory wins a tie with a shared one. As with filters, other
+ * namespaces' matches still take up `annCandidates` / `lexicalCandidates`.
+ * Without a namespace every memory is a candidate, unpenalized.
  */
 export function retrieve(db, options = {}) {
   const {
@@ -496,42 +1404,109 @@ export function retrieve(db, options = {}) {
     semanticWeight = 0.6,
     activationWeight = 0.3,
     domainWeight = 0.1,
+    vectorIndex = undefined, // "auto" | "hnsw" | "exact"
+    annCandidates = 200,
+    embeddingModel = undefined,
+    queryText = null,
+    fusion = "rrf", // "rrf" | "weighted" | "none"
+    lexicalWeight = 0.3, // share of BM25 in "weighted" fusion
+    lexicalCandidates = 50,
+    spreadDepth = SPREAD_DEPTH,
+    spreadAttenuation = SPREAD_ATTENUATION,
+    minSimilarity = 0.3, // similarity floor for results (with an embedding; BM25 matches pass)
+    spreadGate = 0.3, // min. query similarity for spread entries (with an embedding)
+    conflictThreshold = 0.7, // open contradictions at/above this score are not injected together (null = off)
+    explain = false, // return { results, rejected, candidates, mode } with a score breakdown per candidate
+    filter = null, // { domain, type, status, tag, since } — only candidates matching all that are set
+    includeDeprecated = false, // deprecated matches are candidates themselves, not their replacement
+    namespace = null, // only this namespace (+ global) — null: all
+    includeGlobal = true, // merge the global namespace into a scoped retrieval
+    globalPenalty = 0.1, // score handicap of global memories in a scoped retrieval
   } = options;
 
   const s = prepareStatements(db);
+  const scope = namespaceScope(namespace, { includeGlobal });
+  const scopeJson = scope ? JSON.stringify(scope) : null;
+  const inScope = (row) => !scope || scope.includes(row.namespace || GLOBAL_NAMESPACE);
 
-  // Get candidates — all entries with embeddings for semantic search,
-  // plus domain-specific entries if hints provided
+  // Get candidates — nearest neighbours and/or BM25 matches,
+  // else domain-specific entries if hints provided
   let candidates;
-  if (queryEmbedding) {
-    // Semantic mode: scan all entries with embeddings (exclude deprecated)
-    const all = db.prepare(
-      "SELECT * FROM memories WHERE embedding IS NOT NULL AND (status = 'active' OR status IS NULL)"
-    ).all();
-    candidates = all;
+  const hits = queryEmbedding
+    ? searchVectors(db, queryEmbedding, annCandidates, { mode: vectorIndex, model: embeddingModel })
+    : null;
+  const lexical = queryText && (fusion !== "none" || !hits)
+    ? lexicalSearch(db, queryText, lexicalCandidates)
+    : [];
+
+  const similarities = new Map((hits || []).map((h) => [h.id, h.similarity]));
+  const vectorRanks = new Map((hits || []).map((h, i) => [h.id, i]));
+  const lexicalRanks = new Map(lexical.map((h, i) => [h.id, i]));
+  const lexicalScores = new Map(lexical.map((h) => [h.id, h.score / (lexical[0].score || 1)]));
+
+  if (hits || lexical.length > 0) {
+    // Semantic / lexical mode: ranked matches only. A deprecated match stands in
+    // for the newest version it was superseded by, which inherits its relevance.
+    const ids = new Set([...(hits || []).map((h) => h.id), ...lexical.map((h) => h.id)]);
+    const byId = new Map();
+    for (const id of ids) {
+      const row = includeDeprecated ? s.getMemory.get(id) : resolveSupersession(db, id);
+      if (!row) continue;
+      if (row.id !== id) {
+        if ((similarities.get(id) ?? -1) > (similarities.get(row.id) ?? -1)) {
+          similarities.set(row.id, similarities.get(id));
+          vectorRanks.set(row.id, vectorRanks.get(id));
+        }
+        if (lexicalRanks.has(id) && !(lexicalRanks.get(row.id) <= lexicalRanks.get(id))) {
+          lexicalRanks.set(row.id, lexicalRanks.get(id));
+          lexicalScores.set(row.id, lexicalScores.get(id));
+        }
+      }
+      if (!byId.has(row.id)) byId.set(row.id, row.id === id ? row : { ...row, supersedes: id });
+    }
+    candidates = [...byId.values()];
   } else if (domains.length > 0) {
     // Domain-only mode (no embedding available)
     candidates = [];
-    const domainQuery = db.prepare(
-      "SELECT * FROM memories WHERE domain = ? AND (status = 'active' OR status IS NULL) ORDER BY activation DESC"
-    );
+    const domainQuery = db.prepare(`
+      SELECT * FROM memories
+      WHERE domain = ? AND (? OR status = 'active' OR status IS NULL)
+        AND (? IS NULL OR namespace IN (SELECT value FROM json_each(?)))
+      ORDER BY ${BASE_LEVEL_SQL} DESC
+    `);
     for (const domain of domains) {
-      candidates.push(...domainQuery.all(domain));
+      candidates.push(...domainQuery.all(domain, includeDeprecated ? 1 : 0, scopeJson, scopeJson));
     }
   } else {
     // Fallback: top by activation (exclude deprecated)
-    const fallbackQuery = db.prepare(
-      "SELECT * FROM memories WHERE (status = 'active' OR status IS NULL) ORDER BY activation DESC LIMIT ?"
-    );
-    candidates = fallbackQuery.all(100);
+    const fallbackQuery = db.prepare(`
+      SELECT * FROM memories
+      WHERE (? OR status = 'active' OR status IS NULL)
+        AND (? IS NULL OR namespace IN (SELECT value FROM json_each(?)))
+      ORDER BY ${BASE_LEVEL_SQL} DESC LIMIT ?
+    `);
+    candidates = fallbackQuery.all(includeDeprecated ? 1 : 0, scopeJson, scopeJson, 100);
   }
+  if (scope) candidates = candidates.filter(inScope);
+  const matchesFilter = filter ? filterMatcher(db, filter) : null;
+  if (matchesFilter) candidates = candidates.filter(matchesFilter);
+
+  const mode = hits && lexical.length > 0 ? "hybrid"
+    : hits ? "semantic"
+    : lexical.length > 0 ? "lexical"
+    : domains.length > 0 ? "domain"
+    : "fallback";
+  const rejected = []; // explain only: candidates left out, with the rule that excluded them
+  const reject = (entry, reason, extra = {}) => {
+    if (!explain) return;
+    const { id, title, domain, score = null } = entry;
+    rejected.push({ id, title, domain, score, reason, ...extra, explain: entry.explain });
+  };
+  const done = (selected) => (explain ? { results: selected, rejected, candidates: candidates.length, mode } : selected);
 
-  if (candidates.length === 0) return [];
+  if (candidates.length === 0) return done([]);
 
-  // Normalize activation for scoring (exclude outliers)
-  const activations = candidates.map((c) => c.activation || 0).sort((a, b) => a - b);
-  const p95 = activations[Math.floor(activations.length * 0.95)] || 1;
-  const maxActivation = Math.max(p95, 1);
+  const now = Date.now();
 
   // Score each candidate
   const scored = [];
@@ -539,53 +1514,78 @@ export function retrieve(db, options = {}) {
     let score = 0;
     let semanticSim = 0;
 
-    // Semantic similarity component (0-1 range, primary signal)
-    if (queryEmbedding && entry.embedding) {
-      const emb = blobToEmbedding(entry.embedding);
-      semanticSim = cosineSimilarity(queryEmbedding, emb);
-      score += semanticSim * semanticWeight;
+    // Relevance component (0-1 range, primary signal): similarity, BM25, or both fused
+    const lexicalScore = lexicalScores.get(entry.id) ?? 0;
+    if (hits) semanticSim = similarities.get(entry.id) ?? 0;
+    let relevance = hits ? semanticSim : lexicalScore;
+    if (hits && lexical.length > 0) {
+      relevance = fusion === "weighted"
+        ? (1 - lexicalWeight) * semanticSim + lexicalWeight * lexicalScore
+        : fuseRanks(vectorRanks.get(entry.id), lexicalRanks.get(entry.id));
     }
+    score += relevance * semanticWeight;
+
+    const breakdown = explain ? {
+      relevance: {
+        mode: mode === "hybrid" ? fusion : mode === "semantic" ? "similarity" : mode === "lexical" ? "bm25" : "none",
+        similarity: hits ? semanticSim : null,
+        lexical: lexicalRanks.has(entry.id) ? lexicalScore : null,
+        value: relevance,
+        weighted: relevance * semanticWeight,
+      },
+      supersedes: entry.supersedes ?? null,
+    } : undefined;
 
     // Hard floor: if we have embeddings and similarity is below threshold, skip entirely
     // This prevents irrelevant entries from sneaking in via high activation alone
-    if (queryEmbedding && semanticSim < 0.3) continue;
-
-    // Activation component (normalized 0-1, capped at p95)
-    const normAct = Math.min((entry.activation || 0) / maxActivation, 1);
-    score += normAct * activationWeight;
-
-    // Recency bonus: entries retrieved in last 24h get a small boost
-    if (entry.last_retrieved) {
-      const hoursSince = (Date.now() - new Date(entry.last_retrieved).getTime()) / 3600000;
-      if (hoursSince < 24) score += 0.03;
+    // (an exact lexical match is evidence enough)
+    if (hits && semanticSim < minSimilarity && !lexicalRanks.has(entry.id)) {
+      reject({ ...entry, score, explain: breakdown }, "below-floor", { floor: minSimilarity });
+      continue;
     }
 
+    // Activation component (0-1): base-level activation as a retrieval probability.
+    // Recency is part of it — no separate bonus. Pinned memories keep it at full.
+    const base = baseLevel(entry, now);
+    const probability = entry.pinned ? 1 : retrievalProbability(base);
+    score += probability * activationWeight;
+
     // Domain match bonus
+    let domainMatched = false;
     if (domains.length > 0 && entry.domain) {
-      const matched = domains.some((d) =>
+      domainMatched = domains.some((d) =>
         entry.domain.toLowerCase().includes(d.toLowerCase())
       );
-      score += matched ? domainWeight : 0;
+      score += domainMatched ? domainWeight : 0;
     }
 
-    // Type bonuses: actionable patterns rank higher
-    if (entry.pattern_type === "rule" || entry.pattern_type === "directive") score += 0.08;
-    if (entry.pattern_type === "correction" || entry.pattern_type === "bug-insight") score += 0.05;
-    if (entry.pattern_type === "command") score += 0.04;
-    if (entry.pattern_type === "solution") score += 0.03;
+    // Type bonus (TYPE_BONUS)
+    const typeBonus = TYPE_BONUS[entry.pattern_type] || 0;
+    score += typeBonus;
 
     // Penalties for low-signal entries
-    const isGeneral = (entry.domain || "general") === "general";
-    const isDailyLog = (entry.title || "").toLowerCase().includes("daily log");
-    const isLegacyFile = !entry.pattern_type;
     const detail = entry.detail || entry.title || "";
+    const penalties = {};
+    if ((entry.domain || "general") === "general") penalties.general = -0.2; // Always penalize general — it's a catch-all
+    if ((entry.title || "").toLowerCase().includes("daily log")) penalties.dailyLog = -0.25; // Daily logs rarely useful as context
+    if (!entry.pattern_type) penalties.legacy = -0.1; // Prefer atomic patterns over file-level blobs
+    if (detail.length < 20) penalties.short = -0.15; // Very short entries are low-signal
+    if (scope && namespace !== GLOBAL_NAMESPACE && (entry.namespace || GLOBAL_NAMESPACE) === GLOBAL_NAMESPACE) {
+      penalties.global = -globalPenalty; // Shared memories rank below the namespace's own
+    }
+    for (const penalty of Object.values(penalties)) score += penalty;
+
+    if (breakdown) {
+      breakdown.activation = {
+        baseLevel: base, probability, weighted: probability * activationWeight, ...(entry.pinned ? { pinned: true } : {}),
+      };
+      breakdown.domain = { hints: domains, matched: domainMatched, weighted: domainMatched ? domainWeight : 0 };
+      breakdown.type = { pattern_type: entry.pattern_type || null, bonus: typeBonus };
+      breakdown.penalties = penalties;
+      breakdown.score = score;
+    }
 
-    if (isGeneral) score -= 0.2;  // Always penalize general — it's a catch-all
-    if (isDailyLog) score -= 0.25; // Daily logs rarely useful as context
-    if (isLegacyFile) score -= 0.1; // Prefer atomic patterns over file-level blobs
-    if (detail.length < 20) score -= 0.15; // Very short entries are low-signal
-
-    scored.push({ ...entry, score, semanticSim });
+    scored.push({ ...entry, score, semanticSim, lexicalScore, baseLevel: base, probability, ...(breakdown && { explain: breakdown }) });
   }
 
   scored.sort((a, b) => b.score - a.score);
@@ -596,35 +1596,168 @@ export function retrieve(db, options = {}) {
   const charBudget = tokenBudget * 4; // rough token-to-char ratio
   const seenDomains = new Map(); // domain → count (for diversity)
 
-  for (const entry of scored) {
-    const detail = entry.detail || entry.title || "";
-    const entryChars = detail.length + 20;  // full detail, no truncation
-    if (charsUsed + entryChars > charBudget && selected.length > 0) break;
+  // Open contradictions: of a conflicting pair only the better-scored side is injected
+  const conflicts = new Map(); // id → ids it conflicts with
+  if (conflictThreshold !== null) {
+    for (const { memory_a: a, memory_b: b } of s.getConflicts.all(conflictThreshold)) {
+      for (const [x, y] of [[a, b], [b, a]]) {
+        if (!conflicts.has(x)) conflicts.set(x, []);
+        conflicts.get(x).push(y);
+      }
+    }
+  }
+  // The selected memory `id` conflicts with, if any
+  const conflictWith = (id) => conflicts.get(id)?.find((other) => selected.some((e) => e.id === other));
+
+  // Corrections: a corrected memory is replaced by its newest active correction
+  // when that is relevant on its own (a scored candidate), else shown with it.
+  // null once the correction is already in.
+  const injected = new Set();
+  const scoredById = new Map(scored.map((e) => [e.id, e]));
+  const applyCorrection = (entry) => {
+    const correction = latestCorrection(db, entry.id);
+    if (!correction || !inScope(correction)) return entry;
+    if (injected.has(correction.id)) return null;
+    const relevant = scoredById.get(correction.id);
+    if (relevant) return { ...relevant, score: Math.max(relevant.score, entry.score) };
+    const { id, title, detail, pattern_type } = correction;
+    return { ...entry, correction: { id, title, detail, pattern_type } };
+  };
+  const charsOf = (entry) =>
+    (entry.detail || entry.title || "").length + 20 + // full detail, no truncation
+    (entry.correction ? (entry.correction.detail || entry.correction.title || "").length + 15 : 0);
+  const inject = (entry) => {
+    selected.push(entry);
+    injected.add(entry.id);
+    if (entry.correction) injected.add(entry.correction.id);
+    charsUsed += charsOf(entry);
+  };
+
+  let stopped = null; // "budget" | "limit" once selection ends early
+  for (const candidate of scored) {
+    if (stopped) {
+      reject(candidate, stopped);
+      continue;
+    }
+    if (injected.has(candidate.id)) {
+      reject(candidate, "selected"); // already in, as the correction of another memory
+      continue;
+    }
+    const entry = applyCorrection(candidate);
+    if (!entry || injected.has(entry.id)) {
+      reject(candidate, "corrected", { by: entry?.id ?? latestCorrection(db, candidate.id)?.id });
+      continue;
+    }
+    const entryChars = charsOf(entry);
+    if (charsUsed + entryChars > charBudget && selected.length > 0) {
+      stopped = "budget";
+      reject(candidate, stopped);
+      continue;
+    }
 
     // Diversity: limit entries per domain to prevent one domain hogging the budget
     const dom = entry.domain || "general";
     const domCount = seenDomains.get(dom) || 0;
-    if (domCount >= 3) continue; // max 3 per domain — forces variety
+    if (domCount >= 3) { // max 3 per domain — forces variety
+      reject(candidate, "domain-cap", { cap: 3 });
+      continue;
+    }
+    const conflicting = conflictWith(entry.id);
+    if (conflicting) {
+      reject(candidate, "conflict", { with: conflicting });
+      continue;
+    }
 
-    selected.push(entry);
-    charsUsed += entryChars;
+    if (entry.id !== candidate.id) {
+      reject(candidate, "corrected", { by: entry.id });
+      if (explain) entry.explain = { ...entry.explain, replaces: candidate.id };
+    }
+    inject(entry);
     seenDomains.set(dom, domCount + 1);
-    if (selected.length >= limit) break;
+    if (selected.length >= limit) stopped = "limit";
   }
 
   // Spreading activation — fill remaining budget with related patterns
-  if (charsUsed < charBudget * 0.9 && selected.length > 0) {
+  if (charsUsed < charBudget * 0.9 && selected.length > 0 && spreadDepth > 0) {
     const activeIds = selected.map((s) => s.id);
-    const related = getSpreadingActivation(db, activeIds, 8);
+    const related = getSpreadingActivation(db, activeIds, 8, {
+      depth: spreadDepth,
+      attenuation: spreadAttenuation,
+      seedActivation: Object.fromEntries(selected.map((s) => [s.id, Math.max(s.score, 0)])),
+      // Only gate against a query the vectors can be compared with
+      queryEmbedding: hits ? queryEmbedding : null,
+      minSimilarity: spreadGate,
+      model: embeddingModel,
+      namespaces: scope,
+    });
+    let full = false;
     for (const rel of related) {
-      const entryChars = (rel.detail || rel.title || "").length + 20;
-      if (charsUsed + entryChars > charBudget) break;
-      selected.push({ ...rel, score: rel.spreadBoost * 0.01, spreadingActivation: true });
-      charsUsed += entryChars;
+      const spread = {
+        ...rel,
+        score: rel.spreadBoost,
+        spreadingActivation: true,
+        ...(explain && {
+          explain: {
+            spread: { boost: rel.spreadBoost, path: rel.spreadPath, hops: rel.spreadHops, similarity: rel.spreadSimilarity ?? null },
+            score: rel.spreadBoost,
+          },
+        }),
+      };
+      if (full) {
+        reject(spread, "budget");
+        continue;
+      }
+      if (injected.has(rel.id) || (matchesFilter && !matchesFilter(rel))) continue;
+      const entry = applyCorrection(spread);
+      if (!entry || injected.has(entry.id)) {
+        reject(spread, "corrected", { by: entry?.id ?? latestCorrection(db, rel.id)?.id });
+        continue;
+      }
+      if (charsUsed + charsOf(entry) > charBudget) {
+        full = true;
+        reject(spread, "budget");
+        continue;
+      }
+      const conflicting = conflictWith(entry.id);
+      if (conflicting) {
+        reject(spread, "conflict", { with: conflicting });
+        continue;
+      }
+      inject(entry);
     }
   }
 
-  return selected;
+  return done(selected);
+}
+
+const MAX_CHAIN = 10; // hops along superseded_by / corrects before giving up (cycles)
+
+/**
+ * The newest active version of a memory: the memory itself if active, else
+ * the end of its superseded_by chain. null if that ends in nothing active.
+ */
+export function resolveSupersession(db, id) {
+  const s = prepareStatements(db);
+  let row = s.getMemory.get(id);
+  for (let hops = 0; row && row.status === "deprecated" && row.superseded_by && hops < MAX_CHAIN; hops++) {
+    row = s.getMemory.get(row.superseded_by);
+  }
+  return row && (row.status === "active" || row.status === null) ? row : null;
+}
+
+/**
+ * The newest active correction of a memory, following corrections of
+ * corrections. null if nothing active corrects it.
+ */
+export function latestCorrection(db, id) {
+  const s = prepareStatements(db);
+  let correction = null;
+  const seen = new Set([id]);
+  for (let next = s.getCorrection.get(id); next && !seen.has(next.id) && seen.size <= MAX_CHAIN; next = s.getCorrection.get(next.id)) {
+    correction = next;
+    seen.add(next.id);
+  }
+  return correction;
 }
 
 /**
@@ -643,6 +1776,16 @@ export function markAsCorrection(db, correctionId, correctedId) {
   return update.run(correctedId, correctionId);
 }
 
+/**
+ * Pin (or with `pinned: false` unpin) a memory: its activation no longer
+ * fades with disuse, consolidation leaves it alone and an updated fact is
+ * queued for review instead of superseding it.
+ */
+export function pinMemory(db, id, pinned = true) {
+  const update = db.prepare("UPDATE memories SET pinned = ? WHERE id = ?");
+  return update.run(pinned ? 1 : 0, id);
+}
+
 /**
  * Find all deprecated memories (for cleanup/review).
  */
@@ -658,4 +1801,10 @@ export function getDeprecated(db, limit = 100) {
   return stmt.all(limit);
 }
 
+export { createEmbeddingProvider, getEmbeddingProvider, setEmbeddingProvider } from "./embeddings.mjs";
+export { FEEDBACK_KINDS } from "./activation.mjs";
+export {
+  getVectorIndex, rebuildVectorIndex, saveVectorIndex,
+  getVectorCache, getVectorStorage, setVectorStorage,
+} from "./vector-index.mjs";
 export { DEFAULT_DB_PATH, EMBED_DIM, EMBED_MODEL, OLLAMA_URL };
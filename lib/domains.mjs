@@ -0,0 +1,53 @@
+/**
+ * Hebbian Memory — Domain Hints
+ *
+ * Keyword map from prompt text to memory domains. retrieve() gives memories
+ * in a hinted domain the domain-match bonus; the plugin and the search CLI
+ * derive the hints the same way so they rank alike.
+ */
+
+export const DOMAIN_KEYWORDS = {
+  "peekaboo-web": ["peekaboo", "safari", "browser", "webpage", "website", "click", "form", "login", "signup", "checkbox"],
+  "form-handling-patterns": ["form", "signup", "register", "login", "submit", "checkbox", "dropdown"],
+  "comfyui": ["comfyui", "dreamshaper", "animatediff", "stable diffusion", "sd 1.5", "image gen"],
+  "tiktok": ["tiktok", "video", "content", "upload", "viral", "hook"],
+  "tiktok-automation-workflow": ["tiktok pipeline", "video pipeline", "automation", "n8n"],
+  "tiktok-growth-patterns": ["growth", "followers", "algorithm", "engagement", "analytics"],
+  "video-pipeline": ["ffmpeg", "esrgan", "upscale", "ken burns", "encode", "mux"],
+  "tts": ["qwen", "tts", "voice", "speech", "audio", "voice clone", "edge-tts"],
+  "podcast": ["podcast", "episode", "spotify", "rss"],
+  "hebbian": ["hebbian", "memory", "activation", "decay", "co-occurrence", "atomic", "pattern"],
+  "openclaw": ["openclaw", "gateway", "session", "spawn", "sub-agent", "config"],
+  "inter-agent-communication": ["sub-agent", "spawn", "worker", "captain", "orchestrat"],
+  "ollama": ["ollama", "qwen2.5", "local model", "vision"],
+  "deepseek": ["deepseek", "research", "reasoning"],
+  "business": ["revenue", "fiverr", "etsy", "listing", "customer", "pricing", "monetiz", "patreon"],
+  "infrastructure": ["n8n", "cron", "task", "alert", "database", "sqlite"],
+  "macos": ["applescript", "keychain", "finder", "mail.app", "cliclick"],
+  "security": ["security", "injection", "permission", "access", "credential"],
+  "model-routing": ["model", "routing", "sonnet", "opus", "claude", "budget"],
+  "trading": ["trading", "alpaca", "stock", "portfolio", "market"],
+};
+
+/**
+ * Quick domain hint extraction from message text.
+ * Used alongside semantic search to boost domain-matching results.
+ */
+export function extractDomainHints(text) {
+  if (!text || typeof text !== "string") return [];
+  const lower = text.toLowerCase();
+  const scored = {};
+
+  for (const [domain, keywords] of Object.entries(DOMAIN_KEYWORDS)) {
+    for (const kw of keywords) {
+      if (lower.includes(kw)) {
+        scored[domain] = (scored[domain] || 0) + (kw.includes(" ") ? 3 : 2);
+      }
+    }
+  }
+
+  return Object.entries(scored)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([d]) => d);
+}
@@ -0,0 +1,260 @@
+/**
+ * Hebbian Memory — Embedding Providers
+ *
+ * A provider turns texts into Float32Array vectors. Every provider has the
+ * same shape so the DB layer, plugin, CLI and extractors never care which
+ * server (if any) is behind it:
+ *
+ *   { name, model, dim, embed(texts) → Promise<Float32Array[]> }
+ *
+ * Built-in providers:
+ *   ollama  — Ollama /api/embed (default)
+ *   openai  — any OpenAI-compatible /v1/embeddings server
+ *             (llama.cpp server, LM Studio, vLLM, OpenAI itself)
+ *   hash    — deterministic offline feature-hashing embedder; no server,
+ *             meant for CI and air-gapped boxes (lexical, not semantic)
+ *
+ * Selection (first match wins): explicit options → env → defaults.
+ *   HEBBIAN_EMBED_PROVIDER   ollama | openai | hash
+ *   HEBBIAN_EMBED_URL        server URL (base or full endpoint)
+ *   HEBBIAN_EMBED_MODEL      model name
+ *   HEBBIAN_EMBED_DIM        vector size (hash provider; sanity check otherwise)
+ *   HEBBIAN_EMBED_API_KEY    bearer token for openai-compatible servers
+ */
+
+import { request as httpRequest } from "node:http";
+import { request as httpsRequest } from "node:https";
+
+const DEFAULT_PROVIDER = "ollama";
+const DEFAULT_MODEL = "nomic-embed-text";
+const DEFAULT_DIM = 768;
+const DEFAULT_OLLAMA_URL = "http://127.0.0.1:11434";
+const DEFAULT_OPENAI_URL = "http://127.0.0.1:8080";
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+/**
+ * HTTP POST using node:http — bypasses undici/fetch which fails inside the
+ * gateway process with opaque "fetch failed" errors.
+ */
+function httpPost(url, body, { headers = {}, timeoutMs = 15000, label = "embed" } = {}) {
+  return new Promise((resolve, reject) => {
+    const parsed = new URL(url);
+    const payload = JSON.stringify(body);
+    const request = parsed.protocol === "https:" ? httpsRequest : httpRequest;
+    const req = request(
+      {
+        hostname: parsed.hostname,
+        port: parsed.port,
+        path: parsed.pathname + parsed.search,
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(payload),
+          ...headers,
+        },
+      },
+      (res) => {
+        const chunks = [];
+        res.on("data", (c) => chunks.push(c));
+        res.on("end", () => {
+          const text = Buffer.concat(chunks).toString();
+          if (res.statusCode >= 400) {
+            reject(new Error(`${label} failed: ${res.statusCode} ${text.slice(0, 200)}`));
+            return;
+          }
+          try { resolve(JSON.parse(text)); }
+          catch (e) { reject(new Error(`${label}: invalid JSON — ${text.slice(0, 200)}`)); }
+        });
+      }
+    );
+    req.on("error", reject);
+    req.setTimeout(timeoutMs, () => { req.destroy(new Error(`${label} timeout (${timeoutMs / 1000}s)`)); });
+    req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Append an endpoint path to a base URL unless the URL already ends with it.
+ */
+function endpoint(url, path) {
+  const trimmed = url.replace(/\/+$/, "");
+  return trimmed.endsWith(path) ? trimmed : `${trimmed}${path}`;
+}
+
+/**
+ * Run `fn` over `texts` in fixed-size batches, concatenating the results.
+ * When `dim` is known, every returned vector must have that length.
+ */
+async function inBatches(texts, batchSize, dim, fn) {
+  const results = [];
+  for (let i = 0; i < texts.length; i += batchSize) {
+    const vectors = await fn(texts.slice(i, i + batchSize));
+    for (const v of vectors) {
+      if (dim && v.length !== dim) {
+        throw new Error(`Embedding dimension mismatch: expected ${dim}, got ${v.length}`);
+      }
+    }
+    results.push(...vectors);
+  }
+  return results;
+}
+
+// ─── Providers ───────────────────────────────────────────────────────────────
+
+/**
+ * Ollama /api/embed. Accepts a base URL or the full endpoint URL.
+ */
+export function createOllamaProvider({ url = DEFAULT_OLLAMA_URL, model = DEFAULT_MODEL, dim = null, batchSize = 25, timeoutMs = 15000 } = {}) {
+  const target = endpoint(url, "/api/embed");
+  return {
+    name: "ollama",
+    model,
+    dim,
+    async embed(texts) {
+      return inBatches(texts, batchSize, dim, async (batch) => {
+        // Ollama /api/embed supports array input
+        const data = await httpPost(target, { model, input: batch }, { timeoutMs, label: "Ollama embed" });
+        return data.embeddings.map((emb) => new Float32Array(emb));
+      });
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible /v1/embeddings (llama.cpp, LM Studio, vLLM, ...).
+ * Accepts a base URL, a `/v1` URL or the full endpoint URL.
+ */
+export function createOpenAIProvider({ url = DEFAULT_OPENAI_URL, model = DEFAULT_MODEL, dim = null, apiKey = null, batchSize = 25, timeoutMs = 15000 } = {}) {
+  const base = url.replace(/\/+$/, "");
+  const target = base.endsWith("/embeddings") ? base
+    : base.endsWith("/v1") ? `${base}/embeddings`
+    : `${base}/v1/embeddings`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  return {
+    name: "openai",
+    model,
+    dim,
+    async embed(texts) {
+      return inBatches(texts, batchSize, dim, async (batch) => {
+        const data = await httpPost(target, { model, input: batch }, { headers, timeoutMs, label: "OpenAI embed" });
+        // Servers may return items out of order — `index` is authoritative
+        return [...data.data]
+          .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+          .map((d) => new Float32Array(d.embedding));
+      });
+    },
+  };
+}
+
+/**
+ * FNV-1a 32-bit hash.
+ */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic offline embedder (signed feature hashing).
+ *
+ * Words and character trigrams are hashed into `dim` buckets with a hashed
+ * sign, then L2-normalized. Similar wording → similar vectors, which is
+ * enough for dedup, tests and a no-server fallback. It does not understand
+ * synonyms.
+ */
+export function createHashProvider({ dim = DEFAULT_DIM } = {}) {
+  const embedOne = (text) => {
+    const vec = new Float32Array(dim);
+    const words = (text || "").toLowerCase().match(/[\p{L}\p{N}_./-]+/gu) || [];
+    const features = [];
+    for (const w of words) {
+      features.push(`w:${w}`);
+      const padded = ` ${w} `;
+      for (let i = 0; i + 3 <= padded.length; i++) features.push(`t:${padded.slice(i, i + 3)}`);
+    }
+    for (const f of features) {
+      const h = fnv1a(f);
+      vec[h % dim] += (h & 0x80000000) ? -1 : 1;
+    }
+    let norm = 0;
+    for (let i = 0; i < dim; i++) norm += vec[i] * vec[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) for (let i = 0; i < dim; i++) vec[i] /= norm;
+    return vec;
+  };
+
+  return {
+    name: "hash",
+    model: `hash-${dim}`,
+    dim,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+const PROVIDERS = {
+  ollama: createOllamaProvider,
+  openai: createOpenAIProvider,
+  hash: createHashProvider,
+};
+
+/**
+ * Build a provider from options, falling back to HEBBIAN_EMBED_* env vars.
+ *
+ * Options: { provider, url, model, dim, apiKey, batchSize, timeoutMs }
+ */
+export function createEmbeddingProvider(options = {}) {
+  const env = process.env;
+  const name = (options.provider || env.HEBBIAN_EMBED_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}" (expected: ${Object.keys(PROVIDERS).join(", ")})`);
+  }
+
+  const dim = options.dim ?? (env.HEBBIAN_EMBED_DIM ? parseInt(env.HEBBIAN_EMBED_DIM, 10) : undefined);
+  const opts = {
+    url: options.url || env.HEBBIAN_EMBED_URL || (name === "ollama" ? env.OLLAMA_URL : undefined),
+    model: options.model || env.HEBBIAN_EMBED_MODEL,
+    apiKey: options.apiKey || env.HEBBIAN_EMBED_API_KEY,
+    dim,
+    batchSize: options.batchSize,
+    timeoutMs: options.timeoutMs,
+  };
+  // Drop unset keys so factory defaults apply
+  for (const k of Object.keys(opts)) if (opts[k] == null) delete opts[k];
+
+  return factory(opts);
+}
+
+// ─── Default provider ────────────────────────────────────────────────────────
+
+let _provider = null;
+
+/**
+ * The process-wide provider used by generateEmbeddings() when none is given.
+ * Lazily built from env on first use.
+ */
+export function getEmbeddingProvider() {
+  if (!_provider) _provider = createEmbeddingProvider();
+  return _provider;
+}
+
+/**
+ * Replace the process-wide provider (plugin config, CLI flags, tests).
+ * Accepts a provider object or options for createEmbeddingProvider().
+ */
+export function setEmbeddingProvider(providerOrOptions) {
+  _provider = typeof providerOrOptions?.embed === "function"
+    ? providerOrOptions
+    : createEmbeddingProvider(providerOrOptions);
+  return _provider;
+}
+
+export { DEFAULT_MODEL, DEFAULT_DIM };
@@ -0,0 +1,62 @@
+/**
+ * Hebbian Memory — Co-occurrence Graph
+ *
+ * Edges in co_occurrences are directed (every pairing is wired both ways)
+ * and carry a weight plus the unix second it was last updated. Weights decay
+ * exponentially with EDGE_HALF_LIFE_DAYS and, like base-level activation,
+ * are evaluated lazily: a stored weight is only the value at `updated`.
+ * Wiring an edge again decays it to now and adds the new co-occurrence.
+ *
+ * Spreading activation (getSpreadingActivation in lib/db.mjs) runs up to
+ * SPREAD_DEPTH hops, losing SPREAD_ATTENUATION per hop. A node divides its
+ * activation among its edges by weight out of its total out-weight (the fan
+ * effect), so a hub linked to everything passes on little per edge.
+ * pruneCoOccurrences() (lib/db.mjs) drops edges that decayed below
+ * PRUNE_MIN_WEIGHT and caps every node at MAX_FAN_OUT strongest edges.
+ */
+
+export const EDGE_HALF_LIFE_DAYS = 30;
+export const PRUNE_MIN_WEIGHT = 0.1; // ≈ one co-occurrence ~100 days ago; decay.pruneThreshold default
+export const MAX_FAN_OUT = 50;
+
+export const SPREAD_DEPTH = 2;
+export const SPREAD_ATTENUATION = 0.5; // activation kept per hop
+export const SPREAD_NEIGHBOURS = 20; // strongest edges followed per node
+export const SPREAD_FRONTIER = 50; // most active nodes that spread on to the next hop
+export const SPREAD_MIN = 0.001; // smaller contributions are dropped
+
+const DEGREE_BUCKETS = [1, 2, 5, 10, 25, 50, 100];
+
+/**
+ * Weight of an edge stored as `weight` at unix second `updated`, decayed
+ * to `now` (ms). Edges without a timestamp do not decay.
+ */
+export function edgeWeight(weight, updated, now = Date.now(), halfLifeDays = EDGE_HALF_LIFE_DAYS) {
+  if (!weight) return 0;
+  if (!updated) return weight;
+  const days = Math.max(now / 1000 - updated, 0) / 86400;
+  return weight * 0.5 ** (days / halfLifeDays);
+}
+
+/**
+ * Out-degrees → { min, max, mean, median, p90, buckets: { "1": n, "2-4": n, …, "100+": n } }.
+ */
+export function degreeDistribution(degrees) {
+  const sorted = [...degrees].sort((a, b) => a - b);
+  const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * q))];
+  const buckets = {};
+  DEGREE_BUCKETS.forEach((lo, i) => {
+    const hi = DEGREE_BUCKETS[i + 1];
+    const label = !hi ? `${lo}+` : hi - 1 === lo ? `${lo}` : `${lo}-${hi - 1}`;
+    buckets[label] = sorted.filter((d) => d >= lo && (!hi || d < hi)).length;
+  });
+  if (sorted.length === 0) return { min: 0, max: 0, mean: 0, median: 0, p90: 0, buckets };
+  return {
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    mean: Math.round((sorted.reduce((a, b) => a + b, 0) / sorted.length) * 100) / 100,
+    median: at(0.5),
+    p90: at(0.9),
+    buckets,
+  };
+}
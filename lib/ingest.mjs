@@ -0,0 +1,336 @@
+/**
+ * Hebbian Memory — Ingest
+ *
+ * The shared insert path for extractors. New memories are embedded in
+ * batches and each is compared with its nearest active memory in the same
+ * namespace and domain before it is written:
+ *
+ *   - same wording with a changed value — a port, path, version, model name
+ *     or other token with digits or punctuation ("port 8080" → "port 9090")
+ *     — is an updated fact. When only such values changed (at most
+ *     MAX_CHANGED) and the rest of the wording is shared (CONFIDENT_SHARED),
+ *     the older memory is deprecated with superseded_by → the newer one.
+ *     Older goes by `created`: a backfilled entry older than the memory it
+ *     updates is inserted already superseded by that memory.
+ *     Otherwise (wording changed too, or the older memory is pinned) both
+ *     stay active and the pair is queued for review in the contradictions
+ *     table (see contradictions.mjs).
+ *   - near-identical wording with the opposite meaning ("always …" /
+ *     "never …", see conflictSignals()) is a contradiction: the new memory
+ *     is kept and the pair queued for review, however similar the two are.
+ *   - with `dedupThreshold`, anything else more similar than that without a
+ *     changed value is a duplicate and skipped.
+ *
+ * Entries that cannot be embedded are inserted without these checks.
+ *
+ * saveMemory() builds one such entry from a piece of text — what `hebbian
+ * add`, the HTTP server and the agent tools use to store a memory —
+ * and saveCorrection() one that corrects another memory.
+ */
+
+import {
+  upsertMemory, deprecateMemory, markAsCorrection, embeddingText, generateEmbeddings, embeddingToBlob,
+  semanticSearch, getEmbeddingProvider, namespacedId, GLOBAL_NAMESPACE,
+} from "./db.mjs";
+import {
+  conflictSignals, queueContradiction, CONTRADICTION_SIMILARITY, CONTRADICTION_THRESHOLD,
+} from "./contradictions.mjs";
+import { extractDomainHints } from "./domains.mjs";
+
+export const SUPERSEDE_SIMILARITY = 0.8; // nearest memory at least this similar is checked for changed values
+const MIN_SHARED = 0.5; // share of tokens both texts must have in common to count as an update
+const CONFIDENT_SHARED = 0.75; // … to supersede without review
+const MAX_CHANGED = 3; // more changed values than this is a rewrite, not an update
+const NEIGHBOURS = 10;
+export const SAVE_DEDUP_THRESHOLD = 0.92; // same bar as the session extractor
+
+// A token that holds a value rather than wording: digits, paths, ports, versions,
+// model tags, snake_case / dotted / hyphenated identifiers
+const VALUE_TOKEN = /\d|\/|:\w|\w\.\w|\w_\w|\w-\w|@/;
+
+// Pattern type from wording, first match wins (cf. atomize's action patterns)
+const TYPE_PATTERNS = [
+  ["rule", /^(always|never|must|don't|do not|avoid)\b/i],
+  ["directive", /^(use|prefer|set|keep|remember|should)\b/i],
+  ["command", /^\$ |`[^`]+ [^`]+`/],
+  ["solution", /\b(fix(ed)? by|solved by|workaround|the fix is)\b/i],
+  ["bug-insight", /\b(bug|crash(es)?|breaks|fails)\b/i],
+];
+
+// ─── Value changes ───────────────────────────────────────────────────────────
+
+function tokens(text) {
+  return (text || "")
+    .split(/\s+/)
+    .map((t) => t.replace(/^[("'`[]+|[)"'`\],;.!?]+$/g, ""))
+    .filter(Boolean);
+}
+
+/**
+ * What changed from `oldText` to `newText` → { removed, added, shared, values,
+ * onlyValues }, or null when nothing was both removed and added. `values`:
+ * both sides have a changed value token; `onlyValues`: nothing else changed.
+ */
+export function valueChanges(oldText, newText) {
+  const before = tokens(oldText);
+  const after = tokens(newText);
+  const lowerBefore = new Set(before.map((t) => t.toLowerCase()));
+  const lowerAfter = new Set(after.map((t) => t.toLowerCase()));
+
+  const removed = [...new Set(before.filter((t) => !lowerAfter.has(t.toLowerCase())))];
+  const added = [...new Set(after.filter((t) => !lowerBefore.has(t.toLowerCase())))];
+  if (removed.length === 0 || added.length === 0) return null;
+
+  let shared = 0;
+  for (const t of lowerBefore) if (lowerAfter.has(t)) shared++;
+  const isValue = (t) => VALUE_TOKEN.test(t);
+  return {
+    removed,
+    added,
+    shared: shared / Math.max(lowerBefore.size, lowerAfter.size),
+    values: removed.some(isValue) && added.some(isValue),
+    onlyValues: removed.every(isValue) && added.every(isValue),
+  };
+}
+
+// ─── Ingest ──────────────────────────────────────────────────────────────────
+
+/**
+ * The nearest active memory of `entry`'s namespace and domain other than
+ * itself, among vectors from `model` → { row, similarity } or null.
+ */
+function nearestActive(db, embedding, entry, model) {
+  const getRow = db.prepare(
+    "SELECT * FROM memories WHERE id = ? AND (status = 'active' OR status IS NULL)"
+  );
+  const namespace = entry.namespace || GLOBAL_NAMESPACE;
+  for (const hit of semanticSearch(db, embedding, NEIGHBOURS, { model })) {
+    if (hit.id === entry.id) continue;
+    const row = getRow.get(hit.id);
+    if (row && row.namespace === namespace && (row.domain || null) === (entry.domain || null)) {
+      return { row, similarity: hit.similarity };
+    }
+  }
+  return null;
+}
+
+/**
+ * Insert extracted memories (upsertMemory() records) through the duplicate and
+ * supersession checks, in order — later entries are checked against earlier
+ * ones too. Entries without a namespace of their own go into `namespace`
+ * (default: global). `onProgress(done, total)` is called after each
+ * embedding batch.
+ * Returns { added: [id], duplicates: [{ id, of, similarity }],
+ * superseded: [{ id, old, similarity, removed, added }] (id: the newer one),
+ * queued: [{ id, old, similarity, removed, added, evidence }], unembedded }.
+ */
+export async function ingestMemories(db, entries, {
+  dedupThreshold = null,
+  batchSize = 25,
+  provider = getEmbeddingProvider(),
+  namespace = GLOBAL_NAMESPACE,
+  onProgress,
+} = {}) {
+  const result = { added: [], duplicates: [], superseded: [], queued: [], unembedded: 0 };
+  entries = entries.map((entry) => (entry.namespace ? entry : { ...entry, namespace }));
+
+  for (let i = 0; i < entries.length; i += batchSize) {
+    const batch = entries.slice(i, i + batchSize);
+    let embeddings = null;
+    try {
+      embeddings = await generateEmbeddings(batch.map((e) => embeddingText(e)), provider);
+    } catch {
+      // Embedder down: insert as-is, reembed / embed-missing fills the vectors later
+    }
+
+    batch.forEach((entry, j) => {
+      const embedding = embeddings?.[j];
+      if (!embedding) {
+        upsertMemory(db, entry);
+        result.added.push(entry.id);
+        result.unembedded++;
+        return;
+      }
+
+      const near = nearestActive(db, embedding, entry, provider.model);
+      const text = entry.detail || entry.title;
+      const change = near && near.similarity >= SUPERSEDE_SIMILARITY
+        ? valueChanges(near.row.detail || near.row.title, text)
+        : null;
+      const updated = change?.values && change.shared >= MIN_SHARED;
+      // Checked before dedup: the opposite of a memory is never its duplicate
+      const conflict = !updated && near && near.similarity >= CONTRADICTION_SIMILARITY
+        ? conflictSignals(near.row.detail || near.row.title, text)
+        : null;
+      const contradicts = conflict !== null && conflict.score >= CONTRADICTION_THRESHOLD;
+
+      if (!updated && !contradicts && dedupThreshold !== null && near && near.similarity > dedupThreshold) {
+        result.duplicates.push({ id: entry.id, of: near.row.id, similarity: near.similarity });
+        return;
+      }
+
+      upsertMemory(db, { ...entry, embedding: embeddingToBlob(embedding), embedding_model: provider.model });
+      result.added.push(entry.id);
+      if (contradicts) {
+        queueContradiction(db, {
+          memoryA: near.row.id,
+          memoryB: entry.id,
+          score: conflict.score,
+          similarity: near.similarity,
+          signals: conflict.signals,
+          evidence: conflict.evidence,
+        });
+        const diff = valueChanges(near.row.detail || near.row.title, text);
+        result.queued.push({
+          id: entry.id, old: near.row.id, similarity: near.similarity,
+          removed: diff?.removed ?? [], added: diff?.added ?? [], evidence: conflict.evidence,
+        });
+        return;
+      }
+      if (!updated) return;
+
+      const update = {
+        id: entry.id, old: near.row.id, similarity: near.similarity, removed: change.removed, added: change.added,
+      };
+      // A pinned memory is only replaced after review
+      const confident = change.onlyValues && change.removed.length <= MAX_CHANGED &&
+        change.shared >= CONFIDENT_SHARED && !near.row.pinned;
+      if (confident && Date.parse(entry.created) < Date.parse(near.row.created)) {
+        deprecateMemory(db, entry.id, near.row.id);
+        result.superseded.push({ ...update, id: near.row.id, old: entry.id, removed: change.added, added: change.removed });
+      } else if (confident) {
+        deprecateMemory(db, near.row.id, entry.id);
+        result.superseded.push(update);
+      } else {
+        const signals = conflictSignals(near.row.detail || near.row.title, text);
+        const evidence = [`updated: ${change.removed.join(" ")} → ${change.added.join(" ")}`, ...signals.evidence];
+        queueContradiction(db, {
+          memoryA: near.row.id,
+          memoryB: entry.id,
+          score: Math.max(signals.score, 0.5),
+          similarity: near.similarity,
+          signals: signals.signals,
+          evidence,
+        });
+        result.queued.push({ ...update, evidence });
+      }
+    });
+    onProgress?.(Math.min(i + batchSize, entries.length), entries.length);
+  }
+  return result;
+}
+
+// ─── Save ────────────────────────────────────────────────────────────────────
+
+/**
+ * Simple content hash for change detection (and stable memory ids).
+ */
+export function hashContent(content) {
+  let hash = 0;
+  for (let i = 0; i < content.length; i++) {
+    const char = content.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash;
+  }
+  return hash.toString(16);
+}
+
+/** The pattern type a memory's wording suggests: rule, directive, command, solution, bug-insight or fact. */
+export function inferPatternType(text) {
+  const trimmed = (text || "").trim();
+  return TYPE_PATTERNS.find(([, pattern]) => pattern.test(trimmed))?.[0] ?? "fact";
+}
+
+/**
+ * Store one memory from its text. The domain defaults to the first domain
+ * hint in the text (else "general"), the type to inferPatternType(), the id to
+ * `<domain>:manual:<hash>` (qualified for `namespace`, see namespacedId()).
+ * Goes through ingestMemories(), so a near
+ * duplicate is skipped, an updated fact supersedes (or is queued against)
+ * the memory it updates, and a contradiction is saved and queued against
+ * the memory it contradicts (queuedWith). Returns { id, namespace, added, domain, type,
+ * duplicateOf, supersedes, queuedWith, embedded }.
+ */
+export async function saveMemory(db, {
+  detail,
+  title = null,
+  domain = null,
+  type = null,
+  tags = [],
+  source = "manual",
+  id = null,
+  namespace = GLOBAL_NAMESPACE,
+  dedupThreshold = SAVE_DEDUP_THRESHOLD,
+} = {}) {
+  detail = (detail || "").trim();
+  if (!detail) throw new Error("a memory needs text");
+
+  domain = domain || extractDomainHints(detail)[0] || "general";
+  type = type || inferPatternType(detail);
+  id = id || namespacedId(namespace, `${domain}:manual:${hashContent(detail)}`);
+  if (db.prepare("SELECT 1 FROM memories WHERE id = ?").get(id)) {
+    return { id, namespace, added: false, domain, type, duplicateOf: id, supersedes: null, queuedWith: null, embedded: false };
+  }
+
+  const now = new Date().toISOString();
+  const result = await ingestMemories(db, [{
+    id,
+    title: title || detail.slice(0, 120),
+    source,
+    source_section: `${domain}/${source}`,
+    created: now,
+    last_retrieved: now,
+    retrieval_count: 1,
+    content_hash: hashContent(detail),
+    activation: 0.5,
+    detail,
+    domain,
+    pattern_type: type,
+    tags: [...new Set([domain, type, ...tags])],
+    namespace,
+  }], { dedupThreshold });
+
+  return {
+    id,
+    namespace,
+    added: result.added.length > 0,
+    domain,
+    type,
+    duplicateOf: result.duplicates[0]?.of ?? null,
+    supersedes: result.superseded.find((u) => u.id === id)?.old ?? null,
+    queuedWith: result.queued[0]?.old ?? null,
+    embedded: result.added.length > 0 && result.unembedded === 0,
+  };
+}
+
+/**
+ * Record that memory `id` is wrong: `text` is saved as a new memory in its
+ * namespace, domain and type (kept even when near-identical), or
+ * `correctionId` names an existing one. Retrieval then shows the correction with — or instead
+ * of — the wrong memory. Returns { id, correction, saved }.
+ */
+export async function saveCorrection(db, id, { text = null, correctionId = null, source = "manual" } = {}) {
+  const wrong = db.prepare("SELECT id, domain, pattern_type, namespace FROM memories WHERE id = ?").get(id);
+  if (!wrong) throw new Error(`Memory not found: ${id}`);
+
+  let saved = null;
+  if (correctionId) {
+    if (!db.prepare("SELECT 1 FROM memories WHERE id = ?").get(correctionId)) {
+      throw new Error(`Memory not found: ${correctionId}`);
+    }
+  } else {
+    if (!text?.trim()) throw new Error("a correction needs its text or an existing memory");
+    saved = await saveMemory(db, {
+      detail: text,
+      domain: wrong.domain,
+      type: wrong.pattern_type,
+      namespace: wrong.namespace,
+      source,
+      dedupThreshold: null,
+    });
+    correctionId = saved.id;
+  }
+  if (correctionId === id) throw new Error("a memory cannot correct itself");
+  markAsCorrection(db, correctionId, id);
+  return { id, correction: correctionId, saved };
+}
@@ -0,0 +1,350 @@
+/**
+ * Hebbian Memory — MCP server
+ *
+ * The memory store as a Model Context Protocol server over stdio
+ * (`hebbian mcp`): newline-delimited JSON-RPC 2.0 on stdin/stdout, no SDK and
+ * no network. Searches still rank by BM25 when no embedder is reachable, and
+ * memories saved then are embedded later by `hebbian embed`.
+ *
+ * Tools:
+ *   memory_search   ranked search with optional domain / type / tag filters
+ *   memory_save     store a memory (deduplicated, supersedes updated facts)
+ *   memory_correct  record that a memory is wrong, with the right version
+ *   memory_forget   deprecate a memory (kept for history, no longer retrieved)
+ *   memory_stats    store statistics
+ *
+ * Resources:
+ *   hebbian://domains/<domain>   top patterns of a domain by activation
+ *
+ * With a namespace, searches and resources see that namespace plus the
+ * global one, and memories are saved into it; memory_correct and
+ * memory_forget only change the namespace's own memories.
+ */
+
+import { readFileSync } from "node:fs";
+import { createInterface } from "node:readline";
+import {
+  getStats, deprecateMemory, markAsCorrection, namespaceScope, inNamespaceScope, BASE_LEVEL_SQL, GLOBAL_NAMESPACE,
+} from "./db.mjs";
+import { saveMemory, saveCorrection } from "./ingest.mjs";
+import { searchMemories } from "./search.mjs";
+
+export const PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const SERVER_VERSION = JSON.parse(readFileSync(new URL("../package.json", import.meta.url), "utf-8")).version;
+const RESOURCE_PREFIX = "hebbian://domains/";
+const TOP_PER_DOMAIN = 20;
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+function rpcError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+// ─── Tools ───────────────────────────────────────────────────────────────────
+
+const TOOLS = [
+  {
+    name: "memory_search",
+    description:
+      "Search long-term memory for rules, facts and procedures relevant to a task. " +
+      "Returns the best matches with their ids (for memory_correct / memory_forget).",
+    inputSchema: {
+      type: "object",
+      properties: {
+        query: { type: "string", description: "What you need to know" },
+        domain: { type: "string", description: "Only this domain" },
+        type: { type: "string", description: "Only this pattern type (rule, fact, procedure, …)" },
+        tag: { type: "string", description: "Only memories with this tag" },
+        limit: { type: "integer", minimum: 1, maximum: 50, description: "Max results (default 10)" },
+      },
+      required: ["query"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "memory_save",
+    description:
+      "Save something worth remembering across sessions: a rule, a fact, a fix that worked. " +
+      "One self-contained statement per call. Near-duplicates are skipped; an updated value " +
+      "(a new port, path, version) replaces the old memory; a statement that contradicts a stored " +
+      "one is kept and both are queued for review.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        text: { type: "string", description: "The memory, self-contained" },
+        title: { type: "string", description: "Short title (default: start of the text)" },
+        domain: { type: "string", description: "Domain (default: inferred from the text)" },
+        type: { type: "string", description: "Pattern type (default: inferred from the wording, else fact)" },
+        tags: { type: "array", items: { type: "string" } },
+      },
+      required: ["text"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "memory_correct",
+    description:
+      "Correct a memory that is wrong: give its id and the right information as text " +
+      "(saved as a new memory), or the id of a memory that already has it. The correction " +
+      "is shown alongside the wrong memory whenever that one is retrieved.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The wrong memory's id" },
+        text: { type: "string", description: "The correct information" },
+        correction_id: { type: "string", description: "Instead of text: an existing memory that is right" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "memory_forget",
+    description:
+      "Stop retrieving a memory that is obsolete. It is deprecated, not deleted; " +
+      "with superseded_by, searches that match it return the newer memory instead.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        id: { type: "string", description: "The memory's id" },
+        superseded_by: { type: "string", description: "Id of the memory that replaces it" },
+      },
+      required: ["id"],
+      additionalProperties: false,
+    },
+  },
+  {
+    name: "memory_stats",
+    description: "Size of the memory store: memories per domain, associations, embeddings.",
+    inputSchema: { type: "object", properties: {}, additionalProperties: false },
+  },
+];
+
+function requireString(args, key) {
+  const value = args[key];
+  if (typeof value !== "string" || !value.trim()) throw new Error(`"${key}" is required`);
+  return value.trim();
+}
+
+/** The memory `id`; with `namespace`, one of that namespace's own (or, with `global`, a global one). */
+function requireMemory(db, id, namespace = null, { global = false } = {}) {
+  const row = db.prepare(
+    "SELECT id, title, detail, domain, pattern_type, status, namespace FROM memories WHERE id = ?"
+  ).get(id);
+  if (!row) throw new Error(`Memory not found: ${id}`);
+  if (!inNamespaceScope(row.namespace, namespace, { global })) {
+    throw new Error(`Memory ${id} is in namespace "${row.namespace}", not "${namespace}"`);
+  }
+  return row;
+}
+
+const line = (m) => `[${m.domain}/${m.pattern_type}] ${m.detail || m.title}`;
+
+async function memorySearch(db, args, { namespace, retrieveOptions }) {
+  const query = requireString(args, "query");
+  const limit = Number.isInteger(args.limit) && args.limit > 0 ? Math.min(args.limit, 50) : 10;
+  const found = await searchMemories(db, query, {
+    filter: { domain: args.domain, type: args.type, tag: args.tag },
+    limit,
+    namespace,
+    retrieveOptions,
+  });
+  if (found.results.length === 0) return `No memories found for "${query}".`;
+  const lines = found.results.map((r) => {
+    const correction = r.correction ? `\n   ⚠️ corrected: ${r.correction.detail || r.correction.title}` : "";
+    return `${r.rank}. ${line(r)}\n   id: ${r.id}${correction}`;
+  });
+  return `${found.warning ? `(${found.warning})\n` : ""}${lines.join("\n")}`;
+}
+
+async function memorySave(db, args, { namespace }) {
+  const r = await saveMemory(db, {
+    detail: requireString(args, "text"),
+    title: args.title || null,
+    domain: args.domain || null,
+    type: args.type || null,
+    tags: Array.isArray(args.tags) ? args.tags.map(String) : [],
+    source: "mcp",
+    namespace: namespace || GLOBAL_NAMESPACE,
+  });
+  if (!r.added) return `Not saved — already remembered as ${r.duplicateOf}.`;
+  let text = `Saved ${r.id} [${r.domain}/${r.type}].`;
+  if (r.supersedes) text += ` It replaces ${r.supersedes}.`;
+  if (r.queuedWith) text += ` It may contradict ${r.queuedWith}; queued for review.`;
+  return text;
+}
+
+async function memoryCorrect(db, args, { namespace }) {
+  const id = requireMemory(db, requireString(args, "id"), namespace).id;
+  const correctionId = args.correction_id?.trim() || null;
+  if (correctionId) requireMemory(db, correctionId, namespace);
+  const r = await saveCorrection(db, id, {
+    text: args.text,
+    correctionId,
+    source: "mcp",
+  });
+  return `Recorded ${r.correction} as the correction of ${r.id}.`;
+}
+
+function memoryForget(db, args, { namespace }) {
+  const id = requireString(args, "id");
+  requireMemory(db, id, namespace);
+  const newer = args.superseded_by?.trim() || null;
+  if (newer) requireMemory(db, newer, namespace, { global: true });
+  deprecateMemory(db, id, newer);
+  return newer ? `Deprecated ${id}, superseded by ${newer}.` : `Deprecated ${id}.`;
+}
+
+function memoryStats(db) {
+  const stats = getStats(db);
+  const count = (where) => db.prepare(`SELECT COUNT(*) AS cnt FROM memories WHERE ${where}`).get().cnt;
+  const domains = stats.domains.map((d) => `  ${d.domain || "(none)"}: ${d.cnt}`).join("\n");
+  return [
+    `Memories: ${stats.total} (${count("status = 'deprecated'")} deprecated, ${count("embedding IS NOT NULL")} embedded)`,
+    `Associations: ${stats.coOccurrences}`,
+    `Domains:\n${domains || "  (none)"}`,
+  ].join("\n");
+}
+
+const HANDLERS = {
+  memory_search: memorySearch,
+  memory_save: memorySave,
+  memory_correct: memoryCorrect,
+  memory_forget: memoryForget,
+  memory_stats: memoryStats,
+};
+
+// ─── Resources ───────────────────────────────────────────────────────────────
+
+// Rows of the namespaces visible from `namespace` (all without one)
+const IN_SCOPE = "(? IS NULL OR namespace IN (SELECT value FROM json_each(?)))";
+const scopeParams = (namespace) => {
+  const scope = namespaceScope(namespace);
+  return Array(2).fill(scope ? JSON.stringify(scope) : null);
+};
+
+function listResources(db, { namespace }) {
+  return db.prepare(`
+    SELECT domain, COUNT(*) AS cnt FROM memories
+    WHERE domain IS NOT NULL AND (status = 'active' OR status IS NULL) AND ${IN_SCOPE}
+    GROUP BY domain ORDER BY cnt DESC
+  `).all(...scopeParams(namespace)).map((d) => ({
+    uri: `${RESOURCE_PREFIX}${encodeURIComponent(d.domain)}`,
+    name: `${d.domain} — top patterns`,
+    description: `The ${Math.min(d.cnt, TOP_PER_DOMAIN)} most active of ${d.cnt} memories in ${d.domain}`,
+    mimeType: "text/markdown",
+  }));
+}
+
+function readResource(db, uri, { namespace }) {
+  if (!uri?.startsWith(RESOURCE_PREFIX)) throw rpcError(INVALID_PARAMS, `Unknown resource: ${uri}`);
+  const domain = decodeURIComponent(uri.slice(RESOURCE_PREFIX.length));
+  const rows = db.prepare(`
+    SELECT id, title, detail, domain, pattern_type, ${BASE_LEVEL_SQL} AS activation
+    FROM memories
+    WHERE domain = ? AND (status = 'active' OR status IS NULL) AND ${IN_SCOPE}
+    ORDER BY activation DESC
+    LIMIT ?
+  `).all(domain, ...scopeParams(namespace), TOP_PER_DOMAIN);
+  if (rows.length === 0) throw rpcError(INVALID_PARAMS, `Unknown resource: ${uri}`);
+
+  const text = [`# ${domain} — top patterns by activation`, ""]
+    .concat(rows.map((r) => `- ${line(r)} (${r.id})`))
+    .join("\n");
+  return { contents: [{ uri, mimeType: "text/markdown", text }] };
+}
+
+// ─── Protocol ────────────────────────────────────────────────────────────────
+
+/**
+ * A JSON-RPC handler for the MCP methods on `db` → handle(message) resolving
+ * to the response, or null for notifications. `namespace` scopes the tools
+ * and resources (null: every memory, saves go to global); `retrieveOptions`
+ * are the scoring settings memory_search passes to retrieve().
+ */
+export function createMcpHandler(db, {
+  name = "hebbian-memory",
+  version = SERVER_VERSION,
+  namespace = null,
+  retrieveOptions = {},
+} = {}) {
+  const ctx = { namespace, retrieveOptions };
+  const methods = {
+    initialize: (params) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(params?.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSIONS[0],
+      capabilities: { tools: {}, resources: {} },
+      serverInfo: { name, version },
+      instructions:
+        "Long-term memory shared across sessions. Search it before starting a task, " +
+        "save what you learn, and correct or forget memories that turn out to be wrong.",
+    }),
+    ping: () => ({}),
+    "tools/list": () => ({ tools: TOOLS }),
+    "tools/call": async (params) => {
+      const handler = HANDLERS[params?.name];
+      if (!handler) throw rpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+      try {
+        const text = await handler(db, params.arguments ?? {}, ctx);
+        return { content: [{ type: "text", text }] };
+      } catch (err) {
+        // Tool failures go to the model, not the client
+        return { content: [{ type: "text", text: `${params.name} failed: ${err.message}` }], isError: true };
+      }
+    },
+    "resources/list": () => ({ resources: listResources(db, ctx) }),
+    "resources/templates/list": () => ({
+      resourceTemplates: [{
+        uriTemplate: `${RESOURCE_PREFIX}{domain}`,
+        name: "Top patterns of a domain",
+        mimeType: "text/markdown",
+      }],
+    }),
+    "resources/read": (params) => readResource(db, params?.uri, ctx),
+  };
+
+  return async function handle(message) {
+    const isRequest = message && message.id !== undefined && message.id !== null;
+    try {
+      if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+        throw rpcError(INVALID_REQUEST, "Invalid JSON-RPC request");
+      }
+      const method = methods[message.method];
+      if (!isRequest) return null; // notifications (initialized, cancelled, …) need no answer
+      if (!method) throw rpcError(METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+      return { jsonrpc: "2.0", id: message.id, result: await method(message.params) };
+    } catch (err) {
+      if (!isRequest && err.code !== INVALID_REQUEST) return null;
+      return { jsonrpc: "2.0", id: message?.id ?? null, error: { code: err.code ?? INTERNAL_ERROR, message: err.message } };
+    }
+  };
+}
+
+/**
+ * Serve `handle` over newline-delimited JSON on `input` / `output`, one
+ * message at a time. Resolves when the input ends.
+ */
+export function serveStdio(handle, { input = process.stdin, output = process.stdout } = {}) {
+  const lines = createInterface({ input, crlfDelay: Infinity });
+  let queue = Promise.resolve();
+  const reply = (response) => response && output.write(`${JSON.stringify(response)}\n`);
+
+  lines.on("line", (text) => {
+    if (!text.trim()) return;
+    queue = queue.then(async () => {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (err) {
+        reply({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: `Parse error: ${err.message}` } });
+        return;
+      }
+      reply(await handle(message));
+    });
+  });
+  return new Promise((resolve) => lines.once("close", () => queue.then(resolve)));
+}
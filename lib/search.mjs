@@ -0,0 +1,104 @@
+/**
+ * Hebbian Memory — Search
+ *
+ * Query-text search with the plugin's retrieval: the query is embedded, fused
+ * with BM25 and scored with activation, domain hints, type bonuses and
+ * penalties. Read-only — nothing is bumped or logged. Shared by `hebbian
+ * search`, the HTTP server and the agent tools.
+ */
+
+import { retrieve, generateEmbeddings } from "./db.mjs";
+import { extractDomainHints } from "./domains.mjs";
+
+const DURATION = { m: 60_000, h: 3_600_000, d: 86_400_000, w: 604_800_000 };
+const FILTER_KEYS = ["domain", "type", "status", "tag", "since"];
+
+/** An ISO date or a duration back from now (30m, 12h, 7d, 4w) → ISO string. */
+export function parseSince(value) {
+  const duration = /^(\d+)([mhdw])$/.exec(value);
+  const date = duration ? new Date(Date.now() - duration[1] * DURATION[duration[2]]) : new Date(value);
+  if (isNaN(date)) throw new Error(`since: expected an ISO date or a duration like 7d, got "${value}"`);
+  return date.toISOString();
+}
+
+/**
+ * Search for `query` → { query, namespace, filter, warning?, mode?, candidates?,
+ * results, rejected? }. `filter` takes { domain, type, status, tag, since }
+ * (since as for parseSince); status "deprecated" implies
+ * `includeDeprecated`. `namespace` scopes the search like retrieve() does:
+ * that namespace plus, unless `includeGlobal` is false, the global one.
+ * `retrieveOptions` pass scoring settings (weights, minSimilarity) on to
+ * retrieve(). Without an embedding (embedder down) BM25 alone ranks and
+ * `warning` says so. `explain` adds the score breakdown, the retrieval mode and the
+ * rejected candidates.
+ */
+export async function searchMemories(db, query, {
+  filter = null,
+  limit = 20,
+  tokenBudget = 2000,
+  includeDeprecated = false,
+  namespace = null,
+  includeGlobal = true,
+  retrieveOptions = {},
+  explain = false,
+} = {}) {
+  query = (query || "").trim();
+  if (!query) throw new Error("search needs a query");
+
+  const set = Object.fromEntries(FILTER_KEYS.filter((k) => filter?.[k]).map((k) => [k, filter[k]]));
+  if (set.since) set.since = parseSince(set.since);
+  const filtered = Object.keys(set).length > 0;
+
+  let queryEmbedding = null;
+  let warning = null;
+  try {
+    [queryEmbedding] = await generateEmbeddings([query.slice(0, 512)]);
+  } catch (err) {
+    warning = `Embedding failed (${err.message}) — lexical search only`;
+  }
+
+  const found = retrieve(db, {
+    ...retrieveOptions,
+    queryEmbedding,
+    queryText: query.slice(0, 2000),
+    domains: extractDomainHints(query),
+    limit,
+    tokenBudget,
+    filter: filtered ? set : null,
+    includeDeprecated: includeDeprecated || set.status === "deprecated",
+    namespace,
+    includeGlobal,
+    // Filters and namespaces apply to the matches, so look at more of them
+    ...(filtered || namespace ? { annCandidates: 1000, lexicalCandidates: 200 } : {}),
+    explain,
+  });
+
+  const results = (explain ? found.results : found).map((r, i) => ({
+    rank: i + 1,
+    id: r.id,
+    title: r.title,
+    detail: r.detail,
+    domain: r.domain,
+    namespace: r.namespace,
+    pattern_type: r.pattern_type,
+    status: r.status || "active",
+    created: r.created,
+    similarity: r.spreadingActivation ? r.spreadSimilarity ?? null : r.semanticSim ?? null,
+    activation: r.probability ?? null,
+    baseLevel: r.baseLevel ?? null,
+    score: r.score,
+    ...(r.spreadingActivation ? { spread: { boost: r.spreadBoost, path: r.spreadPath } } : {}),
+    ...(r.supersedes ? { supersedes: r.supersedes } : {}),
+    ...(r.correction ? { correction: r.correction } : {}),
+    ...(r.explain ? { explain: r.explain } : {}),
+  }));
+  return {
+    query,
+    namespace,
+    filter: filtered ? set : null,
+    ...(warning ? { warning } : {}),
+    ...(explain ? { mode: found.mode, candidates: found.candidates } : {}),
+    results,
+    ...(explain ? { rejected: found.rejected } : {}),
+  };
+}
@@ -0,0 +1,323 @@
+/**
+ * Hebbian Memory — HTTP API
+ *
+ * JSON over node:http for agents outside OpenClaw (`hebbian serve`). One
+ * process owns the database handle; every agent talks to it.
+ *
+ *   GET  /health      liveness, schema version, embedder  (no token needed)
+ *   GET  /stats       store statistics
+ *   POST /retrieve    { query, limit?, budget?, session?, credit?, namespace? } — what
+ *                     the plugin injects: ranks, credits the memories (activation,
+ *                     co-occurrences) and logs the retrieval for /feedback
+ *   POST /search      { query, filter?, limit?, budget?, includeDeprecated?, explain?, namespace? } — read-only
+ *   POST /add         { detail, title?, domain?, type?, tags?, source?, id?, namespace? }
+ *   POST /feedback    { id, verdict, retrievalId?, session?, note?, namespace? }
+ *   POST /deprecate   { id, supersededBy?, namespace?, global? }
+ *   POST /correct     { correction, corrected, namespace?, global? }
+ *
+ * Writes run one at a time in arrival order: an add is embedded and checked
+ * against the store before the next write starts, so concurrent agents
+ * cannot insert the same memory twice. Reads are not queued. With a `token`,
+ * requests need `Authorization: Bearer <token>`.
+ *
+ * `namespace` scopes a request to one agent or project (plus the global
+ * namespace, see retrieve()); without it the server's default applies. A
+ * scoped /feedback, /deprecate or /correct only acts on the namespace's own
+ * memories — global ones too for feedback, and for the others with
+ * `global: true`.
+ *
+ * Errors are { "error": message } with 400 (bad request), 401, 403 (memory in
+ * another namespace), 404 (route or memory), 405, 413 (body over MAX_BODY) or
+ * 500.
+ */
+
+import { createServer } from "node:http";
+import { timingSafeEqual } from "node:crypto";
+import {
+  retrieve, generateEmbeddings, bumpActivations, wireCoOccurrences, logRetrieval, recordFeedback,
+  deprecateMemory, markAsCorrection, getStats, migrationStatus, getEmbeddingProvider, FEEDBACK_KINDS,
+  checkNamespace, inNamespaceScope, GLOBAL_NAMESPACE,
+} from "./db.mjs";
+import { extractDomainHints } from "./domains.mjs";
+import { saveMemory } from "./ingest.mjs";
+import { searchMemories } from "./search.mjs";
+
+export const DEFAULT_HOST = "127.0.0.1";
+export const DEFAULT_PORT = 7411;
+const MAX_BODY = 1_000_000; // bytes
+
+function httpError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+// ─── Plumbing ────────────────────────────────────────────────────────────────
+
+/** Run async tasks one after another → enqueue(task) resolving to its result. */
+function createQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        // Discard the rest; the handler answers and then closes the connection
+        req.off("data", onData);
+        req.resume();
+        reject(httpError(413, `body over ${MAX_BODY} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => {
+      if (size > MAX_BODY) return;
+      const text = Buffer.concat(chunks).toString("utf-8").trim();
+      if (!text) return resolve({});
+      try {
+        const body = JSON.parse(text);
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error("expected a JSON object");
+        resolve(body);
+      } catch (err) {
+        reject(httpError(400, `invalid JSON body: ${err.message}`));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(json) });
+  res.end(json);
+}
+
+function authorized(req, token) {
+  if (!token) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!match) return false;
+  const given = Buffer.from(match[1].trim());
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function requireString(body, key) {
+  const value = body[key];
+  if (typeof value !== "string" || !value.trim()) throw httpError(400, `"${key}" is required`);
+  return value.trim();
+}
+
+function optionalInt(body, key, fallback) {
+  if (body[key] === undefined || body[key] === null) return fallback;
+  const n = Number(body[key]);
+  if (!Number.isInteger(n) || n <= 0) throw httpError(400, `"${key}" must be a positive integer`);
+  return n;
+}
+
+function optionalNamespace(body, fallback) {
+  if (body.namespace === undefined || body.namespace === null) return fallback;
+  try {
+    return checkNamespace(body.namespace);
+  } catch (err) {
+    throw httpError(400, err.message);
+  }
+}
+
+/** The memory `id`, which a request scoped to `namespace` must be allowed to change (inNamespaceScope). */
+function requireMemory(db, id, namespace = null, { global = false } = {}) {
+  const row = db.prepare(
+    "SELECT id, title, detail, domain, pattern_type, status, namespace FROM memories WHERE id = ?"
+  ).get(id);
+  if (!row) throw httpError(404, `Memory not found: ${id}`);
+  if (!inNamespaceScope(row.namespace, namespace, { global })) {
+    throw httpError(403, `Memory ${id} is in namespace "${row.namespace}", not "${namespace}"`);
+  }
+  return row;
+}
+
+// ─── Server ──────────────────────────────────────────────────────────────────
+
+/**
+ * An http.Server serving the API on `db` (not listening yet). `token`: the
+ * bearer token, or null for none. `retrieveOptions` are passed to retrieve()
+ * for /retrieve and /search (weights, minSimilarity, fusion, spreadDepth, …);
+ * `limit` and `tokenBudget` are the /retrieve defaults. `crossDomainRate` /
+ * `crossDomainGate` shape the co-occurrence edges it wires. `namespace` is
+ * the default for requests without one (null: retrieve across all, add to
+ * global).
+ */
+export function createMemoryServer(db, {
+  token = null,
+  namespace = null,
+  retrieveOptions = {},
+  limit = 30,
+  tokenBudget = 800,
+  crossDomainRate = 0.25,
+  crossDomainGate = null,
+} = {}) {
+  const enqueue = createQueue();
+
+  const routes = {
+    "GET /health": async () => {
+      const provider = getEmbeddingProvider();
+      return { status: "ok", schema: migrationStatus(db).current, embedder: `${provider.name}/${provider.model}` };
+    },
+
+    "GET /stats": async () => {
+      const count = (where) => db.prepare(`SELECT COUNT(*) AS cnt FROM memories WHERE ${where}`).get().cnt;
+      return {
+        ...getStats(db),
+        deprecated: count("status = 'deprecated'"),
+        withEmbeddings: count("embedding IS NOT NULL"),
+      };
+    },
+
+    "POST /retrieve": async (body) => {
+      const query = requireString(body, "query");
+      const maxEntries = optionalInt(body, "limit", limit);
+      const maxTokens = optionalInt(body, "budget", tokenBudget);
+      const session = typeof body.session === "string" ? body.session : null;
+      const scope = optionalNamespace(body, namespace);
+
+      // Embedded outside the write queue
+      let queryEmbedding = null;
+      try {
+        [queryEmbedding] = await generateEmbeddings([query.slice(0, 512)]);
+      } catch {
+        // Embedder down: BM25 alone ranks
+      }
+
+      return enqueue(() => {
+        const results = retrieve(db, {
+          ...retrieveOptions,
+          queryEmbedding,
+          queryText: query.slice(0, 2000),
+          domains: extractDomainHints(query),
+          limit: maxEntries,
+          tokenBudget: maxTokens,
+          namespace: scope,
+        });
+        const ids = results.map((e) => e.id);
+        if (body.credit !== false && ids.length > 0) {
+          const credited = results.filter((e) => e.domain && e.pattern_type).map((e) => e.id).slice(0, 20);
+          bumpActivations(db, credited, 0.5);
+          wireCoOccurrences(db, credited, { crossDomainRate, crossDomainGate, namespace: scope || GLOBAL_NAMESPACE });
+        }
+        const retrievalId = ids.length > 0 ? logRetrieval(db, ids, { session, namespace: scope || GLOBAL_NAMESPACE }) : null;
+        return {
+          retrievalId,
+          embedded: Boolean(queryEmbedding),
+          results: results.map((e) => ({
+            id: e.id,
+            title: e.title,
+            detail: e.detail,
+            domain: e.domain,
+            namespace: e.namespace,
+            pattern_type: e.pattern_type,
+            score: e.score,
+            ...(e.correction ? { correction: e.correction } : {}),
+          })),
+        };
+      });
+    },
+
+    "POST /search": async (body) => {
+      const query = requireString(body, "query");
+      try {
+        return await searchMemories(db, query, {
+          filter: body.filter && typeof body.filter === "object" ? body.filter : null,
+          limit: optionalInt(body, "limit", 20),
+          tokenBudget: optionalInt(body, "budget", 2000),
+          includeDeprecated: Boolean(body.includeDeprecated),
+          namespace: optionalNamespace(body, namespace),
+          retrieveOptions,
+          explain: Boolean(body.explain),
+        });
+      } catch (err) {
+        throw err.status ? err : httpError(400, err.message);
+      }
+    },
+
+    "POST /add": async (body) => {
+      const detail = requireString(body, "detail");
+      if (body.tags !== undefined && !Array.isArray(body.tags)) throw httpError(400, '"tags" must be an array');
+      const target = optionalNamespace(body, namespace);
+      return enqueue(() => saveMemory(db, {
+        detail,
+        title: body.title || null,
+        domain: body.domain || null,
+        type: body.type || null,
+        tags: (body.tags || []).map(String),
+        source: body.source || "api",
+        id: body.id || null,
+        namespace: target || GLOBAL_NAMESPACE,
+      }));
+    },
+
+    "POST /feedback": async (body) => {
+      const id = requireString(body, "id");
+      const verdict = requireString(body, "verdict");
+      if (!FEEDBACK_KINDS.includes(verdict)) throw httpError(400, `"verdict" must be one of: ${FEEDBACK_KINDS.join(", ")}`);
+      const scope = optionalNamespace(body, namespace);
+      return enqueue(() => {
+        requireMemory(db, id, scope, { global: true }); // global memories are retrieved in every namespace
+        return recordFeedback(db, id, verdict, {
+          retrievalId: body.retrievalId ?? null,
+          session: body.session ?? null,
+          note: body.note ?? null,
+        });
+      });
+    },
+
+    "POST /deprecate": async (body) => {
+      const id = requireString(body, "id");
+      const newId = body.supersededBy ? String(body.supersededBy) : null;
+      const scope = optionalNamespace(body, namespace);
+      return enqueue(() => {
+        const deprecated = requireMemory(db, id, scope, { global: body.global === true });
+        const supersededBy = newId ? requireMemory(db, newId, scope, { global: true }) : null;
+        deprecateMemory(db, id, newId);
+        return { deprecated: { ...deprecated, status: "deprecated" }, supersededBy };
+      });
+    },
+
+    "POST /correct": async (body) => {
+      const correctionId = requireString(body, "correction");
+      const correctedId = requireString(body, "corrected");
+      const scope = optionalNamespace(body, namespace);
+      return enqueue(() => {
+        const correction = requireMemory(db, correctionId, scope, { global: body.global === true });
+        const corrected = requireMemory(db, correctedId, scope, { global: body.global === true });
+        markAsCorrection(db, correctionId, correctedId);
+        return { correction, corrected };
+      });
+    },
+  };
+  const paths = new Set(Object.keys(routes).map((key) => key.split(" ")[1]));
+
+  return createServer(async (req, res) => {
+    try {
+      const path = new URL(req.url, "http://localhost").pathname.replace(/\/+$/, "") || "/";
+      const route = routes[`${req.method} ${path}`];
+      if (!route) throw httpError(paths.has(path) ? 405 : 404, `${req.method} ${path}: no such endpoint`);
+      if (path !== "/health" && !authorized(req, token)) throw httpError(401, "missing or wrong bearer token");
+
+      const body = req.method === "POST" ? await readBody(req) : {};
+      send(res, 200, await route(body));
+    } catch (err) {
+      if (err.status === 413) {
+        res.setHeader("Connection", "close");
+        res.once("finish", () => req.destroy());
+      }
+      send(res, err.status ?? 500, { error: err.message });
+    }
+  });
+}
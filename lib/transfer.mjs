@@ -0,0 +1,304 @@
+/**
+ * Hebbian Memory — Export / Import
+ *
+ * Moves a memory store (or a filtered slice of it) between databases as
+ * JSONL, one record per line:
+ *
+ *   { "type": "header", "format": "hebbian-jsonl", "version": 1, "schema", "exported", "filter" }
+ *   { "type": "memory", ...columns, "tags": [...],
+ *     "embedding": { "model", "dim", "data": base64 float32 } | null,
+ *     "retrieval_history": base64 | null }
+ *   { "type": "edge", "a", "b", "weight", "updated", "namespace" }  — both ends exported
+ *   { "type": "meta", "key", "value", "namespace" }                 — no domain / type / status filter
+ *
+ * Memories carry their namespace as a column; records from before
+ * namespaces import into the global one. Importing with `namespace` moves
+ * everything into that namespace instead, ids requalified (namespacedId).
+ *
+ * Import also reads lines without a type as memories, and a JSON array of
+ * memories (examples/sample-memories.json). When an imported id already
+ * exists, the `strategy` decides: "skip" keeps the local memory,
+ * "overwrite" replaces it, "keep-higher-activation" keeps whichever has the
+ * higher base-level activation. With `remap`, an existing id holding a
+ * different memory (other text) is not merged at all: the import gets a
+ * fresh id and its references (superseded_by, corrects, edges) follow.
+ */
+
+import { createHash } from "node:crypto";
+import { getSchemaVersion, upsertMemory, namespacedId, BASE_LEVEL_SQL, GLOBAL_NAMESPACE } from "./db.mjs";
+import { baseLevel } from "./activation.mjs";
+
+export const FORMAT = "hebbian-jsonl";
+export const FORMAT_VERSION = 1;
+export const STRATEGIES = ["skip", "overwrite", "keep-higher-activation"];
+
+// Bookkeeping of this database, not knowledge — never exported
+const LOCAL_META = new Set(["schema_version", "vector_changes_pruned_to", "vector_storage", "reembed_progress"]);
+// Stored columns that are derived, binary, or written separately
+const SKIP_COLUMNS = new Set(["embedding", "embedding_q", "embedding_dim", "embedding_model", "retrieval_history"]);
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+/**
+ * Stream the store as JSONL lines to `write(line)` (no trailing newline).
+ * Filters: `namespace`, `domain`, `type` (pattern type), `status` ("active"
+ * also matches legacy NULL). With `namespace`, only edges and meta keys of
+ * that namespace go along. `embeddings: false` leaves the vectors out.
+ * Returns { memories, edges, meta }.
+ */
+export function exportMemories(db, write, {
+  namespace = null,
+  domain = null,
+  type = null,
+  status = null,
+  embeddings = true,
+} = {}) {
+  const filter = Object.fromEntries(Object.entries({ namespace, domain, type, status }).filter(([, v]) => v));
+  const filtered = Object.keys(filter).length > 0;
+  write(JSON.stringify({
+    type: "header",
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    schema: getSchemaVersion(db),
+    exported: new Date().toISOString(),
+    filter: filtered ? filter : null,
+  }));
+
+  const where = `
+    (? IS NULL OR namespace = ?)
+    AND (? IS NULL OR domain = ?)
+    AND (? IS NULL OR pattern_type = ?)
+    AND (? IS NULL OR COALESCE(status, 'active') = ?)
+  `;
+  const params = [namespace, namespace, domain, domain, type, type, status, status];
+  const getTags = db.prepare("SELECT tag FROM tags WHERE memory_id = ? ORDER BY tag");
+  const counts = { memories: 0, edges: 0, meta: 0 };
+
+  for (const row of db.prepare(`SELECT * FROM memories WHERE ${where} ORDER BY created, id`).iterate(...params)) {
+    const record = { type: "memory" };
+    for (const [key, value] of Object.entries(row)) if (!SKIP_COLUMNS.has(key)) record[key] = value;
+    record.tags = getTags.all(row.id).map((r) => r.tag);
+    record.retrieval_history = row.retrieval_history ? Buffer.from(row.retrieval_history).toString("base64") : null;
+    record.embedding = embeddings && row.embedding
+      ? { model: row.embedding_model, dim: row.embedding_dim, data: Buffer.from(row.embedding).toString("base64") }
+      : null;
+    write(JSON.stringify(record));
+    counts.memories++;
+  }
+
+  // Edges among the exported memories
+  const edges = db.prepare(`
+    SELECT namespace, memory_a, memory_b, weight, updated FROM co_occurrences
+    WHERE memory_a IN (SELECT id FROM memories WHERE ${where})
+      AND memory_b IN (SELECT id FROM memories WHERE ${where})
+      AND (? IS NULL OR namespace = ?)
+    ORDER BY namespace, memory_a, memory_b
+  `);
+  for (const e of edges.iterate(...params, ...params, namespace, namespace)) {
+    write(JSON.stringify({
+      type: "edge", a: e.memory_a, b: e.memory_b, weight: e.weight, updated: e.updated, namespace: e.namespace,
+    }));
+    counts.edges++;
+  }
+
+  // Meta keys hold extractor state, not memories: only without a memory filter
+  if (!domain && !type && !status) {
+    const meta = db.prepare("SELECT namespace, key, value FROM meta WHERE ? IS NULL OR namespace = ? ORDER BY namespace, key");
+    for (const m of meta.iterate(namespace, namespace)) {
+      if (m.namespace === GLOBAL_NAMESPACE && LOCAL_META.has(m.key)) continue;
+      write(JSON.stringify({ type: "meta", key: m.key, value: m.value, namespace: m.namespace }));
+      counts.meta++;
+    }
+  }
+  return counts;
+}
+
+// ─── Import ──────────────────────────────────────────────────────────────────
+
+/**
+ * Parse an export (JSONL, or a JSON array of memories) into
+ * { header, memories, edges, meta }. Blank lines are skipped; a malformed
+ * line throws with its line number.
+ */
+export function parseExport(text) {
+  const parsed = { header: null, memories: [], edges: [], meta: [] };
+  const trimmed = text.trim();
+  if (trimmed.startsWith("[")) {
+    parsed.memories = JSON.parse(trimmed);
+    return parsed;
+  }
+
+  trimmed.split("\n").forEach((line, i) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`line ${i + 1}: ${err.message}`);
+    }
+    switch (record.type ?? "memory") {
+      case "header":
+        if (record.format !== FORMAT || record.version > FORMAT_VERSION) {
+          throw new Error(`unsupported export: ${record.format} v${record.version} (expected ${FORMAT} ≤ v${FORMAT_VERSION})`);
+        }
+        parsed.header = record;
+        break;
+      case "memory": parsed.memories.push(record); break;
+      case "edge": parsed.edges.push(record); break;
+      case "meta": parsed.meta.push(record); break;
+      default: throw new Error(`line ${i + 1}: unknown record type "${record.type}"`);
+    }
+  });
+  return parsed;
+}
+
+const sameText = (a, b) => (a.detail || a.title || "") === (b.detail || b.title || "");
+
+/** A memory record's id in `namespace`: its own namespace prefix swapped for that one. */
+function movedId(record, namespace) {
+  const prefix = `${record.namespace}/`;
+  const bare = record.namespace && record.id.startsWith(prefix) ? record.id.slice(prefix.length) : record.id;
+  return namespacedId(namespace, bare);
+}
+
+function freshId(db, id, text, taken) {
+  const hash = createHash("sha1").update(text || id).digest("hex").slice(0, 8);
+  let candidate = `${id}~${hash}`;
+  const exists = (c) => taken.has(c) || db.prepare("SELECT 1 FROM memories WHERE id = ?").get(c);
+  for (let n = 2; exists(candidate); n++) candidate = `${id}~${hash}-${n}`;
+  return candidate;
+}
+
+/**
+ * Import a parsed export (see parseExport) in one transaction.
+ * Returns { added, overwritten, skipped, remapped: { old: new }, edges,
+ * meta, unembedded, dropped } — dropped counts references (superseded_by /
+ * corrects / edges) to memories in neither database. With `namespace`,
+ * memories, edges and meta keys all land in that namespace. With `dryRun`
+ * nothing is written.
+ */
+export function importMemories(db, parsed, { strategy = "skip", remap = false, namespace = null, dryRun = false } = {}) {
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown strategy "${strategy}" (expected: ${STRATEGIES.join(", ")})`);
+  }
+  const result = { added: 0, overwritten: 0, skipped: 0, remapped: {}, edges: 0, meta: 0, unembedded: 0, dropped: 0 };
+  const getLocal = db.prepare(`SELECT *, ${BASE_LEVEL_SQL} AS base_level FROM memories WHERE id = ?`);
+  const exists = (id) => Boolean(db.prepare("SELECT 1 FROM memories WHERE id = ?").get(id));
+
+  // Decide each memory's fate and final id before writing anything
+  const ids = new Map(); // imported id → id in this database
+  const plan = [];
+  const taken = new Set();
+  for (const record of parsed.memories) {
+    if (!record?.id) throw new Error("memory without an id");
+    let id = namespace ? movedId(record, namespace) : record.id;
+    const local = getLocal.get(id);
+    let action = "add";
+    if (local && remap && !sameText(local, record)) {
+      id = freshId(db, id, record.detail || record.title, taken);
+      result.remapped[record.id] = id;
+    } else if (local) {
+      const incoming = baseLevel({ ...record, retrieval_history: decodeBase64(record.retrieval_history) });
+      action = strategy === "overwrite" ||
+        (strategy === "keep-higher-activation" && (incoming ?? -Infinity) > (local.base_level ?? -Infinity))
+        ? "overwrite"
+        : "skip";
+    }
+    ids.set(record.id, id);
+    taken.add(id);
+    plan.push({ record, id, action });
+  }
+  const resolve = (ref) => {
+    if (!ref) return null;
+    const id = ids.get(ref) ?? (exists(ref) ? ref : null);
+    if (!id) result.dropped++;
+    return id;
+  };
+
+  const run = () => {
+    // References may point forward in the file; check them at commit
+    db.pragma("defer_foreign_keys = ON");
+    for (const { record, id, action } of plan) {
+      if (action === "skip") {
+        result.skipped++;
+        continue;
+      }
+      if (action === "overwrite") {
+        db.prepare("DELETE FROM tags WHERE memory_id = ?").run(id);
+        result.overwritten++;
+      } else {
+        result.added++;
+      }
+      const vector = decodeVector(record.embedding);
+      if (!vector) result.unembedded++;
+      upsertMemory(db, {
+        ...record,
+        id,
+        namespace: namespace || record.namespace,
+        superseded_by: resolve(record.superseded_by),
+        corrects: resolve(record.corrects),
+        retrieval_history: decodeBase64(record.retrieval_history),
+        embedding: vector,
+        embedding_model: vector ? record.embedding.model : null,
+        tags: Array.isArray(record.tags) ? record.tags : [],
+      });
+    }
+
+    const columns = "co_occurrences (namespace, memory_a, memory_b, weight, updated) VALUES (?, ?, ?, ?, ?)";
+    const edgeStatements = {
+      skip: `INSERT OR IGNORE INTO ${columns}`,
+      overwrite: `INSERT OR REPLACE INTO ${columns}`,
+      "keep-higher-activation": `
+        INSERT INTO ${columns}
+        ON CONFLICT(namespace, memory_a, memory_b) DO UPDATE
+        SET weight = excluded.weight, updated = excluded.updated
+        WHERE edge_weight(excluded.weight, excluded.updated) > edge_weight(weight, updated)
+      `,
+    };
+    const insertEdge = db.prepare(edgeStatements[strategy]);
+    for (const e of parsed.edges) {
+      const a = resolve(e.a);
+      const b = resolve(e.b);
+      if (!a || !b || a === b) continue;
+      const updated = e.updated ?? Math.floor(Date.now() / 1000);
+      if (insertEdge.run(namespace || e.namespace || GLOBAL_NAMESPACE, a, b, e.weight ?? 1, updated).changes > 0) result.edges++;
+    }
+
+    const insertMeta = db.prepare(strategy === "overwrite"
+      ? "INSERT OR REPLACE INTO meta (namespace, key, value) VALUES (?, ?, ?)"
+      : "INSERT OR IGNORE INTO meta (namespace, key, value) VALUES (?, ?, ?)");
+    for (const m of parsed.meta) {
+      const target = namespace || m.namespace || GLOBAL_NAMESPACE;
+      if (LOCAL_META.has(m.key) && (m.namespace || GLOBAL_NAMESPACE) === GLOBAL_NAMESPACE) continue;
+      if (insertMeta.run(target, m.key, m.value).changes > 0) result.meta++;
+    }
+  };
+
+  if (dryRun) {
+    // Count without writing: run inside a transaction that is always rolled back
+    const rollback = new Error("dry run");
+    try {
+      db.transaction(() => { run(); throw rollback; })();
+    } catch (err) {
+      if (err !== rollback) throw err;
+    }
+  } else {
+    db.transaction(run)();
+  }
+  return result;
+}
+
+function decodeBase64(value) {
+  return value ? Buffer.from(value, "base64") : null;
+}
+
+/** An exported embedding → BLOB, or null when missing or not `dim` floats. */
+function decodeVector(embedding) {
+  if (!embedding?.data || !embedding.model) return null;
+  const bytes = Buffer.from(embedding.data, "base64");
+  if (bytes.length % 4 !== 0 || (embedding.dim && bytes.length !== embedding.dim * 4)) return null;
+  // Own, aligned memory: decoded buffers may sit at any offset of a shared pool
+  const blob = Buffer.alloc(bytes.length);
+  bytes.copy(blob);
+  return blob;
+}
@@ -0,0 +1,116 @@
+/**
+ * Hebbian Memory — Usage Detection
+ *
+ * Estimates which injected memories an agent actually used, from its final
+ * response. Three signals, each 0–1; a memory's usage score is the highest:
+ *
+ *   identifiers — a command, path, flag, backticked span or code identifier
+ *                 from the memory appears verbatim in the response (1)
+ *   overlap     — share of the memory's content words in the response,
+ *                 rescaled so topical overlap alone stays low
+ *   similarity  — best cosine between a response sentence and the memory
+ *                 (needs sentence embeddings from the memory's model)
+ *
+ * A memory counts as used at USED_THRESHOLD. Only used memories should be
+ * credited with a retrieval; the rest were merely injected.
+ */
+
+import { blobToEmbedding, cosineSimilarity } from "./db.mjs";
+
+export const USED_THRESHOLD = 0.5;
+
+const OVERLAP_FLOOR = 0.3; // overlap below this scores 0 …
+const OVERLAP_FULL = 0.7; // … and from this scores 1
+const SIMILARITY_FLOOR = 0.6;
+const SIMILARITY_FULL = 0.85;
+const MIN_IDENTIFIER = 4; // shorter tokens match by accident
+const MAX_SENTENCES = 24;
+
+const STOPWORDS = new Set((
+  "the and for with that this from into when then than them they their there have has had " +
+  "not but are was were will would should could can use using used you your our its it's " +
+  "all any each only also just more most some such very what which who how why where about " +
+  "after before over under been being does did doing done make makes made get gets set sets"
+).split(" "));
+
+const IDENTIFIER_PATTERNS = [
+  /`([^`\n]+)`/g, // backticked spans
+  /(?:~|\.{1,2})?\/[\w.@-]+(?:\/[\w.@-]+)+/g, // paths
+  /\b[\w-]+\.(?:mjs|cjs|js|ts|py|json|md|sh|ya?ml|toml|db|sql|env|txt|mp4|wav|mp3|png)\b/g, // file names
+  /(?<![\w-])--?[a-zA-Z][\w-]+(?:=\S+)?/g, // flags
+  /\b[a-z][a-z0-9]*(?:_[a-z0-9]+)+\b/g, // snake_case
+  /\b[a-z]+(?:[A-Z][a-z0-9]*)+\b/g, // camelCase
+  /\b[A-Z][A-Z0-9]*_[A-Z0-9_]+\b|\bE[A-Z]{3,}\b/g, // CONSTANTS, errno codes
+];
+
+// ─── Signals ─────────────────────────────────────────────────────────────────
+
+/**
+ * Distinctive tokens of a memory text that are unlikely to appear by chance.
+ */
+export function extractIdentifiers(text) {
+  const found = new Set();
+  for (const pattern of IDENTIFIER_PATTERNS) {
+    for (const m of (text || "").matchAll(pattern)) {
+      const token = (m[1] ?? m[0]).trim();
+      if (token.length >= MIN_IDENTIFIER) found.add(token);
+    }
+  }
+  return [...found];
+}
+
+function contentWords(text) {
+  return new Set(
+    (text || "").toLowerCase().match(/[a-z0-9][a-z0-9_-]{2,}/g)?.filter((w) => !STOPWORDS.has(w)) || []
+  );
+}
+
+/**
+ * Response → sentences worth embedding (at most MAX_SENTENCES).
+ */
+export function splitSentences(text) {
+  return (text || "")
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((s) => s.replace(/^[-*>#\d.\s]+/, "").trim())
+    .filter((s) => s.length >= 20)
+    .slice(0, MAX_SENTENCES);
+}
+
+const ramp = (x, floor, full) => Math.min(Math.max((x - floor) / (full - floor), 0), 1);
+
+// ─── Detection ───────────────────────────────────────────────────────────────
+
+/**
+ * Score each memory row ({ id, title, detail, embedding, embedding_model })
+ * against `response`. `sentenceEmbeddings` (for splitSentences(response),
+ * from `model`) enables the similarity signal.
+ * Returns [{ id, score, used, signals: { identifiers, overlap, similarity } }].
+ */
+export function detectUsage(response, memories, { sentenceEmbeddings = null, model = null, threshold = USED_THRESHOLD } = {}) {
+  const responseWords = contentWords(response);
+
+  return memories.map((mem) => {
+    const text = mem.detail || mem.title || "";
+
+    const identifiers = extractIdentifiers(text).filter((t) => response.includes(t));
+
+    const words = contentWords(text);
+    let shared = 0;
+    for (const w of words) if (responseWords.has(w)) shared++;
+    // Few-word memories overlap by accident — count them at half strength
+    const overlap = words.size === 0 ? 0 : (shared / words.size) * (words.size < 4 ? 0.5 : 1);
+
+    let similarity = null;
+    if (sentenceEmbeddings?.length && mem.embedding && (!model || mem.embedding_model === model)) {
+      const vector = blobToEmbedding(mem.embedding);
+      similarity = Math.max(...sentenceEmbeddings.map((e) => cosineSimilarity(e, vector)));
+    }
+
+    const score = Math.max(
+      identifiers.length > 0 ? 1 : 0,
+      ramp(overlap, OVERLAP_FLOOR, OVERLAP_FULL),
+      similarity === null ? 0 : ramp(similarity, SIMILARITY_FLOOR, SIMILARITY_FULL),
+    );
+    return { id: mem.id, score, used: score >= threshold, signals: { identifiers, overlap, similarity } };
+  });
+}
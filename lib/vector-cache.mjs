@@ -0,0 +1,216 @@
+/**
+ * Hebbian Memory — In-Process Vector Cache
+ *
+ * One contiguous matrix of L2-normalized vectors, so cosine similarity is a
+ * plain dot product and no BLOB is decoded per query.
+ *
+ * Storage:
+ *   float32 — exact scores (4 bytes/dim)
+ *   int8    — symmetric per-vector quantization (1 byte/dim + one float
+ *             scale); scores are approximate, callers rescore the top
+ *             candidates against the float32 originals
+ *
+ * Quantized vectors are persisted in memories.embedding_q as
+ *   [float32 scale][int8 × dim]
+ * so the cache can load without touching the float32 column.
+ */
+
+const STORAGE_MODES = ["float32", "int8"];
+
+// ─── Quantization ────────────────────────────────────────────────────────────
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm === 0) return null;
+  const out = new Float32Array(vector.length);
+  for (let i = 0; i < vector.length; i++) out[i] = vector[i] / norm;
+  return out;
+}
+
+/**
+ * Normalize and quantize a vector → { codes: Int8Array, scale }.
+ */
+function quantize(vector) {
+  const v = normalize(vector);
+  if (!v) return null;
+  let max = 0;
+  for (let i = 0; i < v.length; i++) max = Math.max(max, Math.abs(v[i]));
+  const scale = max / 127;
+  const codes = new Int8Array(v.length);
+  for (let i = 0; i < v.length; i++) codes[i] = Math.round(v[i] / scale);
+  return { codes, scale };
+}
+
+/**
+ * Encode a vector for the embedding_q column.
+ */
+export function quantizeInt8(vector) {
+  const q = quantize(vector);
+  if (!q) return null;
+  const buf = Buffer.alloc(4 + q.codes.length);
+  buf.writeFloatLE(q.scale, 0);
+  Buffer.from(q.codes.buffer, q.codes.byteOffset, q.codes.byteLength).copy(buf, 4);
+  return buf;
+}
+
+/**
+ * Decode an embedding_q BLOB → { codes, scale }.
+ */
+export function decodeInt8(blob) {
+  if (!blob || blob.length < 5) return null;
+  const buf = Buffer.isBuffer(blob) ? blob : Buffer.from(blob);
+  return {
+    scale: buf.readFloatLE(0),
+    codes: new Int8Array(buf.buffer, buf.byteOffset + 4, buf.length - 4),
+  };
+}
+
+export function resolveVectorStorage(storage) {
+  const s = (storage || process.env.HEBBIAN_VECTOR_STORAGE || "float32").toLowerCase();
+  if (!STORAGE_MODES.includes(s)) {
+    throw new Error(`Unknown vector storage "${s}" (expected: ${STORAGE_MODES.join(", ")})`);
+  }
+  return s;
+}
+
+// ─── Cache ───────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty cache for `dim`-sized vectors.
+ */
+export function createVectorCache({ dim, storage = "float32", capacity = 1024 } = {}) {
+  if (!dim) throw new Error("createVectorCache: dim is required");
+  const int8 = storage === "int8";
+
+  let cap = capacity;
+  let count = 0;
+  let matrix = int8 ? new Int8Array(cap * dim) : new Float32Array(cap * dim);
+  let scales = int8 ? new Float32Array(cap) : null;
+  const ids = [];
+  const idToRow = new Map();
+
+  function grow() {
+    cap *= 2;
+    const next = int8 ? new Int8Array(cap * dim) : new Float32Array(cap * dim);
+    next.set(matrix);
+    matrix = next;
+    if (int8) {
+      const nextScales = new Float32Array(cap);
+      nextScales.set(scales);
+      scales = nextScales;
+    }
+  }
+
+  function rowFor(id) {
+    let row = idToRow.get(id);
+    if (row === undefined) {
+      if (count === cap) grow();
+      row = count++;
+      ids[row] = id;
+      idToRow.set(id, row);
+    }
+    return row;
+  }
+
+  /**
+   * Insert or replace a float vector. Returns false for zero / wrong-size vectors.
+   */
+  function set(id, vector) {
+    if (!vector || vector.length !== dim) return false;
+    if (int8) {
+      const q = quantize(vector);
+      if (!q) return false;
+      const row = rowFor(id);
+      matrix.set(q.codes, row * dim);
+      scales[row] = q.scale;
+    } else {
+      const v = normalize(vector);
+      if (!v) return false;
+      const row = rowFor(id); // May grow (replace) the matrix
+      matrix.set(v, row * dim);
+    }
+    return true;
+  }
+
+  /**
+   * Insert pre-quantized codes (int8 storage only) — skips re-quantizing on load.
+   */
+  function setQuantized(id, { codes, scale }) {
+    if (!int8 || codes.length !== dim) return false;
+    const row = rowFor(id);
+    matrix.set(codes, row * dim);
+    scales[row] = scale;
+    return true;
+  }
+
+  function remove(id) {
+    const row = idToRow.get(id);
+    if (row === undefined) return false;
+    const last = --count;
+    if (row !== last) {
+      // Swap the last row into the hole to keep the matrix dense
+      matrix.copyWithin(row * dim, last * dim, (last + 1) * dim);
+      if (int8) scales[row] = scales[last];
+      ids[row] = ids[last];
+      idToRow.set(ids[row], row);
+    }
+    ids.length = count;
+    idToRow.delete(id);
+    return true;
+  }
+
+  /**
+   * Top-k rows by dot product with the normalized query → [{ id, similarity }].
+   * Exact for float32 storage, approximate for int8.
+   */
+  function search(query, k = 10) {
+    if (query.length !== dim || count === 0) return [];
+    const q = normalize(query);
+    if (!q) return [];
+
+    // Bounded ascending list of the best k (small k → insertion beats a heap)
+    const top = [];
+    for (let r = 0; r < count; r++) {
+      const base = r * dim;
+      let s = 0;
+      for (let i = 0; i < dim; i++) s += q[i] * matrix[base + i];
+      if (int8) s *= scales[r];
+      if (top.length < k) {
+        let j = top.length;
+        top.push(null);
+        while (j > 0 && top[j - 1].s > s) { top[j] = top[j - 1]; j--; }
+        top[j] = { r, s };
+      } else if (s > top[0].s) {
+        let j = 0;
+        while (j + 1 < k && top[j + 1].s < s) { top[j] = top[j + 1]; j++; }
+        top[j] = { r, s };
+      }
+    }
+    return top.reverse().map(({ r, s }) => ({ id: ids[r], similarity: s }));
+  }
+
+  /**
+   * The cached (normalized; dequantized for int8) vector for `id`, or null.
+   */
+  function get(id) {
+    const row = idToRow.get(id);
+    if (row === undefined) return null;
+    const out = new Float32Array(dim);
+    for (let i = 0; i < dim; i++) out[i] = int8 ? matrix[row * dim + i] * scales[row] : matrix[row * dim + i];
+    return out;
+  }
+
+  return {
+    get dim() { return dim; },
+    get storage() { return storage; },
+    get size() { return count; },
+    has: (id) => idToRow.has(id),
+    set,
+    setQuantized,
+    remove,
+    search,
+    get,
+  };
+}
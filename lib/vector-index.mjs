@@ -0,0 +1,429 @@
+/**
+ * Hebbian Memory — Persistent Vector Index
+ *
+ * Keeps an HNSW index (ann.mjs) in sync with memories.embedding and persists
+ * it to a sidecar file next to the DB (`hebbian.db.hnsw`).
+ *
+ * Coherence:
+ *   Triggers on `memories` append every insert / embedding update / delete to
+ *   `vector_changes`. Before each search the index applies the changes past
+ *   its last seen `seq` — so writes from any process (extractors, other
+ *   tools, the sqlite3 shell) are picked up incrementally.
+ *
+ * Vectors are only comparable within one embedding model, so the index and
+ * cache each hold the rows of a single `embedding_model` (the query's —
+ * by default the configured provider's) and are rebuilt when it changes.
+ *
+ * Drift → full rebuild when:
+ *   - the sidecar is missing, unreadable, or older than the pruned changelog
+ *   - its header's model or dimension doesn't match the model's embedded rows
+ *   - live node count disagrees with the embedded row count on load
+ *   - tombstones (updated/deleted vectors) exceed 20% of the graph
+ *
+ * Modes (retrieve/semanticSearch option `vectorIndex`, env HEBBIAN_VECTOR_INDEX):
+ *   auto   — HNSW once ≥ 2000 rows have embeddings, brute force below (default)
+ *   hnsw   — always use the index
+ *   exact  — always brute force (the exact fallback)
+ *
+ * Brute force scans an in-process vector cache (vector-cache.mjs) loaded on
+ * first use and kept coherent from the same changelog. With int8 storage
+ * (meta `vector_storage`, env HEBBIAN_VECTOR_STORAGE) the cache loads from
+ * memories.embedding_q and the top candidates are rescored exactly against
+ * the float32 BLOBs.
+ */
+
+import { existsSync, readFileSync, writeFileSync, renameSync } from "node:fs";
+import { createHnswIndex, loadHnswIndex } from "./ann.mjs";
+import { createVectorCache, quantizeInt8, decodeInt8, resolveVectorStorage } from "./vector-cache.mjs";
+import { getEmbeddingProvider } from "./embeddings.mjs";
+
+const AUTO_THRESHOLD = 2000;
+const MAX_TOMBSTONE_RATIO = 0.2;
+const SAVE_EVERY = 500; // applied changes between sidecar writes
+const RESCORE_FACTOR = 4; // int8 scan keeps k × this many candidates for exact rescoring
+const RESCORE_MIN = 50;
+
+const states = new WeakMap(); // db → { index, model, seq, pending, smallAtSeq }
+const caches = new WeakMap(); // db → { cache, model, seq }
+const storages = new WeakMap(); // db → "float32" | "int8"
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function toVector(blob) {
+  if (!blob) return null;
+  const buf = Buffer.isBuffer(blob) ? blob : Buffer.from(blob);
+  return new Float32Array(buf.buffer, buf.byteOffset, buf.byteLength / 4);
+}
+
+function sidecarPath(db) {
+  if (db.memory || !db.name || db.name === ":memory:") return null;
+  return `${db.name}.hnsw`;
+}
+
+function currentSeq(db) {
+  const row = db.prepare("SELECT seq FROM sqlite_sequence WHERE name = 'vector_changes'").get();
+  return row?.seq ?? 0;
+}
+
+function prunedTo(db) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = 'vector_changes_pruned_to'").get();
+  return row ? Number(row.value) : 0;
+}
+
+function setPrunedTo(db, seq) {
+  db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('vector_changes_pruned_to', ?)").run(String(seq));
+}
+
+function embeddedCount(db, model, dim = null) {
+  if (dim) {
+    return db.prepare(
+      "SELECT COUNT(*) AS cnt FROM memories WHERE embedding_model = ? AND embedding_dim = ?"
+    ).get(model, dim).cnt;
+  }
+  return db.prepare("SELECT COUNT(*) AS cnt FROM memories WHERE embedding_model = ?").get(model).cnt;
+}
+
+function resolveModel(model) {
+  return model || getEmbeddingProvider().model;
+}
+
+export function resolveVectorIndexMode(mode) {
+  const m = (mode || process.env.HEBBIAN_VECTOR_INDEX || "auto").toLowerCase();
+  if (!["auto", "hnsw", "exact"].includes(m)) {
+    throw new Error(`Unknown vector index mode "${m}" (expected: auto, hnsw, exact)`);
+  }
+  return m;
+}
+
+// ─── Lifecycle ───────────────────────────────────────────────────────────────
+
+/**
+ * Called by openDb(). With no sidecar on disk nothing needs change history,
+ * so the changelog is cleared instead of growing forever.
+ */
+export function initVectorIndex(db) {
+  const path = sidecarPath(db);
+  if (!path || !existsSync(path)) {
+    db.prepare("DELETE FROM vector_changes").run();
+    // Caches in other processes must notice the gap and reload
+    const seq = currentSeq(db);
+    if (seq > prunedTo(db)) setPrunedTo(db, seq);
+  }
+}
+
+/**
+ * Build the index from scratch over every row embedded by `model` (default:
+ * the configured provider's) and persist it. Rows whose dimension differs
+ * from the first vector seen are skipped.
+ */
+export function rebuildVectorIndex(db, { model } = {}) {
+  model = resolveModel(model);
+  const seq = currentSeq(db);
+  let index = null;
+  let skipped = 0;
+  for (const row of db.prepare("SELECT id, embedding FROM memories WHERE embedding_model = ?").iterate(model)) {
+    const vec = toVector(row.embedding);
+    if (!vec) continue;
+    if (!index) index = createHnswIndex({ dim: vec.length });
+    if (vec.length !== index.dim) { skipped++; continue; }
+    index.add(row.id, vec);
+  }
+
+  const state = { index, model, seq, pending: 0, smallAtSeq: null };
+  states.set(db, state);
+  saveVectorIndex(db);
+  return { model, size: index?.size ?? 0, dim: index?.dim ?? null, skipped };
+}
+
+/**
+ * The sidecar's index for `model`, or null when it can't be brought up to
+ * date by replaying the changelog: missing or unreadable, built for another
+ * model or dimension, or the changelog was pruned past its snapshot.
+ */
+function loadSidecar(db, model) {
+  const path = sidecarPath(db);
+  if (!path || !existsSync(path)) return null;
+  let index, extra;
+  try {
+    const getEmbedding = db.prepare("SELECT embedding FROM memories WHERE id = ?");
+    ({ index, extra } = loadHnswIndex(readFileSync(path), (id) => toVector(getEmbedding.get(id)?.embedding)));
+  } catch {
+    return null; // Corrupt or foreign file — caller rebuilds
+  }
+  if (extra.model !== model || extra.dim !== index.dim) return null;
+  const dim = db.prepare("SELECT embedding_dim FROM memories WHERE embedding_model = ? LIMIT 1").get(model)?.embedding_dim;
+  if (dim != null && dim !== index.dim) return null; // Model re-embedded at another size
+  const seq = extra.seq ?? 0;
+  if (seq < prunedTo(db)) return null; // Changes since the snapshot are gone
+  return { index, model, seq, pending: 0, smallAtSeq: null };
+}
+
+/**
+ * Write the sidecar (atomically) and drop changelog rows it already covers.
+ */
+export function saveVectorIndex(db) {
+  const state = states.get(db);
+  const path = sidecarPath(db);
+  if (!state?.index || !path) return false;
+
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, state.index.serialize({ seq: state.seq, model: state.model, dim: state.index.dim }));
+  renameSync(tmp, path);
+
+  // A live cache in this process still needs the rows it hasn't applied
+  const cached = caches.get(db);
+  const upTo = cached ? Math.min(state.seq, cached.seq) : state.seq;
+  db.prepare("DELETE FROM vector_changes WHERE seq <= ?").run(upTo);
+  if (upTo > prunedTo(db)) setPrunedTo(db, upTo);
+  state.pending = 0;
+  return true;
+}
+
+/**
+ * Persist pending changes and forget the in-memory index and cache.
+ * Called by closeDb().
+ */
+export function closeVectorIndex(db) {
+  caches.delete(db); // First, so it doesn't hold back changelog pruning
+  storages.delete(db);
+  const state = states.get(db);
+  if (state?.index && state.pending > 0) {
+    try { saveVectorIndex(db); } catch {}
+  }
+  states.delete(db);
+}
+
+// ─── Sync ────────────────────────────────────────────────────────────────────
+
+function applyChanges(db, state) {
+  if (state.seq < prunedTo(db)) {
+    // Someone pruned history we never saw — reload their snapshot or rebuild
+    const fresh = loadSidecar(db, state.model);
+    if (fresh) {
+      Object.assign(state, fresh);
+    } else {
+      rebuildVectorIndex(db, { model: state.model });
+      return;
+    }
+  }
+
+  const changes = db.prepare("SELECT seq, memory_id FROM vector_changes WHERE seq > ? ORDER BY seq").all(state.seq);
+  if (changes.length === 0) return;
+
+  const getRow = db.prepare("SELECT embedding, embedding_model FROM memories WHERE id = ?");
+  const touched = new Set(changes.map((c) => c.memory_id));
+  for (const id of touched) {
+    const row = getRow.get(id);
+    const vec = row?.embedding_model === state.model ? toVector(row.embedding) : null;
+    if (vec && vec.length === state.index.dim) state.index.add(id, vec);
+    else state.index.remove(id);
+  }
+  state.seq = changes[changes.length - 1].seq;
+  state.pending += touched.size;
+
+  const { nodeCount, deletedCount } = state.index;
+  if (nodeCount > 100 && deletedCount / nodeCount > MAX_TOMBSTONE_RATIO) {
+    rebuildVectorIndex(db, { model: state.model });
+  } else if (state.pending >= SAVE_EVERY) {
+    saveVectorIndex(db);
+  }
+}
+
+/**
+ * The synced index over `model`'s vectors, or null when brute force should
+ * be used (exact mode, auto mode below threshold, or no embeddings yet).
+ */
+export function getVectorIndex(db, { mode, model } = {}) {
+  mode = resolveVectorIndexMode(mode);
+  if (mode === "exact") return null;
+  model = resolveModel(model);
+
+  let state = states.get(db);
+  if (state && state.model !== model) state = null;
+  if (!state || !state.index) {
+    if (mode === "auto") {
+      // Re-count only after enough writes to possibly cross the threshold
+      const seq = currentSeq(db);
+      if (state?.smallAtSeq != null && seq - state.smallAtSeq < 100) return null;
+      if (embeddedCount(db, model) < AUTO_THRESHOLD) {
+        states.set(db, { index: null, model, seq, pending: 0, smallAtSeq: seq });
+        return null;
+      }
+    }
+
+    state = loadSidecar(db, model);
+    if (state && state.seq >= currentSeq(db) && state.index.size !== embeddedCount(db, model, state.index.dim)) {
+      state = null; // Sidecar claims to be current but disagrees with the table
+    }
+    if (state) {
+      states.set(db, state);
+    } else {
+      rebuildVectorIndex(db, { model });
+      state = states.get(db);
+      if (!state.index) return null; // Nothing embedded yet
+    }
+  }
+
+  applyChanges(db, state);
+  return states.get(db)?.index ?? null;
+}
+
+/**
+ * Apply a write immediately when an index or cache is live. Inside a
+ * transaction the changelog rows could still roll back, so those wait for
+ * the next search.
+ */
+export function noteVectorWrite(db) {
+  if (db.inTransaction) return;
+  const state = states.get(db);
+  if (state?.index) applyChanges(db, state);
+  const cached = caches.get(db);
+  if (cached) syncCache(db, cached);
+}
+
+// ─── Vector cache ────────────────────────────────────────────────────────────
+
+/**
+ * Storage format for the cache and embedding_q: env HEBBIAN_VECTOR_STORAGE,
+ * else the DB's `vector_storage` meta key, else float32.
+ */
+export function getVectorStorage(db) {
+  let storage = storages.get(db);
+  if (!storage) {
+    const row = db.prepare("SELECT value FROM meta WHERE key = 'vector_storage'").get();
+    storage = resolveVectorStorage(process.env.HEBBIAN_VECTOR_STORAGE || row?.value);
+    storages.set(db, storage);
+  }
+  return storage;
+}
+
+/**
+ * Switch the DB's storage format. int8 fills embedding_q for every embedded
+ * row; float32 clears it. Returns { storage, rows }.
+ */
+export function setVectorStorage(db, storage) {
+  storage = resolveVectorStorage(storage);
+  let rows = 0;
+  db.transaction(() => {
+    db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES ('vector_storage', ?)").run(storage);
+    if (storage === "int8") {
+      const update = db.prepare("UPDATE memories SET embedding_q = ? WHERE id = ?");
+      const missing = db.prepare("SELECT id, embedding FROM memories WHERE embedding IS NOT NULL AND embedding_q IS NULL").all();
+      for (const row of missing) rows += update.run(quantizeInt8(toVector(row.embedding)), row.id).changes;
+    } else {
+      rows = db.prepare("UPDATE memories SET embedding_q = NULL WHERE embedding_q IS NOT NULL").run().changes;
+    }
+  })();
+  storages.set(db, storage);
+  caches.delete(db);
+  return { storage, rows };
+}
+
+/**
+ * Encode the embedding_q value for a float32 BLOB under the current storage.
+ */
+export function quantizedFor(db, blob) {
+  if (!blob || getVectorStorage(db) !== "int8") return null;
+  return quantizeInt8(toVector(blob));
+}
+
+function cacheRow(cache, model, id, row) {
+  if (row?.embedding_model !== model) return cache.remove(id);
+  const q = cache.storage === "int8" ? decodeInt8(row.embedding_q) : null;
+  if (q && q.codes.length === cache.dim) return cache.setQuantized(id, q);
+  const vec = toVector(row.embedding);
+  if (vec && vec.length === cache.dim) return cache.set(id, vec);
+  return cache.remove(id);
+}
+
+function loadCache(db, dim, model) {
+  const storage = getVectorStorage(db);
+  const seq = currentSeq(db);
+  const cache = createVectorCache({ dim, storage, capacity: Math.max(embeddedCount(db, model, dim), 16) });
+  // Only read the float32 BLOB where no usable quantized copy exists
+  const rows = db.prepare(`
+    SELECT id, embedding_model, embedding_q,
+           ${storage === "int8" ? "CASE WHEN embedding_q IS NULL THEN embedding END" : "embedding"} AS embedding
+    FROM memories WHERE embedding_model = ? AND embedding_dim = ?
+  `);
+  for (const row of rows.iterate(model, dim)) cacheRow(cache, model, row.id, row);
+
+  const cached = { cache, model, seq };
+  caches.set(db, cached);
+  return cached;
+}
+
+function syncCache(db, cached) {
+  if (cached.seq < prunedTo(db)) {
+    // History we never saw is gone — reload from the table
+    Object.assign(cached, loadCache(db, cached.cache.dim, cached.model));
+    return;
+  }
+  const changes = db.prepare("SELECT seq, memory_id FROM vector_changes WHERE seq > ? ORDER BY seq").all(cached.seq);
+  if (changes.length === 0) return;
+
+  const getRow = db.prepare("SELECT embedding, embedding_q, embedding_model FROM memories WHERE id = ?");
+  for (const id of new Set(changes.map((c) => c.memory_id))) {
+    cacheRow(cached.cache, cached.model, id, getRow.get(id));
+  }
+  cached.seq = changes[changes.length - 1].seq;
+}
+
+/**
+ * The synced in-process cache of `model`'s `dim`-sized vectors. Loaded on
+ * first use and reloaded only when the model or dimension changes. Without
+ * `dim`, sizes it from the model's first embedded row (null when it has none).
+ */
+export function getVectorCache(db, dim = null, model = null) {
+  model = resolveModel(model);
+  let cached = caches.get(db);
+  if (cached?.model !== model) cached = null;
+  if (!dim) {
+    const row = cached ? null : db.prepare("SELECT embedding_dim FROM memories WHERE embedding_model = ? LIMIT 1").get(model);
+    if (!cached && !row) return null;
+    dim = cached ? cached.cache.dim : row.embedding_dim;
+  }
+  if (!cached || cached.cache.dim !== dim) cached = loadCache(db, dim, model);
+  else syncCache(db, cached);
+  return cached.cache;
+}
+
+// ─── Search ──────────────────────────────────────────────────────────────────
+
+/**
+ * Nearest neighbours of `query` among vectors from the same `model` →
+ * [{ id, similarity }], best first; null when that model has no vectors of
+ * the query's dimension. Uses the HNSW index when active, otherwise a cache
+ * scan; int8 scans are rescored with exact cosine over the float32 BLOBs of
+ * the top candidates.
+ */
+export function searchVectors(db, query, k, { mode, model } = {}) {
+  model = resolveModel(model);
+  const index = getVectorIndex(db, { mode, model });
+  if (index && index.dim === query.length) {
+    return index.search(query, k, Math.max(k, 64));
+  }
+
+  const cache = getVectorCache(db, query.length, model);
+  if (cache.size === 0) return null;
+  if (cache.storage !== "int8") return cache.search(query, k);
+
+  let qnorm = 0;
+  for (let i = 0; i < query.length; i++) qnorm += query[i] * query[i];
+  qnorm = Math.sqrt(qnorm) || 1;
+
+  const getEmbedding = db.prepare("SELECT embedding FROM memories WHERE id = ?");
+  return cache.search(query, Math.max(k * RESCORE_FACTOR, RESCORE_MIN))
+    .map(({ id, similarity }) => {
+      const vec = toVector(getEmbedding.get(id)?.embedding);
+      if (!vec || vec.length !== query.length) return { id, similarity };
+      let dot = 0, norm = 0;
+      for (let i = 0; i < vec.length; i++) {
+        dot += query[i] * vec[i];
+        norm += vec[i] * vec[i];
+      }
+      return { id, similarity: norm === 0 ? 0 : dot / (qnorm * Math.sqrt(norm)) };
+    })
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
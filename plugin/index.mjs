@@ -3,65 +3,82 @@
  *
  * Replaces the JSON-based v2 plugin with:
  *   - SQLite via better-sqlite3 (concurrent-safe, indexed, ACID)
- *   - Semantic search via nomic-embed-text embeddings (768-dim)
+ *   - Semantic search via pluggable embeddings (Ollama, OpenAI-compatible, offline hash)
  *   - Token-budgeted context injection
  *   - Combined scoring: semantic similarity + activation + domain match
+ *   - Hybrid BM25 + similarity ranking; BM25 alone when the embedder is down
  *
  * Hooks:
- *   before_agent_start → embed query → retrieve → token-budget → prependContext
+ *   before_agent_start → embed query → retrieve (hybrid) → token-budget → prependContext
+ *   agent_end          → credit only the injected memories the response used
  *   after_tool_call    → bump domain activations
  *   before_compaction  → mine session transcript
  *   session_end        → log stats
  *   gateway_start      → open DB, verify health
+ *
+ * Tools (when the host supports registerTool):
+ *   hebbian_feedback   → rate an injected memory helpful / unhelpful / wrong
+ *   hebbian_save       → remember something (domain/type inferred, deduplicated)
+ *   hebbian_search     → search memory with domain / type / tag / age filters
+ *   hebbian_deprecate  → retire an obsolete memory
+ *   hebbian_correct    → attach the right version to a wrong memory
+ *   hebbian_pin        → keep a memory from fading
+ *
+ * Namespaces: each agent (by default) reads and writes its own namespace,
+ * derived from the hook context (agent id or workspace), with the shared
+ * global namespace merged in at lower priority. See namespaceOf(). The tools
+ * are built per agent session, so they read and write the caller's namespace
+ * and only change its own memories (global ones with globalWrites).
+ *
+ * Config: dbPath, the retrieval settings and the embedding provider layer
+ * over ~/.hebbian/config.json and the HEBBIAN_* env (lib/config.mjs), so
+ * the plugin, the CLI and the extractors share one store and one model.
+ * The file's namespace is not used — the plugin's is per agent.
  */
 
 import { existsSync } from "node:fs";
 import { execFile } from "node:child_process";
 import { homedir } from "node:os";
-import { join } from "node:path";
+import { join, basename } from "node:path";
 import {
   openDb, closeDb, retrieve, bumpActivations, wireCoOccurrences,
   getStats, generateEmbeddings, embeddingToBlob, blobToEmbedding,
-  getMeta, setMeta, DEFAULT_DB_PATH,
+  getMeta, setMeta, getEmbeddingProvider, setEmbeddingProvider, getVectorIndex, getVectorCache,
+  pruneCoOccurrences, logRetrieval, recordFeedback, deprecateMemory, pinMemory, checkNamespace, namespaceScope,
+  inNamespaceScope,
+  FEEDBACK_KINDS, BASE_LEVEL_SQL, GLOBAL_NAMESPACE,
 } from "../lib/db.mjs";
+import { loadConfig, embeddingOptions, retrieveOptions, configEnv } from "../lib/config.mjs";
+import { saveMemory, saveCorrection } from "../lib/ingest.mjs";
+import { searchMemories } from "../lib/search.mjs";
+import { detectUsage, splitSentences } from "../lib/usage.mjs";
+import { extractDomainHints } from "../lib/domains.mjs";
 
 // ─── Configuration ────────────────────────────────────────────────────────────
 
+// dbPath, maxContextTokens, maxEntries, the scoring weights, minSimilarity and
+// the embed* keys override the shared config — see sharedConfig()
 const DEFAULTS = {
-  dbPath: DEFAULT_DB_PATH,
   sessionExtractor: null, // Optional: path to session extractor script for auto-extraction
-  maxContextTokens: 800,
-  maxEntries: 30,
-  semanticWeight: 0.6,
-  activationWeight: 0.3,
-  domainWeight: 0.1,
   embeddingCacheTtlMs: 300_000, // cache query embeddings for 5 min
+  vectorIndex: "auto", // "auto" | "hnsw" | "exact" — HNSW vs brute-force similarity
+  fusion: "rrf", // "rrf" | "weighted" | "none" — how BM25 combines with similarity
+  spreadDepth: 2, // co-occurrence hops for spreading activation (0 = off)
+  spreadGate: 0.3, // min. query similarity for spread memories
+  conflictThreshold: 0.7, // open contradictions at/above this score are never injected together (> 1 = off)
+  crossDomainRate: 0.25, // co-occurrence weight for pairs from different domains (0 = same-domain only)
+  crossDomainGate: null, // min. similarity between the two for a cross-domain link (null = no gate)
+  usageDetection: true, // credit memories at agent_end only if the response used them (false = on injection)
+  usageThreshold: 0.5, // usage score (0-1) at which a memory counts as used
+  namespace: null, // fixed namespace for all agents — overrides namespaceFrom
+  namespaceFrom: "agent", // "agent" | "workspace" | "none" — what the namespace is derived from
+  namespaceMap: {}, // derived namespace → namespace to use instead (e.g. { "agent:main": "global" })
+  includeGlobal: true, // merge the shared global namespace into retrieval
+  globalPenalty: 0.1, // score handicap of global memories against the agent's own
+  globalWrites: false, // let the tools deprecate, correct and pin global memories
 };
 
-// ─── Domain keyword map (fast pre-filter before semantic search) ──────────────
-
-const DOMAIN_KEYWORDS = {
-  "peekaboo-web": ["peekaboo", "safari", "browser", "webpage", "website", "click", "form", "login", "signup", "checkbox"],
-  "form-handling-patterns": ["form", "signup", "register", "login", "submit", "checkbox", "dropdown"],
-  "comfyui": ["comfyui", "dreamshaper", "animatediff", "stable diffusion", "sd 1.5", "image gen"],
-  "tiktok": ["tiktok", "video", "content", "upload", "viral", "hook"],
-  "tiktok-automation-workflow": ["tiktok pipeline", "video pipeline", "automation", "n8n"],
-  "tiktok-growth-patterns": ["growth", "followers", "algorithm", "engagement", "analytics"],
-  "video-pipeline": ["ffmpeg", "esrgan", "upscale", "ken burns", "encode", "mux"],
-  "tts": ["qwen", "tts", "voice", "speech", "audio", "voice clone", "edge-tts"],
-  "podcast": ["podcast", "episode", "spotify", "rss"],
-  "hebbian": ["hebbian", "memory", "activation", "decay", "co-occurrence", "atomic", "pattern"],
-  "openclaw": ["openclaw", "gateway", "session", "spawn", "sub-agent", "config"],
-  "inter-agent-communication": ["sub-agent", "spawn", "worker", "captain", "orchestrat"],
-  "ollama": ["ollama", "qwen2.5", "local model", "vision"],
-  "deepseek": ["deepseek", "research", "reasoning"],
-  "business": ["revenue", "fiverr", "etsy", "listing", "customer", "pricing", "monetiz", "patreon"],
-  "infrastructure": ["n8n", "cron", "task", "alert", "database", "sqlite"],
-  "macos": ["applescript", "keychain", "finder", "mail.app", "cliclick"],
-  "security": ["security", "injection", "permission", "access", "credential"],
-  "model-routing": ["model", "routing", "sonnet", "opus", "claude", "budget"],
-  "trading": ["trading", "alpaca", "stock", "portfolio", "market"],
-};
+// ─── Tool → domain map ───────────────────────────────────────────────────────
 
 // Tool name → domains for after_tool_call bumps
 const TOOL_DOMAIN_MAP = {
@@ -83,32 +100,13 @@ const TOOL_DOMAIN_MAP = {
 let db = null;
 let pluginLogger = null;
 let embeddingCache = new Map(); // text → { embedding, ts }
+let injections = new Map(); // session → { retrievalId, ids, ts } — its last injection, resolves [n] refs for the tools
+let pendingUsage = new Map(); // session → { ids, namespace, ts } — injected, awaiting agent_end
+let extractorEnv = {}; // the shared config as env for the session extractor
+const PENDING_TTL_MS = 3_600_000;
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-/**
- * Quick domain hint extraction from message text.
- * Used alongside semantic search to boost domain-matching results.
- */
-function extractDomainHints(text) {
-  if (!text || typeof text !== "string") return [];
-  const lower = text.toLowerCase();
-  const scored = {};
-
-  for (const [domain, keywords] of Object.entries(DOMAIN_KEYWORDS)) {
-    for (const kw of keywords) {
-      if (lower.includes(kw)) {
-        scored[domain] = (scored[domain] || 0) + (kw.includes(" ") ? 3 : 2);
-      }
-    }
-  }
-
-  return Object.entries(scored)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 3)
-    .map(([d]) => d);
-}
-
 /**
  * Get or generate embedding for a text, with caching.
  */
@@ -140,9 +138,12 @@ async function getEmbedding(text, cfg) {
 
 /**
  * Format retrieved memories into markdown context block.
+ * With `refs`, each line carries its [n] position for the memory tools.
+ * A memory retrieved with its correction renders as "⚠️ X — corrected: Y".
  */
-function formatContext(entries, stats, maxTokens) {
+function formatContext(entries, stats, maxTokens, { refs = false } = {}) {
   const maxChars = maxTokens * 4;
+  const refOf = new Map(entries.map((e, i) => [e.id, i + 1]));
 
   let md = `# Hebbian Memory — Active Patterns\n`;
   md += `*${stats.total} memories | ${stats.atomic} atomic | ${stats.coOccurrences} wired pairs*\n\n`;
@@ -172,7 +173,9 @@ function formatContext(entries, stats, maxTokens) {
       // Skip entries with very short details — they waste a line
       if (detail.length < 20) continue;
 
-      const icon = type === "rule" ? "⚡"
+      // A corrected memory is shown together with its correction
+      const icon = entry.correction ? "⚠️"
+        : type === "rule" ? "⚡"
         : type === "command" ? "💻"
         : type === "directive" ? "🚨"
         : type === "correction" ? "⚠️"
@@ -180,7 +183,11 @@ function formatContext(entries, stats, maxTokens) {
         : "📌";
       const spreading = entry.spreadingActivation ? " 🔗" : "";
       // Full detail — the token budget already controls total context size
-      const line = `- ${icon} ${detail}${spreading}\n`;
+      const ref = refs ? `[${refOf.get(entry.id)}] ` : "";
+      const corrected = entry.correction
+        ? ` — corrected: ${entry.correction.detail || entry.correction.title}`
+        : "";
+      const line = `- ${icon} ${ref}${detail}${corrected}${spreading}\n`;
 
       if (md.length + line.length > maxChars - 60) {
         md += `\n`;
@@ -194,17 +201,94 @@ function formatContext(entries, stats, maxTokens) {
   return md;
 }
 
+const sessionOf = (ctx) => ctx?.sessionKey || ctx?.sessionId || null;
+
+/**
+ * The namespace of a hook context: cfg.namespace when set, else derived per
+ * cfg.namespaceFrom — "agent:<agentId>" or "workspace:<directory name>" —
+ * and renamed through cfg.namespaceMap. Global when there is nothing to
+ * derive it from.
+ */
+function namespaceOf(ctx, cfg) {
+  if (cfg.namespace) return cfg.namespace;
+  const source = cfg.namespaceFrom === "agent" ? ctx?.agentId
+    : cfg.namespaceFrom === "workspace" && ctx?.workspaceDir ? basename(ctx.workspaceDir)
+    : null;
+  if (!source) return GLOBAL_NAMESPACE;
+  const derived = `${cfg.namespaceFrom}:${String(source).replace(/[^\w.@-]+/g, "-")}`.slice(0, 64);
+  return cfg.namespaceMap[derived] || derived;
+}
+
+/**
+ * The agent's final response from an agent_end event: the assistant text
+ * after the last user message.
+ */
+function responseText(event) {
+  if (typeof event?.response === "string") return event.response;
+  const messages = event?.messages || [];
+  const parts = [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    const msg = messages[i];
+    if (msg.role === "user") break;
+    if (msg.role !== "assistant") continue;
+    const content = typeof msg.content === "string" ? msg.content
+      : (msg.content || []).filter((c) => c.type === "text").map((c) => c.text).join("\n");
+    parts.unshift(content);
+  }
+  return parts.join("\n").trim();
+}
+
+/**
+ * The shared config (lib/config.mjs) with the plugin config's keys for it on
+ * top. An invalid config file must not take the gateway down: it is
+ * reported and left out, and if that is not enough, defaults apply.
+ */
+function sharedConfig(pcfg) {
+  const overrides = {
+    dbPath: pcfg.dbPath,
+    embedProvider: pcfg.embedProvider,
+    embedUrl: pcfg.embedUrl,
+    embedModel: pcfg.embedModel,
+    embedDim: pcfg.embedDim,
+    embedApiKey: pcfg.embedApiKey,
+    retrieval: {
+      maxContextTokens: pcfg.maxContextTokens,
+      maxEntries: pcfg.maxEntries,
+      semanticWeight: pcfg.semanticWeight,
+      activationWeight: pcfg.activationWeight,
+      domainWeight: pcfg.domainWeight,
+      minSimilarity: pcfg.minSimilarity,
+    },
+  };
+  try {
+    return loadConfig({ overrides, source: "plugin config" });
+  } catch (err) {
+    pluginLogger?.warn?.(`hebbian-hook v3: ${err.message}\n  — ignoring the config file`);
+  }
+  try {
+    return loadConfig({ path: false, overrides, source: "plugin config" });
+  } catch {
+    pluginLogger?.warn?.("hebbian-hook v3: using the default config");
+    return loadConfig({ path: false, env: {} });
+  }
+}
+
 /**
  * Trigger session mining (fire-and-forget via child process).
  */
-function triggerSessionMining(cfg, sessionFile) {
+function triggerSessionMining(cfg, sessionFile, namespace) {
   if (!sessionFile || !cfg.sessionExtractor) return;
   if (!existsSync(cfg.sessionExtractor)) return;
 
   try {
     const child = execFile("node", [cfg.sessionExtractor, sessionFile], {
       timeout: 120_000,
-      env: { ...process.env, PATH: "/usr/local/bin:/opt/homebrew/bin:/usr/bin:/bin" },
+      env: {
+        ...process.env,
+        ...extractorEnv,
+        PATH: "/usr/local/bin:/opt/homebrew/bin:/usr/bin:/bin",
+        HEBBIAN_NAMESPACE: namespace,
+      },
     });
     child.unref?.();
     pluginLogger?.info?.(`hebbian-hook: triggered session mining for ${sessionFile}`);
@@ -218,19 +302,276 @@ function triggerSessionMining(cfg, sessionFile) {
 export default function register(api) {
   pluginLogger = api.logger;
   const pcfg = api.pluginConfig ?? {};
+  const shared = sharedConfig(pcfg);
+  extractorEnv = configEnv(shared);
 
   const cfg = {
-    dbPath: pcfg.dbPath || DEFAULTS.dbPath,
+    dbPath: shared.dbPath,
     sessionExtractor: pcfg.sessionExtractor || DEFAULTS.sessionExtractor,
-    maxContextTokens: pcfg.maxContextTokens || DEFAULTS.maxContextTokens,
-    maxEntries: pcfg.maxEntries || DEFAULTS.maxEntries,
-    semanticWeight: pcfg.semanticWeight ?? DEFAULTS.semanticWeight,
-    activationWeight: pcfg.activationWeight ?? DEFAULTS.activationWeight,
-    domainWeight: pcfg.domainWeight ?? DEFAULTS.domainWeight,
+    ...shared.retrieval, // maxContextTokens, maxEntries, the weights, minSimilarity
+    pruneThreshold: shared.decay.pruneThreshold,
     embeddingCacheTtlMs: pcfg.embeddingCacheTtlMs || DEFAULTS.embeddingCacheTtlMs,
+    vectorIndex: pcfg.vectorIndex || DEFAULTS.vectorIndex,
+    fusion: pcfg.fusion || DEFAULTS.fusion,
+    spreadDepth: pcfg.spreadDepth ?? DEFAULTS.spreadDepth,
+    spreadGate: pcfg.spreadGate ?? DEFAULTS.spreadGate,
+    conflictThreshold: pcfg.conflictThreshold ?? DEFAULTS.conflictThreshold,
+    crossDomainRate: pcfg.crossDomainRate ?? DEFAULTS.crossDomainRate,
+    crossDomainGate: pcfg.crossDomainGate ?? DEFAULTS.crossDomainGate,
+    usageDetection: pcfg.usageDetection ?? DEFAULTS.usageDetection,
+    usageThreshold: pcfg.usageThreshold ?? DEFAULTS.usageThreshold,
+    namespace: pcfg.namespace || DEFAULTS.namespace,
+    namespaceFrom: pcfg.namespaceFrom || DEFAULTS.namespaceFrom,
+    namespaceMap: pcfg.namespaceMap || DEFAULTS.namespaceMap,
+    includeGlobal: pcfg.includeGlobal ?? DEFAULTS.includeGlobal,
+    globalPenalty: pcfg.globalPenalty ?? DEFAULTS.globalPenalty,
+    globalWrites: pcfg.globalWrites ?? DEFAULTS.globalWrites,
   };
 
-  api.logger.info?.(`hebbian-hook v3: registered (db: ${cfg.dbPath})`);
+  let embedder = null;
+  try {
+    embedder = setEmbeddingProvider(embeddingOptions(shared));
+  } catch (err) {
+    api.logger.warn?.(`hebbian-hook v3: embedding provider config invalid: ${err.message}`);
+  }
+
+  // A bad namespace would fail every write: drop it, the derived one applies
+  const validNamespace = (ns) => {
+    try {
+      return checkNamespace(ns);
+    } catch (err) {
+      api.logger.warn?.(`hebbian-hook v3: ${err.message} — ignored`);
+      return null;
+    }
+  };
+  if (cfg.namespace) cfg.namespace = validNamespace(cfg.namespace);
+  cfg.namespaceMap = Object.fromEntries(Object.entries(cfg.namespaceMap).filter(([, ns]) => validNamespace(ns)));
+
+  api.logger.info?.(
+    `hebbian-hook v3: registered (db: ${cfg.dbPath}, embeddings: ${embedder ? `${embedder.name}/${embedder.model}` : "default"}, ` +
+    `namespace: ${cfg.namespace || (cfg.namespaceFrom === "none" ? GLOBAL_NAMESPACE : `per ${cfg.namespaceFrom}`)})`
+  );
+
+  // Bump activation and wire co-occurrences (in the agent's namespace) for memories that were used
+  function creditRetrieval(ids, namespace) {
+    if (ids.length === 0) return;
+    bumpActivations(db, ids, 0.5);
+    wireCoOccurrences(db, ids, {
+      crossDomainRate: cfg.crossDomainRate,
+      crossDomainGate: cfg.crossDomainGate,
+      namespace,
+    });
+  }
+
+  // ─── Agent tools: feedback, save, search, deprecate, correct, pin ─────────
+  const tools = typeof api.registerTool === "function";
+
+  // "[n]" / "n" → the id injected at position n in the caller's session (with its retrieval), else an id as given
+  function resolveRef(ref, ctx) {
+    const n = /^\[?(\d+)\]?$/.exec(String(ref ?? "").trim());
+    if (!n) return { id: String(ref ?? "").trim(), retrievalId: null };
+    const injection = injections.get(sessionOf(ctx) ?? "default");
+    const id = injection?.ids[Number(n[1]) - 1];
+    if (!id) throw new Error(`no injected memory [${n[1]}]`);
+    return { id, retrievalId: injection.retrievalId };
+  }
+
+  // The memory `id` if the agent in `namespace` may change it: its own, or global ones when `global`
+  function requireMemory(id, namespace, { global = false } = {}) {
+    const row = db.prepare("SELECT id, namespace FROM memories WHERE id = ?").get(id);
+    if (!row) throw new Error(`Memory not found: ${id}`);
+    if (!inNamespaceScope(row.namespace, namespace, { global })) {
+      throw new Error(`${id} belongs to namespace "${row.namespace}", not "${namespace}"`);
+    }
+    return id;
+  }
+
+  // Registered as a factory: the host builds each tool per agent session, so
+  // run() gets that session's context ({ agentId, sessionKey, workspaceDir })
+  function registerMemoryTool({ name, description, parameters, run }) {
+    api.registerTool((toolCtx) => ({
+      name,
+      description,
+      parameters: { type: "object", additionalProperties: false, ...parameters },
+      async execute(_toolCallId, params) {
+        let text;
+        try {
+          if (!db) throw new Error("memory database is not open");
+          text = await run(params ?? {}, toolCtx ?? {});
+        } catch (err) {
+          text = `${name} failed: ${err.message}`;
+        }
+        return { content: [{ type: "text", text }] };
+      },
+    }), { name });
+  }
+
+  const REF = { type: "string", description: "The memory's [n] number from the injected context, or its id" };
+
+  if (tools) {
+    registerMemoryTool({
+      name: "hebbian_feedback",
+      description:
+        "Rate a memory from the injected 'Hebbian Memory' context. helpful: it helped with this task; " +
+        "unhelpful: irrelevant here; wrong: it is incorrect or outdated. Wrong memories are demoted quickly.",
+      parameters: {
+        properties: {
+          ref: REF,
+          verdict: { type: "string", enum: FEEDBACK_KINDS },
+          note: { type: "string", description: "Optional: why" },
+        },
+        required: ["ref", "verdict"],
+      },
+      run(params, ctx) {
+        const { id, retrievalId } = resolveRef(params.ref, ctx);
+        requireMemory(id, namespaceOf(ctx, cfg), { global: cfg.includeGlobal }); // what it can be shown
+        const result = recordFeedback(db, id, params.verdict, {
+          retrievalId,
+          session: sessionOf(ctx),
+          note: params.note || null,
+        });
+        return `Recorded ${result.kind} for ${result.memoryId}.`;
+      },
+    });
+
+    registerMemoryTool({
+      name: "hebbian_save",
+      description:
+        "Remember something for future sessions: a rule, fact, command or fix that worked. One self-contained " +
+        "statement per call. Domain and type are inferred when left out; near-duplicates are skipped, an " +
+        "updated value (new port, path, version) replaces the old memory, and a statement that contradicts " +
+        "a stored one is kept and queued for review with it.",
+      parameters: {
+        properties: {
+          text: { type: "string", description: "The memory, self-contained" },
+          title: { type: "string", description: "Short title (default: start of the text)" },
+          domain: { type: "string", description: "Domain (default: inferred from the text)" },
+          type: { type: "string", description: "rule, directive, fact, command, solution, … (default: inferred)" },
+          tags: { type: "array", items: { type: "string" } },
+        },
+        required: ["text"],
+      },
+      async run(params, ctx) {
+        const r = await saveMemory(db, {
+          detail: params.text,
+          title: params.title || null,
+          domain: params.domain || null,
+          type: params.type || null,
+          tags: Array.isArray(params.tags) ? params.tags.map(String) : [],
+          source: "agent",
+          namespace: namespaceOf(ctx, cfg),
+        });
+        if (!r.added) return `Not saved — already remembered as ${r.duplicateOf}.`;
+        return `Saved ${r.id} [${r.domain}/${r.type}].` +
+          (r.supersedes ? ` It replaces ${r.supersedes}.` : "") +
+          (r.queuedWith ? ` It may contradict ${r.queuedWith}; queued for review.` : "");
+      },
+    });
+
+    registerMemoryTool({
+      name: "hebbian_search",
+      description:
+        "Search memory beyond what was injected, optionally narrowed to a domain, type, tag or age. " +
+        "Results carry ids for hebbian_feedback / hebbian_correct / hebbian_deprecate / hebbian_pin.",
+      parameters: {
+        properties: {
+          query: { type: "string" },
+          domain: { type: "string" },
+          type: { type: "string", description: "Pattern type: rule, fact, command, …" },
+          tag: { type: "string" },
+          since: { type: "string", description: "ISO date or duration like 7d" },
+          limit: { type: "number", description: "Max results (default 10)" },
+        },
+        required: ["query"],
+      },
+      async run(params, ctx) {
+        const found = await searchMemories(db, params.query, {
+          filter: { domain: params.domain, type: params.type, tag: params.tag, since: params.since },
+          limit: Math.min(Math.max(Math.floor(params.limit) || 10, 1), 50),
+          tokenBudget: cfg.maxContextTokens * 2,
+          namespace: namespaceOf(ctx, cfg),
+          includeGlobal: cfg.includeGlobal,
+          retrieveOptions: retrieveOptions(shared),
+        });
+        if (found.results.length === 0) return `No memories found for "${found.query}".`;
+        return found.results.map((r) =>
+          `${r.rank}. [${r.domain}/${r.pattern_type}] ${r.detail || r.title} (id: ${r.id})` +
+          (r.correction ? `\n   ⚠️ corrected: ${r.correction.detail || r.correction.title}` : "")
+        ).join("\n");
+      },
+    });
+
+    registerMemoryTool({
+      name: "hebbian_deprecate",
+      description:
+        "Retire a memory that is obsolete. It stays in the store but is no longer injected; with " +
+        "superseded_by, matches for it bring up the newer memory instead.",
+      parameters: {
+        properties: {
+          ref: REF,
+          superseded_by: { type: "string", description: "Id of the memory that replaces it" },
+        },
+        required: ["ref"],
+      },
+      run(params, ctx) {
+        const namespace = namespaceOf(ctx, cfg);
+        const id = requireMemory(resolveRef(params.ref, ctx).id, namespace, { global: cfg.globalWrites });
+        const newer = params.superseded_by
+          ? requireMemory(resolveRef(params.superseded_by, ctx).id, namespace, { global: cfg.includeGlobal })
+          : null;
+        deprecateMemory(db, id, newer);
+        return newer ? `Deprecated ${id}, superseded by ${newer}.` : `Deprecated ${id}.`;
+      },
+    });
+
+    registerMemoryTool({
+      name: "hebbian_correct",
+      description:
+        "Fix a memory that is wrong: give the right information as text (saved as a correction) or the id of " +
+        "a memory that already has it. The correction is shown whenever the wrong memory would be.",
+      parameters: {
+        properties: {
+          ref: REF,
+          text: { type: "string", description: "The correct information" },
+          correction_id: { type: "string", description: "Instead of text: an existing memory that is right" },
+        },
+        required: ["ref"],
+      },
+      async run(params, ctx) {
+        const namespace = namespaceOf(ctx, cfg);
+        const id = requireMemory(resolveRef(params.ref, ctx).id, namespace, { global: cfg.globalWrites });
+        const correctionId = params.correction_id
+          ? requireMemory(params.correction_id, namespace, { global: cfg.globalWrites })
+          : null;
+        const r = await saveCorrection(db, id, {
+          text: params.text || null,
+          correctionId,
+          source: "agent",
+        });
+        return `Recorded ${r.correction} as the correction of ${r.id}.`;
+      },
+    });
+
+    registerMemoryTool({
+      name: "hebbian_pin",
+      description:
+        "Pin a memory that must not fade: it keeps full activation even when unused and is never merged " +
+        "or auto-replaced. pinned: false unpins it.",
+      parameters: {
+        properties: {
+          ref: REF,
+          pinned: { type: "boolean", description: "Default true" },
+        },
+        required: ["ref"],
+      },
+      run(params, ctx) {
+        const id = requireMemory(resolveRef(params.ref, ctx).id, namespaceOf(ctx, cfg), { global: cfg.globalWrites });
+        const pinned = params.pinned !== false;
+        pinMemory(db, id, pinned);
+        return `${pinned ? "Pinned" : "Unpinned"} ${id}.`;
+      },
+    });
+  }
 
   // ─── before_agent_start: semantic retrieval + context injection ───────────
   api.on("before_agent_start", async (event, ctx) => {
@@ -240,45 +581,111 @@ export default function register(api) {
       const prompt = event.prompt || "";
       if (!prompt.trim()) return;
 
-      // 1. Extract domain hints (fast keyword scan)
+      // 1. Extract domain hints (fast keyword scan); whose memories these are
       const domainHints = extractDomainHints(prompt);
+      const namespace = namespaceOf(ctx, cfg);
 
-      // 2. Generate query embedding (with cache)
+      // 2. Generate query embedding (with cache) — null if the embedder is down
       const queryEmbedding = await getEmbedding(prompt.slice(0, 512), cfg);
 
-      // 3. Retrieve with combined scoring
+      // 3. Retrieve with combined scoring (BM25 still ranks without an embedding)
       const patterns = retrieve(db, {
         queryEmbedding,
+        queryText: prompt.slice(0, 2000),
+        fusion: cfg.fusion,
+        spreadDepth: cfg.spreadDepth,
+        spreadGate: cfg.spreadGate,
+        conflictThreshold: cfg.conflictThreshold,
         domains: domainHints,
         limit: cfg.maxEntries,
         tokenBudget: cfg.maxContextTokens,
         semanticWeight: cfg.semanticWeight,
         activationWeight: cfg.activationWeight,
         domainWeight: cfg.domainWeight,
+        minSimilarity: cfg.minSimilarity,
+        vectorIndex: cfg.vectorIndex,
+        namespace,
+        includeGlobal: cfg.includeGlobal,
+        globalPenalty: cfg.globalPenalty,
       });
 
       if (patterns.length === 0) return;
 
-      // 4. Bump retrieved patterns (synchronous — fast with SQLite)
+      // 4. Credit retrieved patterns — now, or at agent_end for the ones the response used
       const ids = patterns
         .filter((e) => e.domain && e.pattern_type)
         .map((e) => e.id)
         .slice(0, 20);
 
-      if (ids.length > 0) {
-        bumpActivations(db, ids, 0.5);
-        wireCoOccurrences(db, ids);
+      // Per-session state: drop what sessions that went quiet left behind
+      const session = sessionOf(ctx) ?? "default";
+      const now = Date.now();
+      for (const state of [pendingUsage, injections]) {
+        for (const [key, entry] of state) {
+          if (now - entry.ts > PENDING_TTL_MS) state.delete(key);
+        }
       }
 
+      if (cfg.usageDetection) {
+        pendingUsage.set(session, { ids, namespace, ts: now });
+      } else {
+        creditRetrieval(ids, namespace);
+      }
+
+      // Log the injection so feedback can find what was retrieved together
+      const injected = patterns.map((e) => e.id);
+      const retrievalId = logRetrieval(db, injected, { session: sessionOf(ctx), namespace });
+      injections.set(session, { retrievalId, ids: injected, ts: now });
+
       // 5. Format and inject
       const stats = getStats(db);
-      const context = formatContext(patterns, stats, cfg.maxContextTokens);
+      const context = formatContext(patterns, stats, cfg.maxContextTokens, { refs: tools });
       return { prependContext: context };
     } catch (err) {
       api.logger.warn?.(`hebbian-hook: before_agent_start error: ${err.message}`);
     }
   }, { priority: 10 });
 
+  // ─── agent_end: credit injected memories the response actually used ──────
+  api.on("agent_end", async (event, ctx) => {
+    try {
+      if (!db || !cfg.usageDetection) return;
+      const key = sessionOf(ctx) ?? "default";
+      const pending = pendingUsage.get(key);
+      if (!pending) return;
+      pendingUsage.delete(key);
+      if (event?.success === false) return;
+
+      const response = responseText(event);
+      if (!response || pending.ids.length === 0) return;
+
+      const getRow = db.prepare("SELECT id, title, detail, embedding, embedding_model FROM memories WHERE id = ?");
+      const rows = pending.ids.map((id) => getRow.get(id)).filter(Boolean);
+
+      // Sentence embeddings add the similarity signal; without them lexical signals decide
+      let sentenceEmbeddings = null;
+      const sentences = splitSentences(response);
+      if (sentences.length > 0) {
+        try {
+          sentenceEmbeddings = await generateEmbeddings(sentences);
+        } catch (err) {
+          api.logger.warn?.(`hebbian-hook: response embedding failed: ${err.message}`);
+        }
+      }
+
+      const usage = detectUsage(response, rows, {
+        sentenceEmbeddings,
+        model: getEmbeddingProvider().model,
+        threshold: cfg.usageThreshold,
+      });
+      const used = usage.filter((u) => u.used).map((u) => u.id);
+      creditRetrieval(used, pending.namespace);
+      api.logger.info?.(`hebbian-hook: ${used.length}/${usage.length} injected memories used`);
+    } catch (err) {
+      api.logger.warn?.(`hebbian-hook: agent_end error: ${err.message}`);
+    }
+  }, { priority: 50 });
+
   // ─── after_tool_call: bump domain-related patterns ───────────────────────
   api.on("after_tool_call", async (event, ctx) => {
     try {
@@ -287,14 +694,17 @@ export default function register(api) {
       const domains = TOOL_DOMAIN_MAP[event.toolName];
       if (!domains?.length) return;
 
-      // Find top patterns in the relevant domains
-      const getByDomain = db.prepare(
-        "SELECT id FROM memories WHERE domain = ? ORDER BY activation DESC LIMIT 5"
-      );
+      // Find top patterns in the relevant domains, among those this agent sees
+      const getByDomain = db.prepare(`
+        SELECT id FROM memories
+        WHERE domain = ? AND namespace IN (SELECT value FROM json_each(?))
+        ORDER BY ${BASE_LEVEL_SQL} DESC LIMIT 5
+      `);
+      const scope = JSON.stringify(namespaceScope(namespaceOf(ctx, cfg), { includeGlobal: cfg.includeGlobal }));
 
       const ids = [];
       for (const domain of domains) {
-        const rows = getByDomain.all(domain);
+        const rows = getByDomain.all(domain, scope);
         ids.push(...rows.map((r) => r.id));
       }
 
@@ -309,7 +719,7 @@ export default function register(api) {
   // ─── before_compaction: mine session before it's lost ────────────────────
   api.on("before_compaction", async (event, ctx) => {
     if (event.sessionFile) {
-      triggerSessionMining(cfg, event.sessionFile);
+      triggerSessionMining(cfg, event.sessionFile, namespaceOf(ctx, cfg));
     }
   }, { priority: 50 });
 
@@ -345,9 +755,43 @@ export default function register(api) {
       if (embCount < stats.total * 0.5) {
         api.logger.warn?.(
           `hebbian-hook v3: low embedding coverage (${coverage}%). ` +
-          `Run: node hebbian-migrate.mjs to generate embeddings`
+          `Run: node cli/manager.mjs embed-missing`
+        );
+      }
+
+      // Vectors from another model are never compared with this provider's queries
+      const model = getEmbeddingProvider().model;
+      const foreign = stats.embeddingModels.filter((m) => m.model !== model);
+      if (foreign.length > 0) {
+        const n = foreign.reduce((sum, m) => sum + m.cnt, 0);
+        api.logger.warn?.(
+          `hebbian-hook v3: ${n} embeddings are from other models ` +
+          `(${foreign.map((m) => m.model || "unknown").join(", ")}) and are ignored by ${model}. ` +
+          `Run: node cli/manager.mjs reembed --model ${model}`
         );
       }
+
+      // Keep the co-occurrence graph bounded: decayed edges and hub fan-out
+      const pruned = pruneCoOccurrences(db, { minWeight: cfg.pruneThreshold });
+      if (pruned.decayed + pruned.capped > 0) {
+        api.logger.info?.(
+          `hebbian-hook v3: pruned ${pruned.decayed + pruned.capped} co-occurrence edges (${pruned.remaining} left)`
+        );
+      }
+
+      // Load (or build) the vector index or cache now rather than on the first agent turn
+      const start = Date.now();
+      const index = getVectorIndex(db, { mode: cfg.vectorIndex });
+      if (index) {
+        api.logger.info?.(`hebbian-hook v3: vector index ready — ${index.size} vectors (${Date.now() - start}ms)`);
+      } else {
+        const cache = getVectorCache(db);
+        if (cache) {
+          api.logger.info?.(
+            `hebbian-hook v3: vector cache ready — ${cache.size} ${cache.storage} vectors (${Date.now() - start}ms)`
+          );
+        }
+      }
     } catch (err) {
       api.logger.warn?.(`hebbian-hook v3: DB open failed: ${err.message}`);
     }